@@ -6,7 +6,17 @@
  */
 
 import {getSelectedTemplate, templateConfig} from '@config'
+import {getOutputFormat, outputFormats} from '@templates/formats/index.js'
+import {resolveLocale} from '@templates/utils/i18n.js'
+import {getResumeFileName} from '@templates/utils/resume-data.js'
+import {applyVariant} from '@templates/utils/variants.js'
 import {DataProcessor} from './scripts/data-processor.js'
+import {
+	clearStoredResume,
+	getRequestedResumePath,
+	loadStoredResume,
+	saveStoredResume
+} from './scripts/resume-source.js'
 import {TemplateRenderer} from './scripts/template-renderer.js'
 import {UIManager} from './scripts/ui-manager.js'
 import './styles/scss/resume.scss'
@@ -48,6 +58,9 @@ class ResumeBuilder {
 
 			// Render the initial template
 			await this.renderTemplate()
+
+			// List schema errors next to the rendered resume
+			this.uiManager.updateValidationReport(this.validationResult, this.metadata.source)
 		} catch (error) {
 			console.error('❌ Failed to initialize Resume Builder:', error)
 			this.uiManager.showInitializationError(error)
@@ -56,24 +69,144 @@ class ResumeBuilder {
 
 	/**
 	 * Load and validate resume data
-	 * Uses DataProcessor to fetch, parse, and validate resume.json
+	 * Opens, in order of preference, the path in the `?resume=` URL parameter, the resume last opened
+	 * from a file or path, or /resume.json (falling back to the sample resume); the path or file is
+	 * remembered so the page reopens it
 	 * @async
 	 * @throws {Error} When resume data loading or validation fails
 	 */
 	async loadResumeData() {
 		try {
+			const requestedPath = getRequestedResumePath(globalThis.location)
+			const stored = requestedPath ? null : loadStoredResume()
+			let result
+
+			if (stored) {
+				result = await this.loadStoredResumeData(stored)
+			}
+
 			// Use DataProcessor to load and validate resume data
-			const result = await this.dataProcessor.loadResumeData('/resume.json')
-
-			// Extract the actual resume data from the result
-			/** @type {Object} Processed resume data */
-			this.resumeData = result.data
-			/** @type {Object} Resume validation results */
-			this.validationResult = result.validation
-			/** @type {Object} Additional metadata about the resume */
-			this.metadata = result.metadata
+			result ||= await this.dataProcessor.loadResumeData(requestedPath || '/resume.json')
+
+			if (requestedPath) {
+				saveStoredResume({source: requestedPath})
+			}
+
+			this.applyResumeResult(result)
+		} catch (error) {
+			// Keep the DataProcessorError, whose details locate parse errors for showInitializationError
+			throw new Error(`Resume data loading failed: ${error.message}`, {cause: error})
+		}
+	}
+
+	/**
+	 * Load the resume remembered from the last visit
+	 * Stored files are parsed from their saved contents, stored paths are fetched again. A stored
+	 * resume that no longer loads is forgotten, so the page falls back to /resume.json
+	 * @async
+	 * @param {Object} stored - Stored resume from loadStoredResume
+	 * @returns {Promise<Object|null>} Processed resume data, or null when the stored resume could not be loaded
+	 */
+	async loadStoredResumeData(stored) {
+		try {
+			console.log(`📂 Reopening ${stored.source} from the last visit`)
+			return stored.content === undefined
+				? await this.dataProcessor.loadResumeData(stored.source)
+				: await this.dataProcessor.loadResumeText(stored.content, stored.source, {lastModified: stored.savedAt})
+		} catch (error) {
+			console.warn(`⚠️  Could not reopen ${stored.source}, loading /resume.json instead:`, error.message)
+			clearStoredResume()
+			return null
+		}
+	}
+
+	/**
+	 * Store a processed resume as the current resume
+	 * @param {Object} result - Result of DataProcessor
+	 */
+	applyResumeResult(result) {
+		/** @type {Object} Processed resume data */
+		this.resumeData = result.data
+		/** @type {Object} Resume validation results */
+		this.validationResult = result.validation
+		/** @type {Object} Additional metadata about the resume, including its source */
+		this.metadata = result.metadata
+	}
+
+	/**
+	 * Open a local resume file chosen in the file picker or dropped onto the page
+	 * JSON, JSON5 / JSONC and YAML files are accepted. The file is kept in localStorage, so the page reopens it on the next visit
+	 * @async
+	 * @param {File} file - Resume file
+	 */
+	async openResumeFile(file) {
+		let content
+		try {
+			content = await file.text()
+		} catch (error) {
+			this.uiManager.showErrorOverlay(`Could not read ${file.name}`, [error.message])
+			return
+		}
+
+		const opened = await this.replaceResumeData(content, file.name, {
+			lastModified: new Date(file.lastModified).toISOString(),
+			contentType: file.type
+		})
+		if (opened) {
+			saveStoredResume({source: file.name, content})
+			globalThis.scrollTo(0, 0)
+		}
+	}
+
+	/**
+	 * Replace the resume data with new file contents and re-render in place
+	 * Keeps the current template and scroll position; parse errors are shown in an overlay on top
+	 * of the last good render, validation errors in the validation report panel
+	 * @async
+	 * @param {string} content - Raw contents of the resume file
+	 */
+	async reloadResumeData(content) {
+		if (await this.replaceResumeData(content, this.metadata.source)) {
+			console.log('🔄 Resume data reloaded')
+		}
+	}
+
+	/**
+	 * Parse and validate resume file contents through DataProcessor and render them
+	 * @async
+	 * @param {string} content - Raw contents of the resume file
+	 * @param {string} source - File name or path of the resume
+	 * @param {Object} [options={}] - Load options passed to DataProcessor.loadResumeText
+	 * @returns {Promise<boolean>} Whether the resume was replaced; false when it could not be parsed or rendered
+	 */
+	async replaceResumeData(content, source, options = {}) {
+		let result
+		try {
+			result = await this.dataProcessor.loadResumeText(content, source, options)
+		} catch (error) {
+			// DataProcessor already logged parse errors with their source excerpt
+			if (error.code !== 'PARSE_ERROR') {
+				console.error(`❌ ${error.message}`)
+			}
+
+			this.uiManager.showErrorOverlay(`Invalid resume file ${source}`, [error.message], error.details?.excerpt)
+			return false
+		}
+
+		try {
+			this.applyResumeResult(result)
+
+			const {scrollX, scrollY} = globalThis
+			await this.renderTemplate()
+			globalThis.scrollTo(scrollX, scrollY)
+
+			this.uiManager.hideErrorOverlay()
+			this.uiManager.updateValidationReport(this.validationResult, source)
+			return true
 		} catch (error) {
-			throw new Error(`Resume data loading failed: ${error.message}`)
+			console.error('Resume reload failed:', error)
+			this.uiManager.showErrorOverlay('Failed to reload resume', [error.message])
+			return false
 		}
 	}
 
@@ -109,6 +242,16 @@ class ResumeBuilder {
 
 		// Print button
 		this.uiManager.setupPrintButton(this.printResume.bind(this))
+
+		// Open button and drag-and-drop for local resume files
+		this.uiManager.setupOpenButton(this.openResumeFile.bind(this))
+		this.uiManager.setupDropTarget(this.openResumeFile.bind(this))
+
+		// Download buttons for the configured output formats
+		this.uiManager.setupDownloadButtons(
+			templateConfig.exportOptions.formats.map(id => ({id, name: outputFormats[id]?.name || id})),
+			this.downloadResume.bind(this)
+		)
 	}
 
 	/**
@@ -142,6 +285,51 @@ class ResumeBuilder {
 		}
 	}
 
+	/**
+	 * Download the resume in another output format
+	 * Renders the same processed data as the current template, in its section order. Interchange
+	 * formats such as Europass show the resume fields they left out in a panel
+	 * @async
+	 * @param {string} formatId - Output format ID from src/templates/formats/index.js
+	 */
+	async downloadResume(formatId) {
+		try {
+			const format = getOutputFormat(formatId)
+			const processedData = this.templateRenderer.processResumeData(this.resumeData)
+			const content = await format.render(processedData, {
+				templateId: this.currentTemplate.id,
+				theme: templateConfig.theme,
+				lineWidth: templateConfig.exportOptions.textLineWidth,
+				printSettings: templateConfig.sharedSettings.printSettings,
+				loadFont: this.loadFont
+			})
+
+			this.uiManager.downloadFile(content, `${document.title}.${format.extension}`, format.mimeType)
+			if (format.report) {
+				this.uiManager.updateExportReport(format.name, format.report(processedData))
+			}
+		} catch (error) {
+			console.error('Download failed:', error)
+			this.uiManager.showErrorOverlay('Download failed', [error.message])
+		}
+	}
+
+	/**
+	 * Fetch a bundled font from public/fonts, used by the PDF export
+	 * @async
+	 * @param {string} fileName - Font file name
+	 * @returns {Promise<Uint8Array>} Font file contents
+	 * @throws {Error} When the font cannot be loaded
+	 */
+	async loadFont(fileName) {
+		const response = await fetch(`${import.meta.env.BASE_URL}fonts/${fileName}`)
+		if (!response.ok) {
+			throw new Error(`Font ${fileName} could not be loaded: ${response.status} ${response.statusText}`)
+		}
+
+		return new Uint8Array(await response.arrayBuffer())
+	}
+
 	/**
 	 * Render the current template with resume data
 	 * Updates document title and renders the HTML using TemplateRenderer and UIManager
@@ -150,14 +338,18 @@ class ResumeBuilder {
 	 */
 	async renderTemplate() {
 		try {
-			// Update document title first
+			// Update document title and language first
 			this.updateDocumentTitle()
+			this.updateDocumentLanguage()
 
 			// Use TemplateRenderer to render the template with data
 			const renderedHTML = await this.templateRenderer.render(this.resumeData)
 
 			// UIManager renders the complete template into the app container
-			this.uiManager.renderTemplate(renderedHTML, this.currentTemplate.id)
+			this.uiManager.renderTemplate(renderedHTML, this.currentTemplate.id, {
+				stylesheet: this.currentTemplate.stylesheet,
+				theme: this.templateRenderer.resolveThemeProperties(this.resumeData)
+			})
 		} catch (error) {
 			throw new Error(`Template rendering failed: ${error.message}`)
 		}
@@ -169,18 +361,22 @@ class ResumeBuilder {
 	 */
 	updateDocumentTitle() {
 		try {
-			// Generate title with underscores - same logic as templates
-			const nameWithUnderscores = this.resumeData.basics?.name ? this.resumeData.basics.name.replaceAll(/\s+/g, '') : 'Resume'
-			const prospect = this.resumeData.meta?.prospect ? this.resumeData.meta.prospect.replaceAll(/\s+/g, '') : ''
-			const title = prospect ? `${nameWithUnderscores}_Resume_${prospect}` : `${nameWithUnderscores}_Resume`
-
-			document.title = title
+			// Same name as exported files, using the active variant's prospect
+			document.title = getResumeFileName(applyVariant(this.resumeData, templateConfig.selectedVariant))
 		} catch (error) {
 			console.error('Failed to update document title:', error)
 			// Fallback to a basic title
 			document.title = 'Resume'
 		}
 	}
+
+	/**
+	 * Update the document language based on the resume locale
+	 * Uses the VITE_RESUME_LOCALE override or meta.language, so screen readers and hyphenation match the content
+	 */
+	updateDocumentLanguage() {
+		document.documentElement.lang = resolveLocale(this.resumeData, templateConfig.selectedLocale)
+	}
 }
 
 /**
@@ -202,4 +398,19 @@ document.addEventListener('DOMContentLoaded', async () => {
  */
 if (import.meta.hot) {
 	import.meta.hot.accept()
+
+	// Live reload of resume data pushed by the resume-reload Vite plugin
+	import.meta.hot.on('resume:update', ({path, content}) => {
+		const app = globalThis.resumeBuilder
+		if (!app) {
+			return
+		}
+
+		// Without metadata the first load failed, so run it again now that a resume file changed
+		if (!app.metadata) {
+			app.init()
+		} else if (app.metadata.source === path) {
+			app.reloadResumeData(content)
+		}
+	})
 }
@@ -7,9 +7,31 @@
 
 import fs, {readFileSync, writeFileSync, existsSync} from 'fs'
 import path, {join, dirname} from 'path'
+import process from 'process'
 import {fileURLToPath} from 'url'
-import {minimalTemplate} from '../templates/layouts.js'
-import {formatDateRange} from '../templates/utils/helpers.js'
+import {parseArgs} from 'util'
+import {
+	getAllTemplates, isValidTemplate, templateConfig, templates
+} from '../../template.config.js'
+import {getOutputFormat} from '../templates/formats/index.js'
+import {formatUnmappedFields} from '../templates/formats/unmapped-fields.js'
+import {getTemplateFunction} from '../templates/layouts.js'
+import {getRegisteredTemplate} from '../templates/registry.js'
+import {escapeHTML} from '../templates/utils/helpers.js'
+import {t} from '../templates/utils/i18n.js'
+import {getPageDescription, renderPageMetadata, renderSocialCard} from '../templates/utils/page-metadata.js'
+import {getThemeProperties, renderThemeDeclarations, resolveTheme} from '../templates/utils/theme.js'
+import {getResumeFileName, prepareResumeData} from '../templates/utils/resume-data.js'
+import {applyVariant, getVariantNames} from '../templates/utils/variants.js'
+import {DataProcessor, formatValidationIssue} from './data-processor.js'
+import {defaultResumeFiles, formatParseError, parseResumeText} from './resume-parser.js'
+import {loadTemplatePackages} from './template-packages.js'
+
+/**
+ * Logger that discards DataProcessor output; the build prints its own validation report
+ * @type {Object}
+ */
+const silentLogger = Object.fromEntries(['log', 'warn', 'error'].map(method => [method, () => undefined]))
 
 // Get the project root directory
 const __filename = fileURLToPath(import.meta.url)
@@ -44,109 +66,525 @@ function getCSSFile() {
 	}
 }
 
-// Main build function
-async function buildStaticHTML() {
-	try {
-		// Get template from environment variable or use default
-		const templateId = 'minimal'
-		console.log(`🏗️  Building static HTML with template: ${templateId}`)
-
-		// Load resume data
-		const resumeDataPath = join(getProjectRoot(), 'public', 'resume.json')
-		if (!existsSync(resumeDataPath)) {
-			throw new Error(`Resume data not found at: ${resumeDataPath}`)
-		}
+/**
+ * Resolve build options from explicit options, CLI flags and environment variables
+ * Precedence: options argument > `--template` / `--all` / `--locale` / `--variant` / `--variants` /
+ * `--strict` / `--theme` flags > VITE_* env vars > template.config.js. Export options: see resolveExportOptions
+ * @param {Object} [options={}] - Explicit build options
+ * @param {string} [options.templateId] - Template ID to build
+ * @param {boolean} [options.buildAll] - Whether to build every registered template
+ * @param {string} [options.locale] - Locale override for section titles and dates
+ * @param {string} [options.variant] - Variant from `meta.variants` to build
+ * @param {boolean} [options.buildVariants] - Whether to build every declared variant
+ * @param {boolean} [options.strict] - Whether to fail the build when the resume is invalid
+ * @param {string|Object} [options.theme] - Theme preset or tokens for every page, see theme.js
+ * @param {Array<string>} [options.formats] - Output formats to write next to the HTML
+ * @param {number} [options.lineWidth] - Line width of the plain-text export
+ * @returns {Object} Resolved build options
+ * @throws {Error} When the requested template does not exist
+ */
+function resolveBuildOptions(options = {}) {
+	const {values: flags} = parseArgs({
+		args: process.argv.slice(2),
+		options: {
+			template: {type: 'string', short: 't'},
+			all: {type: 'boolean'},
+			locale: {type: 'string', short: 'l'},
+			variant: {type: 'string'},
+			variants: {type: 'boolean'},
+			strict: {type: 'boolean'},
+			theme: {type: 'string'},
+			formats: {type: 'string'},
+			width: {type: 'string'}
+		},
+		strict: false
+	})
+
+	const templateId = options.templateId
+		|| flags.template
+		|| process.env.VITE_RESUME_TEMPLATE
+		|| templateConfig.defaultTemplate
+
+	if (!isValidTemplate(templateId)) {
+		const available = Object.keys(templates).join(', ')
+		throw new Error(`Unknown template "${templateId}". Available templates: ${available}`)
+	}
+
+	const buildAll = options.buildAll
+		?? (flags.all
+			|| process.env.VITE_BUILD_ALL_TEMPLATES === 'true'
+			|| Boolean(templateConfig.buildOptions.buildAllTemplates))
+
+	const locale = options.locale
+		|| flags.locale
+		|| process.env.VITE_RESUME_LOCALE
+		|| null
+
+	const variant = options.variant
+		|| flags.variant
+		|| process.env.VITE_RESUME_VARIANT
+		|| null
+
+	const buildVariants = options.buildVariants
+		?? (flags.variants || process.env.VITE_BUILD_VARIANTS === 'true')
+
+	const strict = options.strict
+		?? (flags.strict
+			|| process.env.VITE_STRICT_VALIDATION === 'true'
+			|| Boolean(templateConfig.buildOptions.strictValidation))
+
+	return {
+		templateId,
+		buildAll,
+		locale,
+		variant,
+		buildVariants,
+		strict,
+		theme: resolveThemeOption(options, flags),
+		...resolveExportOptions(options, flags)
+	}
+}
+
+/**
+ * Resolve the theme applied to every page
+ * Precedence: options argument > `--theme` flag > VITE_RESUME_THEME env var > `theme` in template.config.js
+ * @param {Object} options - Explicit build options
+ * @param {Object} flags - Parsed command-line flags
+ * @returns {string|Object|null} Theme preset name or tokens
+ */
+function resolveThemeOption(options, flags) {
+	return options.theme
+		|| flags.theme
+		|| process.env.VITE_RESUME_THEME
+		|| templateConfig.theme
+}
+
+/**
+ * Resolve the output formats written next to the HTML and their settings
+ * Precedence: options argument > `--formats` / `--width` flags > VITE_EXPORT_FORMATS /
+ * VITE_TEXT_LINE_WIDTH env vars > `exportOptions` in template.config.js
+ * @param {Object} options - Explicit build options
+ * @param {Object} flags - Parsed command-line flags
+ * @returns {{formats: Array<string>, lineWidth: number}} Resolved export options
+ * @throws {Error} When a requested format does not exist or the line width is not a positive whole number
+ */
+function resolveExportOptions(options, flags) {
+	const formatList = flags.formats ?? process.env.VITE_EXPORT_FORMATS
+	const formats = options.formats
+		?? (formatList === undefined
+			? templateConfig.exportOptions.buildFormats
+			: formatList.split(',').map(format => format.trim()).filter(Boolean))
+
+	for (const format of formats) {
+		getOutputFormat(format)
+	}
+
+	const lineWidth = Number(options.lineWidth
+		|| flags.width
+		|| process.env.VITE_TEXT_LINE_WIDTH
+		|| templateConfig.exportOptions.textLineWidth)
+	if (!Number.isInteger(lineWidth) || lineWidth < 1) {
+		throw new Error(`Invalid line width "${options.lineWidth || flags.width || process.env.VITE_TEXT_LINE_WIDTH}": expected a positive whole number of columns`)
+	}
+
+	return {formats, lineWidth}
+}
 
-		const resumeData = JSON.parse(readFileSync(resumeDataPath, 'utf-8'))
-		console.log('📄 Resume data loaded successfully')
-
-		// Process resume data
-		const processedData = await processResumeData(resumeData)
-
-		// Generate HTML using template
-		const resumeHTML = minimalTemplate(processedData)
-
-		// Generate document title
-		const nameWithUnderscores = resumeData.basics?.name
-			? resumeData.basics.name.replace(/\s+/g, '_')
-			: 'Resume'
-		const prospect = resumeData.meta?.prospect
-			? resumeData.meta.prospect.replace(/\s+/g, '_')
-			: ''
-		const title = prospect
-			? `${nameWithUnderscores}_Resume_${prospect}`
-			: `${nameWithUnderscores}_Resume`
-
-		// Create complete HTML document
-		const completeHTML = `<!DOCTYPE html>
-<html lang="en">
+/**
+ * Get the output file name for a template when building all templates
+ * @param {string} templateId - Template ID
+ * @returns {string} File name following `buildOptions.multiTemplateNaming`
+ * @example
+ * getTemplateFileName('modern') // 'modern-resume.html'
+ */
+function getTemplateFileName(templateId) {
+	return `${templateConfig.buildOptions.multiTemplateNaming.replaceAll('[template]', templateId)}.html`
+}
+
+/**
+ * Generate the document title: "Name_Resume" or "Name_Resume_Prospect"
+ * Only used as the page's <title>; file names come from getResumeFileName
+ * @param {Object} resumeData - Resume data
+ * @returns {string} Document title
+ */
+function getDocumentTitle(resumeData) {
+	const nameWithUnderscores = resumeData.basics?.name
+		? resumeData.basics.name.replace(/\s+/g, '_')
+		: 'Resume'
+	const prospect = resumeData.meta?.prospect
+		? resumeData.meta.prospect.replace(/\s+/g, '_')
+		: ''
+	return prospect
+		? `${nameWithUnderscores}_Resume_${prospect}`
+		: `${nameWithUnderscores}_Resume`
+}
+
+/**
+ * Render the stylesheet of a registered template for the document head
+ * CSS text and local stylesheet files are inlined, remote stylesheets are linked
+ * @param {string|URL} stylesheet - Template stylesheet, see registerTemplate
+ * @returns {string} Style or link element, or an empty string for templates styled by the main bundle
+ */
+function renderTemplateStylesheet(stylesheet) {
+	if (!stylesheet) {
+		return ''
+	}
+
+	if (stylesheet instanceof URL && stylesheet.protocol !== 'file:') {
+		return `<link rel="stylesheet" href="${escapeHTML(stylesheet.href)}">`
+	}
+
+	const css = stylesheet instanceof URL ? readFileSync(fileURLToPath(stylesheet), 'utf-8') : stylesheet
+	return `<style>\n${css.replaceAll(/<\/style/gi, String.raw`<\/style`)}\n</style>`
+}
+
+/**
+ * Theme warnings already printed, so a build of several pages reports each problem once
+ * @type {Set<string>}
+ */
+const reportedThemeWarnings = new Set()
+
+/**
+ * Resolve the theme of a page and render it as declarations for the resume container
+ * Layers, later ones winning: the configured theme, the template's `theme`, then `meta.theme`
+ * @param {Object} processedData - Processed resume data
+ * @param {string} templateId - Template ID
+ * @param {string|Object|null} theme - Configured theme preset or tokens
+ * @returns {string} CSS declarations, empty without theme tokens
+ */
+function renderThemeStyle(processedData, templateId, theme) {
+	const {tokens, warnings} = resolveTheme([theme, getRegisteredTemplate(templateId)?.theme, processedData.meta?.theme])
+	for (const warning of warnings.filter(message => !reportedThemeWarnings.has(message))) {
+		reportedThemeWarnings.add(warning)
+		console.warn(`⚠️  ${warning}`)
+	}
+
+	return renderThemeDeclarations(getThemeProperties(tokens))
+}
+
+/**
+ * Render a complete HTML document for a single template
+ * The head carries the canonical link from `meta.canonical`, Open Graph / Twitter card tags and
+ * schema.org Person structured data (see page-metadata.js)
+ * @param {Object} resumeData - Raw resume data
+ * @param {Object} processedData - Resume data with formatted dates
+ * @param {string} templateId - Template ID to render with
+ * @param {Object} [options={}] - Page options
+ * @param {string|null} [options.cssFile=null] - Stylesheet path from the Vite manifest
+ * @param {string} [options.socialCard] - URL of the social card image, relative to the page
+ * @param {string|Object|null} [options.theme=templateConfig.theme] - Theme preset or tokens, applied as CSS custom properties
+ * @returns {string} Complete HTML document
+ */
+function renderDocument(resumeData, processedData, templateId, {cssFile = null, socialCard, theme = templateConfig.theme} = {}) {
+	const templateFunction = getTemplateFunction(templateId)
+	const resumeHTML = templateFunction(processedData)
+	const title = getDocumentTitle(resumeData)
+	const description = getPageDescription(
+		processedData.basics,
+		t(processedData.locale, 'labels.description', {name: resumeData.basics?.name || 'Professional'})
+	)
+	const metadata = renderPageMetadata(processedData, {description, image: socialCard})
+	const themeStyle = renderThemeStyle(processedData, templateId, theme)
+
+	return `<!DOCTYPE html>
+<html lang="${escapeHTML(processedData.locale)}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${title}</title>
-    <meta name="description" content="Professional resume for ${resumeData.basics?.name || 'Professional'}">
-	<link rel="stylesheet" href="${getCSSFile()}">
+    <title>${escapeHTML(title)}</title>
+    <meta name="description" content="${escapeHTML(description)}">
+    ${metadata.replaceAll('\n', '\n    ')}
+	${cssFile ? `<link rel="stylesheet" href="${cssFile}">` : ''}
+    ${renderTemplateStylesheet(getRegisteredTemplate(templateId)?.stylesheet)}
 </head>
 <body>
-    <div id="app" class="resume-container ${templateId}">
+    <div id="app" class="resume-container ${templateId} ${templateId}-template"${themeStyle ? ` style="${escapeHTML(themeStyle)}"` : ''}>
         ${resumeHTML}
     </div>
 </body>
 </html>`
+}
+
+/**
+ * Render an index page linking to every generated file
+ * @param {Object} resumeData - Raw resume data
+ * @param {Array<{href: string, label: string, description: string}>} links - Generated pages, `href` being the file name
+ * @param {string|null} cssFile - Stylesheet path from the Vite manifest
+ * @param {string} [locale='en'] - Document language
+ * @returns {string} Complete HTML document
+ */
+function renderIndexDocument(resumeData, links, cssFile, locale = 'en') {
+	return `<!DOCTYPE html>
+<html lang="${escapeHTML(locale)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(getDocumentTitle(resumeData))}</title>
+    <meta name="description" content="Resume templates for ${escapeHTML(resumeData.basics?.name || 'Professional')}">
+	${cssFile ? `<link rel="stylesheet" href="${cssFile}">` : ''}
+</head>
+<body>
+    <div id="app" class="resume-container template-index">
+        <h1>${escapeHTML(resumeData.basics?.name || 'Resume')}</h1>
+        <ul class="template-list">
+            ${links.map(link => `
+            <li>
+                <a href="./${escapeHTML(encodeURIComponent(link.href))}">${escapeHTML(link.label)}</a>
+                ${link.description ? `<p>${escapeHTML(link.description)}</p>` : ''}
+            </li>`).join('')}
+        </ul>
+    </div>
+</body>
+</html>`
+}
+
+/**
+ * Get the output file name of one generated page
+ * A single page is written to index.html; template pages follow `multiTemplateNaming` and
+ * variant pages are named like the exports ("Name_Resume_Prospect", see getResumeFileName)
+ * @param {Object} variantData - Resume data with the page's variant applied
+ * @param {Object} template - Template config of the page
+ * @param {Object} options - Build options
+ * @returns {string} File name
+ */
+function getPageFileName(variantData, template, {buildAll, buildVariants}) {
+	if (buildVariants) {
+		return buildAll
+			? `${getResumeFileName(variantData)}-${getTemplateFileName(template.id)}`
+			: `${getResumeFileName(variantData)}.html`
+	}
+
+	return buildAll ? getTemplateFileName(template.id) : 'index.html'
+}
+
+/**
+ * Read a bundled font from public/fonts, used by the PDF export
+ * @param {string} fileName - Font file name
+ * @returns {Buffer} Font file contents
+ */
+function loadFontFile(fileName) {
+	return readFileSync(join(getProjectRoot(), 'public', 'fonts', fileName))
+}
+
+/**
+ * Get the output file name of an export next to a generated page
+ * Exports are named like browser downloads ("Name_Resume_Prospect", see getResumeFileName),
+ * plus the template when building all templates
+ * @param {Object} variantData - Resume data with the page's variant applied
+ * @param {Object} template - Template config of the page
+ * @param {string} extension - File extension of the format
+ * @param {Object} options - Build options
+ * @returns {string} File name
+ * @example
+ * getExportFileName(data, templates.classic, 'txt', {buildAll: true}) // 'Jane_Doe_Resume-classic.txt'
+ */
+function getExportFileName(variantData, template, extension, {buildAll}) {
+	return buildAll
+		? `${getResumeFileName(variantData)}-${template.id}.${extension}`
+		: `${getResumeFileName(variantData)}.${extension}`
+}
+
+/**
+ * Get the BibTeX export of a variant's publications
+ * The bibliography does not depend on the template, so it is written once per variant
+ * @param {Object} variantData - Resume data with the variant applied
+ * @param {Object} processedData - Processed resume data of the variant
+ * @param {Object} options - Build options
+ * @param {string} options.outDir - Output directory
+ * @param {Array<string>} options.formats - Requested output formats
+ * @param {string} options.templateId - Template ID passed to the renderer
+ * @returns {Array<Object>} The export, or none without publications or when 'bibtex' is already requested per page
+ */
+function getBibliographyExports(variantData, processedData, {outDir, formats, templateId}) {
+	if (!(processedData.publications?.length > 0) || formats.includes('bibtex')) {
+		return []
+	}
+
+	const format = getOutputFormat('bibtex')
+	return [{
+		format,
+		exportPath: join(outDir, `${getResumeFileName(variantData)}.${format.extension}`),
+		processedData,
+		templateId
+	}]
+}
+
+/**
+ * Write static HTML files for resume data
+ * Renders the given template to index.html. When building all templates and/or all variants,
+ * writes one page per template and variant plus an index page linking them.
+ * Each page gets an SVG social card and the requested output formats (e.g. plain text) written next to it;
+ * each variant with publications also gets a BibTeX file of them
+ * @async
+ * @param {Object} resumeData - Raw resume data
+ * @param {Object} options - Output options
+ * @param {string} options.templateId - Template ID to render when not building all templates
+ * @param {boolean} [options.buildAll=false] - Whether to build every registered template
+ * @param {string|null} [options.variant=null] - Variant from `meta.variants` to render
+ * @param {boolean} [options.buildVariants=false] - Whether to build every declared variant
+ * @param {string} options.outDir - Directory to write the HTML files to
+ * @param {string|null} [options.cssFile=null] - Stylesheet to link from each page
+ * @param {string|null} [options.locale=null] - Locale override, otherwise meta.language is used
+ * @param {Array<string>} [options.formats=[]] - Output formats to write next to each page
+ * @param {number} [options.lineWidth] - Line width of the plain-text export
+ * @param {string|Object|null} [options.theme] - Theme preset or tokens for every page, see theme.js
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+async function writeStaticHTML(resumeData, options) {
+	const {
+		templateId, buildAll = false, variant = null, buildVariants = false, outDir, cssFile = null, locale = null,
+		formats = [], lineWidth, theme = templateConfig.theme
+	} = options
+
+	const variantNames = buildVariants ? getVariantNames(resumeData) : [variant]
+	if (variantNames.length === 0) {
+		throw new Error('No variants declared in meta.variants')
+	}
+
+	const builtTemplates = buildAll ? getAllTemplates() : [templates[templateId]]
+	const variants = await Promise.all(variantNames.map(async variantName => ({
+		variantName,
+		variantData: applyVariant(resumeData, variantName),
+		processedData: await processResumeData(resumeData, {locale, variant: variantName})
+	})))
+	const outputPaths = []
+	const links = []
+	const exports = []
+	const unmappedReports = new Set()
+
+	for (const {variantName, variantData, processedData} of variants) {
+		for (const template of builtTemplates) {
+			const fileName = getPageFileName(variantData, template, {buildAll, buildVariants})
+			const outputPath = join(outDir, fileName)
+			// The card shares the sanitized base name of the exports; the page refers to it by URL
+			const socialCardFile = getExportFileName(variantData, template, 'card.svg', {buildAll})
+			const socialCardPath = join(outDir, socialCardFile)
+			const socialCard = encodeURIComponent(socialCardFile)
+
+			writeFileSync(socialCardPath, renderSocialCard(processedData, template.id, theme), 'utf-8')
+			writeFileSync(outputPath, renderDocument(variantData, processedData, template.id, {cssFile, socialCard, theme}), 'utf-8')
+			console.log(`✅ ${[variantName, template.name].filter(Boolean).join(' / ')} generated: ${outputPath}`)
+			outputPaths.push(outputPath, socialCardPath)
+
+			exports.push(...formats.map(formatId => ({
+				format: getOutputFormat(formatId),
+				exportPath: join(outDir, getExportFileName(variantData, template, getOutputFormat(formatId).extension, {buildAll})),
+				processedData,
+				templateId: template.id
+			})))
 
-		// Write the complete HTML to dist folder
-		const distPath = join(getProjectRoot(), 'dist')
-		const outputPath = join(distPath, 'index.html')
+			links.push({
+				href: fileName,
+				label: buildVariants ? variantData.meta.prospect : template.name,
+				description: buildVariants && buildAll ? template.name : template.description
+			})
+		}
+
+		exports.push(...getBibliographyExports(variantData, processedData, {outDir, formats, templateId: builtTemplates[0].id}))
+	}
+
+	const exportPaths = await Promise.all(exports.map(async ({
+		format, exportPath, processedData, templateId: exportTemplateId
+	}) => {
+		const contents = await format.render(processedData, {
+			templateId: exportTemplateId,
+			theme,
+			lineWidth,
+			printSettings: templateConfig.sharedSettings.printSettings,
+			loadFont: loadFontFile
+		})
+		writeFileSync(exportPath, contents)
+		console.log(`✅ ${format.name} generated: ${exportPath}`)
 
-		writeFileSync(outputPath, completeHTML, 'utf-8')
-		console.log(`✅ Static HTML generated successfully: ${outputPath}`)
+		// Pages of one variant share their data, so each report is printed once
+		const report = formatUnmappedFields(format, format.report?.(processedData) ?? [])
+		if (report && !unmappedReports.has(report)) {
+			unmappedReports.add(report)
+			console.warn(report)
+		}
+
+		return exportPath
+	}))
+	outputPaths.push(...exportPaths)
+
+	if (links.length > 1 || buildVariants) {
+		const indexPath = join(outDir, 'index.html')
+		writeFileSync(indexPath, renderIndexDocument(resumeData, links, cssFile, variants[0].processedData.locale), 'utf-8')
+		console.log(`✅ Index generated: ${indexPath}`)
+		outputPaths.push(indexPath)
+	}
 
-		return outputPath
+	return outputPaths
+}
+
+/**
+ * Main build function
+ * Loads public/resume.json (or resume.yaml, resume.yml, resume.json5, resume.jsonc) and writes the static HTML into dist/
+ * @async
+ * @param {Object} [options={}] - Build options, see resolveBuildOptions
+ * @returns {Promise<Array<string>>} Paths of the written files
+ */
+async function buildStaticHTML(options = {}) {
+	try {
+		await loadTemplatePackages()
+		const buildOptions = resolveBuildOptions(options)
+		console.log(buildOptions.buildAll
+			? '🏗️  Building static HTML for all templates'
+			: `🏗️  Building static HTML with template: ${buildOptions.templateId}`)
+
+		// Load resume data from the first of resume.json, resume.yaml, ... in public/
+		const publicDir = join(getProjectRoot(), 'public')
+		const resumeFile = defaultResumeFiles.find(file => existsSync(join(publicDir, file)))
+		if (!resumeFile) {
+			throw new Error(`Resume data not found: add one of ${defaultResumeFiles.join(', ')} to ${publicDir}`)
+		}
+
+		const resumeDataPath = join(publicDir, resumeFile)
+		const resumeData = parseResumeText(readFileSync(resumeDataPath, 'utf-8'), {source: resumeDataPath})
+		console.log(`📄 Resume data loaded from ${resumeFile}`)
+
+		const {data, validation, metadata} = await new DataProcessor({logger: silentLogger}).processResumeData(resumeData)
+		const {changes} = metadata.migration
+		if (changes.length > 0) {
+			console.warn(`⚠️  Migrated ${changes.length} legacy fields in ${resumeFile}; run "npm run cli -- migrate ${join('public', resumeFile)} --write" to update the file:\n`
+				+ changes.map(change => `  • ${change.message}`).join('\n'))
+		}
+
+		if (!validation.isValid) {
+			const report = validation.issues.map(issue => `  ✗ ${formatValidationIssue(issue)}`).join('\n')
+			if (buildOptions.strict) {
+				throw new Error(`Resume validation failed with ${validation.errors.length} errors (strict mode):\n${report}`)
+			}
+
+			console.warn(`⚠️  Resume has ${validation.errors.length} validation errors:\n${report}`)
+		}
+
+		return await writeStaticHTML(data, {
+			...buildOptions,
+			outDir: join(getProjectRoot(), 'dist'),
+			cssFile: getCSSFile()
+		})
 	} catch (error) {
-		console.error('❌ Failed to build static HTML:', error.message)
+		console.error('❌ Failed to build static HTML:', formatParseError(error))
 		process.exit(1)
 	}
 }
 
 /**
 * Process resume data for template rendering
-* Adds formatted date ranges to work, education, projects, and volunteer experience
+* Applies the resume variant, resolves the locale and adds formatted dates (and optional durations) to dated entries
 * @param {Object} data - Raw resume data
-* @returns {Object} Processed resume data with formatted dates
-* @throws {TemplateRenderError} When data processing fails
+* @param {Object} [options={}] - Processing options
+* @param {string|null} [options.locale=null] - Locale override, otherwise meta.language is used
+* @param {string|null} [options.variant=null] - Variant from `meta.variants` to apply
+* @returns {Object} Processed resume data with `locale` and formatted dates
+* @throws {Error} When the data cannot be prepared, e.g. for an unknown variant
 */
-async function processResumeData(data) {
+async function processResumeData(data, {locale = null, variant = null} = {}) {
 	try {
-		// Create a deep copy to avoid modifying original data
-		const processedData = structuredClone(data)
-
-		// Process work experience dates
-		processedData.work &&= processedData.work.map(job => ({
-			...job,
-			formattedDates: formatDateRange(job.startDate, job.endDate)
-		}))
-
-		// Process education dates
-		processedData.education &&= processedData.education.map(edu => ({
-			...edu,
-			formattedDates: formatDateRange(edu.startDate, edu.endDate)
-		}))
-
-		// Process project dates
-		processedData.projects &&= processedData.projects.map(project => ({
-			...project,
-			formattedDates: formatDateRange(project.startDate, project.endDate)
-		}))
-
-		// Process volunteer dates
-		processedData.volunteer &&= processedData.volunteer.map(vol => ({
-			...vol,
-			formattedDates: formatDateRange(vol.startDate, vol.endDate)
-		}))
-
-		return processedData
+		return prepareResumeData(data, {locale, variant})
 	} catch (error) {
-		console.error(`Data processing failed: ${error.message}`)
+		throw new Error(`Data processing failed: ${error.message}`, {cause: error})
 	}
 }
 
@@ -155,4 +593,13 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 	buildStaticHTML()
 }
 
-export {buildStaticHTML}
+export {
+	buildStaticHTML,
+	writeStaticHTML,
+	renderDocument,
+	renderIndexDocument,
+	getDocumentTitle,
+	getTemplateFileName,
+	loadFontFile,
+	processResumeData
+}
@@ -0,0 +1,586 @@
+#!/usr/bin/env node
+
+/**
+ * @fileoverview Command-line interface for JSON Resume Builder
+ * Validates, renders, builds and exports resumes without the Vite dev server
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * jsonresume-meh validate resume.json
+ * jsonresume-meh validate resume.yaml
+ * cat resume.json | jsonresume-meh render --template modern --out resume.html
+ * jsonresume-meh build resume.json --all --out dist
+ * jsonresume-meh export resume.json --format json
+ * jsonresume-meh migrate old-resume.json --write
+ * jsonresume-meh import Basic_LinkedInDataExport.zip --out resume.json
+ */
+
+import {Buffer} from 'buffer'
+import {Console} from 'console'
+import {
+	readFileSync, readdirSync, statSync, writeFileSync, mkdirSync, realpathSync
+} from 'fs'
+import {
+	basename, join, relative, resolve
+} from 'path'
+import process from 'process'
+import {pathToFileURL} from 'url'
+import {parseArgs} from 'util'
+import {inflateRawSync} from 'zlib'
+import {isValidTemplate, templateConfig, templates} from '../../template.config.js'
+import {outputFormats} from '../templates/formats/index.js'
+import {formatUnmappedFields} from '../templates/formats/unmapped-fields.js'
+import {themePresets} from '../templates/utils/theme.js'
+import {applyVariant} from '../templates/utils/variants.js'
+import {readZip} from '../templates/utils/zip.js'
+import {DataProcessor, formatValidationIssue} from './data-processor.js'
+import {
+	loadFontFile, processResumeData, renderDocument, writeStaticHTML
+} from './build-static-html.js'
+import {
+	detectResumeFormat, formatParseError, parseResumeText, serializeResumeText
+} from './resume-parser.js'
+import {detectImporter, getImporter, resumeImporters} from './importers/index.js'
+import {migrateResumeData, schemaGenerations} from './schema-migration.js'
+import {loadTemplatePackages} from './template-packages.js'
+
+/**
+ * Process exit codes
+ * @type {Object<string, number>}
+ * @readonly
+ */
+const EXIT_CODES = {
+	success: 0,
+	invalid: 1,
+	error: 2
+}
+
+/**
+ * Build the usage text shown for --help and usage errors
+ * @returns {string} Usage text
+ */
+function getUsage() {
+	return `Usage: jsonresume-meh <command> [resume] [options]
+
+Commands:
+  validate [resume]   Validate a resume against the JSON Resume schema
+  render [resume]     Render a resume to a complete HTML document
+  build [resume]      Write static HTML files into an output directory
+  export [resume]     Export the processed resume in another format
+  migrate [resume]    Upgrade pre-1.0 field names to the current JSON Resume schema
+  import <source>     Convert a LinkedIn data export (.zip or extracted folder) or a Europass XML CV
+
+The resume is read from the given path, or from stdin when the path is "-" or omitted.
+JSON, JSON5 / JSONC (.json5, .jsonc) and YAML (.yaml, .yml) resumes are detected by extension,
+or by content on stdin.
+
+Options:
+  -t, --template <id>   Template to use (${Object.keys(templates).join(', ')})
+  -o, --out <path>      Output file (render, export, migrate, import) or directory (build, default "dist")
+  -f, --format <name>   Export format (${Object.keys(exportFormats).join(', ')})
+      --all             Build every template plus an index page (build)
+      --css <href>      Stylesheet to link from generated HTML
+      --theme <preset>  Theme preset for generated HTML and document exports (${Object.keys(themePresets).join(', ')}); meta.theme overrides its tokens
+      --formats <list>  Comma-separated formats to write next to built pages (build, default: ${templateConfig.exportOptions.buildFormats.join(',') || 'none'})
+  -w, --width <cols>    Line width of the plain-text format (default ${templateConfig.exportOptions.textLineWidth})
+  -l, --locale <tag>    Locale for section titles and dates (default: meta.language)
+      --variant <name>  Tailor the resume to a variant from meta.variants
+      --variants        Build one page per variant plus an index page (build)
+      --strict          Fail with exit code 1 when the resume is invalid (render, build, export)
+      --write           Overwrite the resume file with the migrated resume (migrate)
+      --from <source>   Import source (${Object.keys(resumeImporters).join(', ')}), detected when omitted (import)
+  -v, --verbose         Print processing details to stderr
+  -h, --help            Show this help
+
+Exit codes: 0 success, 1 invalid resume, 2 usage or runtime error`
+}
+
+/**
+ * Custom error class for command-line usage errors
+ * @class CliUsageError
+ * @extends {Error}
+ */
+class CliUsageError extends Error {
+	/**
+	 * Creates an instance of CliUsageError
+	 * @param {string} message - Error message shown above the usage text
+	 */
+	constructor(message) {
+		super(message)
+		this.name = 'CliUsageError'
+	}
+}
+
+/**
+ * Export format writers
+ * Each writer receives the processed resume and CLI options and returns the file contents;
+ * the output formats shared with the static build and the browser app are added from the registry
+ * @type {Object<string, Function>}
+ */
+const exportFormats = {
+	json: ({data}, {variant}) => `${JSON.stringify(variant ? applyVariant(data, variant) : data, null, 2)}\n`,
+	html: async ({data}, {templateId, css, locale, variant, theme}) => renderDocument(
+		applyVariant(data, variant),
+		await processResumeData(data, {locale, variant}),
+		templateId,
+		{cssFile: css, theme}
+	),
+	...Object.fromEntries(Object.entries(outputFormats).map(([formatId, format]) => [
+		formatId,
+		async ({data}, {templateId, locale, variant, width, theme = templateConfig.theme}) => {
+			const processedData = await processResumeData(data, {locale, variant})
+			const contents = await format.render(processedData, {
+				templateId,
+				theme,
+				lineWidth: width,
+				printSettings: templateConfig.sharedSettings.printSettings,
+				loadFont: loadFontFile
+			})
+
+			const report = formatUnmappedFields(format, format.report?.(processedData) ?? [])
+			if (report) {
+				console.error(report)
+			}
+
+			return contents
+		}
+	]))
+}
+
+/**
+ * Logger that discards everything, used unless --verbose is given
+ * @type {Object}
+ */
+const silentLogger = Object.fromEntries(['log', 'warn', 'error'].map(method => [method, () => undefined]))
+
+/**
+ * Read the raw resume text from a file path or stdin
+ * @async
+ * @param {string|undefined} source - File path, "-" or undefined for stdin
+ * @returns {Promise<string>} Raw resume text
+ * @throws {CliUsageError} When no path is given and stdin is a terminal
+ */
+async function readResumeSource(source) {
+	if (source && source !== '-') {
+		return readFileSync(resolve(source), 'utf-8')
+	}
+
+	if (process.stdin.isTTY) {
+		throw new CliUsageError('No resume given: pass a file path or pipe a resume to stdin')
+	}
+
+	const chunks = []
+	for await (const chunk of process.stdin) {
+		chunks.push(chunk)
+	}
+
+	return Buffer.concat(chunks).toString('utf-8')
+}
+
+/**
+ * Load, parse and validate a resume through DataProcessor
+ * @async
+ * @param {string|undefined} source - File path, "-" or undefined for stdin
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} DataProcessor result with data, validation and metadata
+ * @throws {ResumeParseError} When the resume is not valid JSON, JSON5 or YAML
+ */
+async function loadResume(source, options) {
+	const processor = new DataProcessor({logger: options.logger})
+	const result = await processor.processResumeData(await readResume(source))
+
+	const {changes} = result.metadata.migration
+	if (changes.length > 0) {
+		console.error(`ℹ️  Migrated ${changes.length} legacy fields in memory; run "jsonresume-meh migrate ${source || '-'} --write" to update the file`)
+	}
+
+	return result
+}
+
+/**
+ * Read and parse a resume without processing it
+ * @async
+ * @param {string|undefined} source - File path, "-" or undefined for stdin
+ * @returns {Promise<Object>} Resume data as written
+ * @throws {ResumeParseError} When the resume is not valid JSON, JSON5 or YAML
+ */
+async function readResume(source) {
+	return parseResumeText(await readResumeSource(source), {source: getSourceName(source)})
+}
+
+/**
+ * Name of a resume source for messages and format detection
+ * @param {string|undefined} source - File path, "-" or undefined for stdin
+ * @returns {string} File path, or "<stdin>"
+ */
+function getSourceName(source) {
+	return source && source !== '-' ? source : '<stdin>'
+}
+
+/**
+ * Files of an import source worth decoding; LinkedIn archives also hold media and HTML
+ * @type {RegExp}
+ */
+const importFilePattern = /\.(csv|xml)$/i
+
+/**
+ * Read the files of an import source: a ZIP archive, an extracted folder or a single file
+ * @async
+ * @param {string|undefined} source - Path of the archive, folder or file
+ * @returns {Promise<Array<{name: string, text: string}>>} CSV and XML files with their paths inside the source
+ * @throws {CliUsageError} When no source is given
+ */
+async function readImportSource(source) {
+	if (!source || source === '-') {
+		throw new CliUsageError('No import source given: pass a LinkedIn export (.zip or folder) or a Europass XML file')
+	}
+
+	const path = resolve(source)
+	const decoder = new TextDecoder()
+
+	if (statSync(path).isDirectory()) {
+		return readdirSync(path, {recursive: true, withFileTypes: true})
+			.filter(entry => entry.isFile() && importFilePattern.test(entry.name))
+			.map(entry => {
+				const filePath = join(entry.parentPath ?? entry.path, entry.name)
+				return {name: relative(path, filePath), text: readFileSync(filePath, 'utf-8')}
+			})
+	}
+
+	if (/\.zip$/i.test(path)) {
+		const entries = await readZip(readFileSync(path), {inflateRaw: inflateRawSync})
+		return entries
+			.filter(({name}) => importFilePattern.test(name))
+			.map(({name, data}) => ({name, text: decoder.decode(data)}))
+	}
+
+	return [{name: basename(path), text: readFileSync(path, 'utf-8')}]
+}
+
+/**
+ * Print validation errors to stderr
+ * @param {Object} validation - Validation result from DataProcessor
+ */
+function reportValidation(validation) {
+	for (const issue of validation.issues) {
+		console.error(`  ✗ ${formatValidationIssue(issue)}`)
+	}
+}
+
+/**
+ * Write output to a file or stdout
+ * @param {string} contents - Output contents
+ * @param {string|undefined} out - Output path, stdout when omitted
+ */
+function writeOutput(contents, out) {
+	if (out) {
+		writeFileSync(resolve(out), contents, 'utf-8')
+		console.error(`✅ Written to ${resolve(out)}`)
+	} else {
+		process.stdout.write(contents)
+	}
+}
+
+/**
+ * Check the validation result before producing output
+ * Without --strict an invalid resume only triggers a warning; with --strict the errors are listed
+ * and the command must stop
+ * @param {Object} result - DataProcessor result
+ * @param {Object} options - CLI options
+ * @returns {boolean} Whether the command may continue
+ */
+function checkValidation(result, options) {
+	const {validation} = result
+	if (validation.isValid) {
+		return true
+	}
+
+	if (options.strict) {
+		console.error(`❌ Resume validation failed with ${validation.errors.length} errors (--strict)`)
+		reportValidation(validation)
+		return false
+	}
+
+	console.error(`⚠️  Resume has ${validation.errors.length} validation errors, run "validate" for details`)
+	return true
+}
+
+/**
+ * Command handlers
+ * Each handler receives the resume source and CLI options and resolves to an exit code
+ * @type {Object<string, Function>}
+ */
+const commands = {
+	async validate(source, options) {
+		const {validation} = await loadResume(source, options)
+
+		if (validation.isValid) {
+			console.log('✅ Resume is valid')
+			return EXIT_CODES.success
+		}
+
+		console.error(`❌ Resume validation failed with ${validation.errors.length} errors`)
+		reportValidation(validation)
+		return EXIT_CODES.invalid
+	},
+
+	async render(source, options) {
+		const result = await loadResume(source, options)
+		if (!checkValidation(result, options)) {
+			return EXIT_CODES.invalid
+		}
+
+		writeOutput(await exportFormats.html(result, options), options.out)
+		return EXIT_CODES.success
+	},
+
+	async build(source, options) {
+		const result = await loadResume(source, options)
+		if (!checkValidation(result, options)) {
+			return EXIT_CODES.invalid
+		}
+
+		const outDir = resolve(options.out || 'dist')
+		mkdirSync(outDir, {recursive: true})
+
+		await writeStaticHTML(result.data, {
+			templateId: options.templateId,
+			buildAll: options.all,
+			variant: options.variant,
+			buildVariants: options.variants,
+			outDir,
+			cssFile: options.css,
+			locale: options.locale,
+			formats: options.formats,
+			lineWidth: options.width,
+			theme: options.theme
+		})
+		return EXIT_CODES.success
+	},
+
+	async export(source, options) {
+		const writer = exportFormats[options.format]
+		if (!writer) {
+			throw new CliUsageError(`Unknown format "${options.format}". Available formats: ${Object.keys(exportFormats).join(', ')}`)
+		}
+
+		const result = await loadResume(source, options)
+		if (!checkValidation(result, options)) {
+			return EXIT_CODES.invalid
+		}
+
+		writeOutput(await writer(result, options), options.out)
+		return EXIT_CODES.success
+	},
+
+	async migrate(source, options) {
+		const sourceName = getSourceName(source)
+		if (options.write && (sourceName === '<stdin>' || options.out)) {
+			throw new CliUsageError(options.out ? '--write and --out cannot be combined' : '--write needs a resume file path')
+		}
+
+		const text = await readResumeSource(source)
+		const {data, generation, changes} = migrateResumeData(parseResumeText(text, {source: sourceName}))
+		if (changes.length === 0) {
+			console.error(`✅ Resume already matches JSON Resume ${schemaGenerations.current}, nothing to migrate`)
+		} else {
+			console.error(`🔧 Migrated ${changes.length} fields (${generation} schema detected):`)
+			for (const change of changes) {
+				console.error(`  • ${change.message}`)
+			}
+		}
+
+		const validation = await new DataProcessor({logger: options.logger}).validateResumeData(data)
+		if (!validation.isValid) {
+			console.error(`⚠️  The migrated resume still has ${validation.errors.length} validation errors`)
+			reportValidation(validation)
+		}
+
+		// Rewriting an up-to-date file would only reformat it
+		if (options.write && changes.length === 0) {
+			return EXIT_CODES.success
+		}
+
+		// Keep the format of the resume unless the --out extension names another one
+		const out = options.write ? source : options.out
+		writeOutput(serializeResumeText(data, {format: detectResumeFormat({source: out || sourceName, text})}), out)
+		return EXIT_CODES.success
+	},
+
+	async import(source, options) {
+		if (options.from && !Object.hasOwn(resumeImporters, options.from)) {
+			throw new CliUsageError(`Unknown import source "${options.from}". Available sources: ${Object.keys(resumeImporters).join(', ')}`)
+		}
+
+		const files = await readImportSource(source)
+		const importerId = options.from || detectImporter(files)
+		if (!importerId) {
+			throw new CliUsageError(`${source} is neither a LinkedIn data export nor a Europass XML CV; pass --from to choose the importer`)
+		}
+
+		const importer = getImporter(importerId)
+		const {data, unmapped, sources} = importer.import(files)
+		console.error(`🔧 Imported ${importer.name}: ${sources.join(', ')}`)
+
+		if (unmapped.length > 0) {
+			console.error(`⚠️  ${unmapped.length} fields could not be mapped to JSON Resume and were left out:`)
+			for (const field of unmapped) {
+				console.error(`  • ${field.source}: ${field.field} (${field.count} ${field.count === 1 ? 'value' : 'values'})`)
+			}
+		}
+
+		const result = await new DataProcessor({logger: options.logger}).processResumeData(data)
+		if (!result.validation.isValid) {
+			console.error(`⚠️  The imported resume has ${result.validation.errors.length} validation errors`)
+			reportValidation(result.validation)
+		}
+
+		// The defaults fill in every section for editing, but an empty canonical URL would fail validation
+		const {canonical, ...meta} = result.data.meta
+		writeOutput(serializeResumeText({...result.data, meta: canonical ? result.data.meta : meta}, {source: options.out}), options.out)
+		return EXIT_CODES.success
+	}
+}
+
+/**
+ * Parse the line width of the plain-text format
+ * @param {string|number} width - Width from --width, VITE_TEXT_LINE_WIDTH or the config
+ * @returns {number} Line width in columns
+ * @throws {CliUsageError} When the width is not a positive whole number
+ */
+function parseLineWidth(width) {
+	const lineWidth = Number(width)
+	if (!Number.isInteger(lineWidth) || lineWidth < 1) {
+		throw new CliUsageError(`Invalid line width "${width}": expected a positive whole number of columns`)
+	}
+
+	return lineWidth
+}
+
+/**
+ * Parse a comma-separated list of output formats
+ * @param {string|undefined} list - Format list, e.g. "text,markdown"
+ * @returns {Array<string>} Format IDs, the configured build formats when no list is given
+ * @throws {CliUsageError} When a format does not exist
+ */
+function parseFormatList(list) {
+	const formats = list === undefined
+		? templateConfig.exportOptions.buildFormats
+		: list.split(',').map(format => format.trim()).filter(Boolean)
+
+	const unknown = formats.filter(format => !Object.hasOwn(outputFormats, format))
+	if (unknown.length > 0) {
+		throw new CliUsageError(`Unknown format "${unknown[0]}". Available formats: ${Object.keys(outputFormats).join(', ')}`)
+	}
+
+	return formats
+}
+
+/**
+ * Parse command-line arguments into a command, resume source and options
+ * @param {Array<string>} argv - Arguments without the node binary and script path
+ * @returns {Object} Parsed command, source and options
+ * @throws {CliUsageError} When arguments are invalid
+ */
+function parseCommandLine(argv) {
+	let parsed
+	try {
+		parsed = parseArgs({
+			args: argv,
+			allowPositionals: true,
+			options: {
+				template: {type: 'string', short: 't'},
+				out: {type: 'string', short: 'o'},
+				format: {type: 'string', short: 'f', default: 'json'},
+				all: {type: 'boolean', default: false},
+				css: {type: 'string'},
+				theme: {type: 'string'},
+				formats: {type: 'string'},
+				width: {type: 'string', short: 'w'},
+				locale: {type: 'string', short: 'l'},
+				variant: {type: 'string'},
+				variants: {type: 'boolean', default: false},
+				strict: {type: 'boolean', default: false},
+				write: {type: 'boolean', default: false},
+				from: {type: 'string'},
+				verbose: {type: 'boolean', short: 'v', default: false},
+				help: {type: 'boolean', short: 'h', default: false}
+			}
+		})
+	} catch (error) {
+		throw new CliUsageError(error.message)
+	}
+
+	const {values, positionals} = parsed
+	const [command, source, ...extra] = positionals
+
+	if (values.help) {
+		return {command: 'help'}
+	}
+
+	if (!command || !Object.hasOwn(commands, command)) {
+		throw new CliUsageError(command ? `Unknown command "${command}"` : 'No command given')
+	}
+
+	if (extra.length > 0) {
+		throw new CliUsageError(`Unexpected arguments: ${extra.join(' ')}`)
+	}
+
+	const templateId = values.template || process.env.VITE_RESUME_TEMPLATE || templateConfig.defaultTemplate
+	if (!isValidTemplate(templateId)) {
+		throw new CliUsageError(`Unknown template "${templateId}". Available templates: ${Object.keys(templates).join(', ')}`)
+	}
+
+	return {
+		command,
+		source,
+		options: {
+			...values,
+			templateId,
+			locale: values.locale || process.env.VITE_RESUME_LOCALE || null,
+			variant: values.variant || process.env.VITE_RESUME_VARIANT || null,
+			strict: values.strict || process.env.VITE_STRICT_VALIDATION === 'true',
+			theme: values.theme || process.env.VITE_RESUME_THEME,
+			formats: parseFormatList(values.formats ?? process.env.VITE_EXPORT_FORMATS),
+			width: parseLineWidth(values.width || process.env.VITE_TEXT_LINE_WIDTH || templateConfig.exportOptions.textLineWidth),
+			logger: values.verbose ? new Console(process.stderr) : silentLogger
+		}
+	}
+}
+
+/**
+ * Run the CLI
+ * @async
+ * @param {Array<string>} [argv=process.argv.slice(2)] - Command-line arguments
+ * @returns {Promise<number>} Process exit code
+ */
+async function run(argv = process.argv.slice(2)) {
+	try {
+		await loadTemplatePackages()
+		const {command, source, options} = parseCommandLine(argv)
+
+		if (command === 'help') {
+			console.log(getUsage())
+			return EXIT_CODES.success
+		}
+
+		return await commands[command](source, options)
+	} catch (error) {
+		if (error instanceof CliUsageError) {
+			console.error(`❌ ${error.message}\n\n${getUsage()}`)
+		} else {
+			console.error(`❌ ${formatParseError(error)}`)
+		}
+
+		return EXIT_CODES.error
+	}
+}
+
+// Run the CLI if this script is executed directly
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+	process.exitCode = await run()
+}
+
+export {
+	run, commands, exportFormats, EXIT_CODES, CliUsageError
+}
@@ -1,6 +1,6 @@
 /**
  * Data Processor Module for JSON Resume
- * Handles reading, parsing, validation, and processing of resume.json files
+ * Handles reading, parsing, validation, and processing of resume files (JSON, JSON5 / JSONC or YAML)
  *
  * @fileoverview This module provides data processing capabilities for JSON Resume format
  * @module DataProcessor
@@ -10,6 +10,28 @@
  */
 
 import {validate as validateResume} from '@jsonresume/schema'
+import {defaultResumeFiles, formatParseError, parseResumeText} from './resume-parser.js'
+import {migrateResumeData, schemaGenerations} from './schema-migration.js'
+
+/**
+ * Path of the sample resume, loaded when none of the default resume files exists
+ * @type {string}
+ */
+const sampleResumePath = '/sample.resume.json'
+
+/**
+ * Get the file to try when a default resume file is missing
+ * @param {string} filePath - Path that was not found
+ * @returns {string|null} Next default resume file, the sample resume after the last one, or null for other paths
+ */
+function getFallbackResumePath(filePath) {
+	const index = defaultResumeFiles.indexOf(filePath.replace(/^\//, ''))
+	if (index === -1) {
+		return null
+	}
+
+	return index + 1 < defaultResumeFiles.length ? `/${defaultResumeFiles[index + 1]}` : sampleResumePath
+}
 
 /**
  * Data Processor Class
@@ -20,10 +42,13 @@ class DataProcessor {
 	/**
 	 * Create a new DataProcessor instance
 	 * @constructor
+	 * @param {Object} [options={}] - Processor options
+	 * @param {Console} [options.logger=console] - Logger for progress and validation messages
 	 */
-	constructor() {
+	constructor({logger = console} = {}) {
 		this.lastModified = null
 		this.validationResult = null
+		this.logger = logger
 
 		/**
 		 * Default values for missing optional fields in resume data
@@ -61,39 +86,38 @@ class DataProcessor {
 
 	/**
 	 * Load resume data from file with automatic fallback to sample data
-	 * @param {string} [filePath='/resume.json'] - Path to resume.json file
+	 * @param {string} [filePath='/resume.json'] - Path to a JSON, JSON5 / JSONC or YAML resume file
 	 * @returns {Promise<Object>} Promise that resolves to processed resume data object
-	 * @throws {DataProcessorError} When file loading or processing fails
-	 * @description If resume.json is not found (404) or if dev server returns HTML instead of JSON,
-	 *              automatically falls back to sample.resume.json
+	 * @throws {DataProcessorError} When file loading, parsing or processing fails
+	 * @description If resume.json is not found (404) or if dev server returns HTML instead of the file,
+	 *              tries resume.yaml, resume.yml, resume.json5 and resume.jsonc, then automatically
+	 *              falls back to sample.resume.json. The format is detected from the extension or content type
 	 * @example
 	 * const processor = new DataProcessor();
-	 * const result = await processor.loadResumeData('/my-resume.json');
+	 * const result = await processor.loadResumeData('/my-resume.yaml');
 	 * console.log(result.data, result.validation, result.metadata);
 	 */
 	async loadResumeData(filePath = '/resume.json') {
 		try {
-			console.log(`📄 Loading resume data from ${filePath}...`)
+			this.logger.log(`📄 Loading resume data from ${filePath}...`)
 			const startTime = performance.now()
 
-			// Fetch the resume.json file
+			// Fetch the resume file
 			const response = await fetch(filePath)
 
-			// Check if the response is actually JSON or if Vite is serving HTML fallback
+			// Check if Vite is serving its HTML fallback instead of the resume file
 			const contentType = response.headers.get('content-type') || ''
 			const isHtmlResponse = contentType.includes('text/html')
 
-			if (
-				!response.ok
-				|| (response.ok && isHtmlResponse && filePath.endsWith('.json'))
-			) {
-				// If resume.json is not found or Vite returns HTML instead of JSON, try fallback to sample.resume.json
-				if (
-					(response.status === 404 || isHtmlResponse)
-					&& filePath === '/resume.json'
-				) {
-					console.warn('⚠️  resume.json not found, falling back to sample.resume.json')
-					return await this.loadResumeData('/sample.resume.json')
+			if (!response.ok || isHtmlResponse) {
+				// If resume.json is not found, try the other default resume files, then sample.resume.json
+				const fallbackPath = getFallbackResumePath(filePath)
+				if ((response.status === 404 || isHtmlResponse) && fallbackPath) {
+					if (fallbackPath === sampleResumePath) {
+						this.logger.warn(`⚠️  ${defaultResumeFiles.join(', ')} not found, falling back to sample.resume.json`)
+					}
+
+					return await this.loadResumeData(fallbackPath)
 				}
 
 				throw new DataProcessorError(
@@ -106,28 +130,22 @@ class DataProcessor {
 			// Get the last modified timestamp
 			this.lastModified = response.headers.get('last-modified') || new Date().toISOString()
 
-			// Parse JSON
-			const rawData = await response.json()
+			// Parse JSON, JSON5 or YAML
+			const rawData = this.parseResumeContent(await response.text(), filePath, contentType)
 			const loadTime = performance.now() - startTime
 
-			console.log(`✅ Resume file loaded in ${Math.round(loadTime)}ms`)
+			this.logger.log(`✅ Resume file loaded in ${Math.round(loadTime)}ms`)
 
 			// Process and validate the data
-			return await this.processResumeData(rawData)
+			const result = await this.processResumeData(rawData)
+			result.metadata.source = filePath
+			return result
 		} catch (error) {
 			if (error instanceof DataProcessorError) {
 				throw error
 			}
 
 			// Handle different types of errors
-			if (error instanceof SyntaxError) {
-				throw new DataProcessorError(
-					`Invalid JSON format in resume file: ${error.message}`,
-					'JSON_PARSE_ERROR',
-					{originalError: error.message}
-				)
-			}
-
 			if (error.name === 'TypeError' && error.message.includes('fetch')) {
 				throw new DataProcessorError(
 					`Network error loading resume file: ${error.message}`,
@@ -144,8 +162,56 @@ class DataProcessor {
 		}
 	}
 
+	/**
+	 * Parse, process and validate resume file contents that were not fetched, such as a file
+	 * opened from the file picker, a dropped file or a resume kept in localStorage
+	 * @param {string} content - Raw file contents
+	 * @param {string} source - File name or path, recorded as `metadata.source`
+	 * @param {Object} [options={}] - Load options
+	 * @param {string} [options.lastModified] - Modification time of the file, now by default
+	 * @param {string} [options.contentType=''] - MIME type of the file, used when the name has no known extension
+	 * @returns {Promise<Object>} Promise that resolves to processed resume data object
+	 * @throws {DataProcessorError} When the contents cannot be parsed or processing fails
+	 * @example
+	 * const result = await processor.loadResumeText(await file.text(), file.name, {contentType: file.type});
+	 */
+	async loadResumeText(content, source, {lastModified = new Date().toISOString(), contentType = ''} = {}) {
+		const rawData = this.parseResumeContent(content, source, contentType)
+
+		this.lastModified = lastModified
+		const result = await this.processResumeData(rawData)
+		result.metadata.source = source
+		return result
+	}
+
+	/**
+	 * Parse resume file contents as JSON, JSON5 / JSONC or YAML
+	 * Parse errors are logged with the source excerpt around the error
+	 * @param {string} content - Raw file contents
+	 * @param {string} source - File name or path
+	 * @param {string} [contentType=''] - Content type of the file
+	 * @returns {Object} Parsed resume data
+	 * @throws {DataProcessorError} With code PARSE_ERROR and the format, line, column and excerpt in `details`
+	 */
+	parseResumeContent(content, source, contentType = '') {
+		try {
+			return parseResumeText(content, {source, contentType})
+		} catch (error) {
+			this.logger.error(`❌ ${formatParseError(error)}`)
+			throw new DataProcessorError(error.message, 'PARSE_ERROR', {
+				filePath: source,
+				format: error.format,
+				line: error.line,
+				column: error.column,
+				excerpt: error.excerpt
+			})
+		}
+	}
+
 	/**
 	 * Process and validate resume data against JSON Resume schema
+	 * Legacy (pre-1.0) fields are migrated first; `metadata.migration` holds the detected schema
+	 * generation and every rewrite, see migrateResumeData
 	 * @param {Object} rawData - Raw resume data from JSON file
 	 * @returns {Promise<Object>} Promise that resolves to processed data with validation results
 	 * @throws {DataProcessorError} When data processing fails
@@ -155,17 +221,25 @@ class DataProcessor {
 	 */
 	async processResumeData(rawData) {
 		try {
-			console.log('🔍 Processing and validating resume data...')
+			this.logger.log('🔍 Processing and validating resume data...')
 			const startTime = performance.now()
 
-			// Apply default values for missing optional fields
-			const processedData = this.applyDefaults(rawData)
+			// Upgrade pre-1.0 field names (website, company, ...) to the current schema
+			const migration = migrateResumeData(rawData)
+			if (migration.changes.length > 0) {
+				this.logger.warn(`⚠️  Migrated ${migration.changes.length} legacy fields to JSON Resume ${schemaGenerations.current}:\n`
+					+ migration.changes.map(change => `  • ${change.message}`).join('\n'))
+			}
 
-			// Validate the data against JSON Resume schema
-			this.validationResult = await this.validateResumeData(processedData)
+			// Validate the migrated data against JSON Resume schema, before empty
+			// defaults (e.g. meta.canonical: '') could fail format checks
+			this.validationResult = await this.validateResumeData(migration.data)
+
+			// Apply default values for missing optional fields
+			const processedData = this.applyDefaults(migration.data)
 
 			const processTime = performance.now() - startTime
-			console.log(`✅ Resume data processed in ${Math.round(processTime)}ms`)
+			this.logger.log(`✅ Resume data processed in ${Math.round(processTime)}ms`)
 
 			return {
 				data: processedData,
@@ -174,7 +248,12 @@ class DataProcessor {
 					loadedAt: new Date().toISOString(),
 					lastModified: this.lastModified,
 					processingTime: Math.round(processTime),
-					isValid: this.validationResult.isValid
+					isValid: this.validationResult.isValid,
+					migration: {
+						generation: migration.generation,
+						declaredVersion: migration.declaredVersion,
+						changes: migration.changes
+					}
 				}
 			}
 		} catch (error) {
@@ -189,7 +268,8 @@ class DataProcessor {
 	/**
 	 * Validate resume data using official @jsonresume/schema package
 	 * @param {Object} resumeData - The resume data to validate
-	 * @returns {Promise<Object>} Promise that resolves to validation result object
+	 * @returns {Promise<Object>} Promise that resolves to validation result object; `issues` holds
+	 *          one {path, value, message, explanation} entry per schema error for display
 	 * @example
 	 * const validation = await processor.validateResumeData(resumeData);
 	 * if (validation.isValid) {
@@ -209,12 +289,13 @@ class DataProcessor {
 				const result = {
 					isValid: isValid === true,
 					errors: errors || [],
+					issues: (errors || []).map(error => describeValidationError(error)),
 					validationTime,
 					schema: 'JSON Resume Schema (Official @jsonresume/schema)'
 				}
 
 				if (result.errors.length > 0) {
-					console.error(`❌ Resume validation failed with ${result.errors.length} errors`, result.errors)
+					this.logger.error(`❌ Resume validation failed with ${result.errors.length} errors:\n${result.issues.map(issue => `  ✗ ${formatValidationIssue(issue)}`).join('\n')}`)
 				}
 
 				resolve(result)
@@ -231,7 +312,7 @@ class DataProcessor {
 	 */
 	applyDefaults(data) {
 		if (!data || typeof data !== 'object') {
-			console.warn('⚠️  Invalid resume data, using defaults')
+			this.logger.warn('⚠️  Invalid resume data, using defaults')
 			return {...this.defaultValues}
 		}
 
@@ -262,6 +343,100 @@ class DataProcessor {
 	}
 }
 
+/**
+ * Describe the JavaScript type of a value for validation messages
+ * @param {*} value - Offending value
+ * @returns {string} Type name such as "string", "array" or "null"
+ */
+function describeType(value) {
+	if (value === null) {
+		return 'null'
+	}
+
+	return Array.isArray(value) ? 'array' : typeof value
+}
+
+/**
+ * Explanations for JSON Schema formats used by the JSON Resume schema
+ * @type {Object<string, string>}
+ */
+const formatExplanations = {
+	uri: 'Must be a complete URL including the scheme, such as https://example.com',
+	email: 'Must be a valid email address, such as name@example.com',
+	'date-time': 'Must be an ISO 8601 date and time, such as 2024-01-31T09:00:00'
+}
+
+/**
+ * Turn a schema validation error into a human readable issue
+ * @param {Object} error - Validation error from @jsonresume/schema (jsonschema)
+ * @returns {{path: string, value: *, message: string, explanation: string}} Issue with its JSON path,
+ *          the offending value, the raw schema message and a plain-language explanation
+ * @example
+ * describeValidationError(error)
+ * // {path: 'work[0].startDate', value: 'May 2020', message: 'does not match pattern ...',
+ * //  explanation: 'Dates must be written as YYYY, YYYY-MM or YYYY-MM-DD'}
+ */
+function describeValidationError(error) {
+	const path = String(error.property || '').replace(/^instance\.?/, '') || '(root)'
+	const {argument} = error
+	let explanation
+
+	switch (error.name) {
+		case 'type': {
+			explanation = `Expected ${[argument].flat().join(' or ')}, but found ${describeType(error.instance)}`
+			break
+		}
+
+		case 'format': {
+			explanation = formatExplanations[argument] || `Must be a valid ${argument}`
+			break
+		}
+
+		case 'pattern': {
+			explanation = String(argument).includes('[1-2][0-9]{3}')
+				? 'Dates must be written as YYYY, YYYY-MM or YYYY-MM-DD'
+				: `Must match the pattern ${argument}`
+			break
+		}
+
+		case 'required': {
+			explanation = `Missing required field "${argument}"`
+			break
+		}
+
+		case 'additionalProperties': {
+			explanation = `Field "${argument}" is not part of the JSON Resume schema`
+			break
+		}
+
+		case 'enum': {
+			explanation = `Must be one of: ${[argument].flat().join(', ')}`
+			break
+		}
+
+		default: {
+			explanation = `Value ${error.message}`
+		}
+	}
+
+	return {
+		path,
+		value: error.instance,
+		message: error.message,
+		explanation
+	}
+}
+
+/**
+ * Format a validation issue as a single line for console output
+ * @param {{path: string, value: *, explanation: string}} issue - Issue from validation.issues
+ * @returns {string} Formatted line, e.g. 'work[0].startDate: Dates must be ... (got "May 2020")'
+ */
+function formatValidationIssue(issue) {
+	const value = issue.value === undefined ? '' : ` (got ${JSON.stringify(issue.value)?.slice(0, 60)})`
+	return `${issue.path}: ${issue.explanation}${value}`
+}
+
 /**
  * Custom error class for data processor specific errors
  * @class
@@ -303,7 +478,9 @@ class DataProcessorError extends Error {
 export const dataProcessor = new DataProcessor()
 
 // Export class and error for direct usage
-export {DataProcessor, DataProcessorError}
+export {
+	DataProcessor, DataProcessorError, describeValidationError, formatValidationIssue
+}
 
 /**
  * Default export of the singleton DataProcessor instance
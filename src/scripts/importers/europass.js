@@ -0,0 +1,423 @@
+/**
+ * @fileoverview Europass CV Importer
+ * Converts a Europass CV saved as XML (the SkillsPassport / LearnerInfo format of the Europass
+ * editor, schema 3.x) into JSON Resume. Every element and attribute read by the mapping is marked,
+ * so whatever was left unread can be reported as unmapped
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {parseXML} from './xml.js'
+
+/**
+ * Elements that only describe the document itself, not the person
+ * @type {Array<string>}
+ */
+const documentElements = ['DocumentInfo', 'PrintingPreferences']
+
+/**
+ * Europass achievement categories (Achievement/Title/Code) and the JSON Resume entries they become
+ * Each list item or paragraph of the achievement description becomes one entry
+ * @type {Map<string, {section: string, field: string}>}
+ */
+const achievementSections = new Map([
+	['publications', {section: 'publications', field: 'name'}],
+	['honors_awards', {section: 'awards', field: 'title'}],
+	['projects', {section: 'projects', field: 'name'}],
+	['certifications', {section: 'certificates', field: 'name'}],
+	['references', {section: 'references', field: 'reference'}]
+])
+
+/**
+ * Europass skill groups under Skills and the names of the JSON Resume skills they become
+ * @type {Object<string, string>}
+ */
+const skillGroups = {
+	Communication: 'Communication',
+	Organisational: 'Organisational',
+	JobRelated: 'Job-related',
+	Computer: 'Digital',
+	Other: 'Other'
+}
+
+/**
+ * Mark an element and everything inside it as read
+ * @param {Object} element - XML element
+ */
+function markRead(element) {
+	element.read = true
+	element.readAttributes = new Set(Object.keys(element.attributes))
+	for (const child of element.children) {
+		markRead(child)
+	}
+}
+
+/**
+ * Read the trimmed text of an element and mark it read
+ * @param {Object} element - XML element
+ * @returns {string} Text
+ */
+function readText(element) {
+	markRead(element)
+	return element.text.trim()
+}
+
+/**
+ * Find the first element at a path below an element
+ * @param {Object|undefined} element - XML element
+ * @param {string} path - Child names separated by "/", e.g. "PersonName/FirstName"
+ * @returns {Object|undefined} Element, or undefined when the path does not exist
+ */
+function find(element, path) {
+	return path.split('/').reduce((current, name) => current?.children.find(child => child.name === name), element)
+}
+
+/**
+ * Find all elements at a path below an element
+ * @param {Object|undefined} element - XML element
+ * @param {string} path - Child names separated by "/"; the last name is matched repeatedly
+ * @returns {Array<Object>} Elements in document order
+ */
+function findAll(element, path) {
+	const names = path.split('/')
+	const parent = find(element, names.slice(0, -1).join('/')) ?? (names.length === 1 ? element : undefined)
+	return parent?.children.filter(child => child.name === names.at(-1)) ?? []
+}
+
+/**
+ * Read the trimmed text of the element at a path and mark it read
+ * @param {Object|undefined} element - XML element
+ * @param {string} path - Path, see find
+ * @returns {string|undefined} Text, or undefined when the element is missing or empty
+ */
+function text(element, path) {
+	const target = find(element, path)
+	if (!target) {
+		return undefined
+	}
+
+	return readText(target) || undefined
+}
+
+/**
+ * Read a coded value such as Country or Field, preferring the label over the code
+ * @param {Object|undefined} element - Element with Code and Label children
+ * @returns {string|undefined} Label or code
+ */
+function label(element) {
+	const code = text(element, 'Code')
+	return text(element, 'Label') ?? code
+}
+
+/**
+ * Read the code of a coded value, for fields such as countryCode that the label only spells out
+ * @param {Object|undefined} element - Element with Code and Label children
+ * @returns {string|undefined} Code
+ */
+function readCode(element) {
+	if (!element) {
+		return undefined
+	}
+
+	markRead(element)
+	return find(element, 'Code')?.text.trim() || undefined
+}
+
+/**
+ * Read a Europass date (<From year="2015" month="--03" day="---01"/>) as an ISO 8601 date
+ * @param {Object|undefined} element - Date element
+ * @returns {string|undefined} "2015", "2015-03" or "2015-03-01"
+ */
+function readDate(element) {
+	if (!element?.attributes.year) {
+		return undefined
+	}
+
+	markRead(element)
+	const {year, month = '', day = ''} = element.attributes
+	return [year, month.replaceAll('-', ''), day.replaceAll('-', '')].filter(Boolean).join('-')
+}
+
+/**
+ * Read a period (Period/From, Period/To, Period/Current)
+ * @param {Object} element - Element with a Period child
+ * @returns {{startDate?: string, endDate?: string}} Dates; ongoing periods have no end date
+ */
+function readPeriod(element) {
+	text(element, 'Period/Current')
+	return {startDate: readDate(find(element, 'Period/From')), endDate: readDate(find(element, 'Period/To'))}
+}
+
+/**
+ * Convert a Europass rich-text description (escaped HTML) to plain text and list items
+ * @param {string|undefined} html - Description
+ * @returns {{text: string, items: Array<string>}} Text without markup, and the list items or paragraphs
+ */
+function readRichText(html = '') {
+	const decode = value => value
+		.replaceAll(/<[^>]+>/g, '')
+		.replaceAll('&nbsp;', ' ')
+		.replaceAll('&lt;', '<')
+		.replaceAll('&gt;', '>')
+		.replaceAll('&quot;', '"')
+		.replaceAll('&#39;', '\'')
+		.replaceAll('&amp;', '&')
+		.replaceAll(/\s+/g, ' ')
+		.trim()
+
+	const blocks = [...html.matchAll(/<(li|p)[^>]*>([\s\S]*?)<\/\1>/gi)].map(match => decode(match[2])).filter(Boolean)
+	const plain = html.replaceAll(/<br\s*\/?>|<\/(p|li)>/gi, '\n')
+	const lines = plain.split('\n').map(line => decode(line)).filter(Boolean)
+
+	return {text: lines.join('\n'), items: blocks.length > 0 ? blocks : lines}
+}
+
+/**
+ * Check whether an imported value is empty: undefined, '', [] or {}
+ * @param {*} value - Value
+ * @returns {boolean} True when the value is empty
+ */
+function isEmpty(value) {
+	return value === undefined || value === '' || (typeof value === 'object' && Object.keys(value).length === 0)
+}
+
+/**
+ * Remove empty values from an entry
+ * @param {Object} entry - Entry
+ * @returns {Object} Entry with only filled fields
+ */
+function compact(entry) {
+	return Object.fromEntries(Object.entries(entry).filter(([, value]) => !isEmpty(value)))
+}
+
+/**
+ * Read the basics from LearnerInfo/Identification and Headline
+ * @param {Object} learner - LearnerInfo element
+ * @returns {Object} JSON Resume basics
+ */
+function readBasics(learner) {
+	const identification = find(learner, 'Identification')
+	// The headline type ("position", "job applied for", ...) only labels the headline, except for a
+	// personal statement, which follows the resume label after a blank line when there is one
+	const headline = text(learner, 'Headline/Description/Label')
+	const isStatement = readCode(find(learner, 'Headline/Type')) === 'personal_statement'
+	const split = isStatement ? (headline?.indexOf('\n\n') ?? -1) : -1
+	const headlineLabel = isStatement && split === -1 ? undefined : headline?.slice(0, split === -1 ? undefined : split)
+	const summary = isStatement ? headline?.slice(split + 1).trim() : undefined
+
+	const contact = find(identification, 'ContactInfo')
+	const address = find(contact, 'Address/Contact')
+	const websites = findAll(contact, 'WebsiteList/Website')
+	// Websites whose use names a network rather than a Europass code are profiles; the first other one is the homepage
+	const homepage = websites.find(website => !find(website, 'Use') || find(website, 'Use/Code'))
+	const profiles = findAll(contact, 'InstantMessagingList/InstantMessaging').map(messenger => compact({
+		network: label(find(messenger, 'Use')),
+		username: text(messenger, 'Contact')
+	}))
+	for (const website of websites.filter(website => website !== homepage)) {
+		const network = label(find(website, 'Use'))
+		const url = text(website, 'Contact')
+		// A profile exported with both a username and a URL comes back as one profile
+		const profile = profiles.find(other => other.network === network && other.username && !other.url)
+		if (profile) {
+			profile.url = url
+		} else {
+			profiles.push(compact({network, url}))
+		}
+	}
+
+	return compact({
+		name: [text(identification, 'PersonName/FirstName'), text(identification, 'PersonName/Surname')].filter(Boolean).join(' '),
+		label: headlineLabel,
+		summary,
+		email: text(contact, 'Email/Contact'),
+		phone: text(findAll(contact, 'TelephoneList/Telephone')[0], 'Contact'),
+		url: text(homepage, 'Contact'),
+		location: compact({
+			address: text(address, 'AddressLine'),
+			postalCode: text(address, 'PostalCode'),
+			city: text(address, 'Municipality'),
+			countryCode: readCode(find(address, 'Country'))
+		}),
+		profiles
+	})
+}
+
+/**
+ * Read LearnerInfo/WorkExperienceList
+ * @param {Object} learner - LearnerInfo element
+ * @returns {Array<Object>} JSON Resume work entries
+ */
+function readWork(learner) {
+	return findAll(learner, 'WorkExperienceList/WorkExperience').map(experience => {
+		const employer = find(experience, 'Employer')
+		const employerAddress = find(employer, 'ContactInfo/Address/Contact')
+		const activities = readRichText(text(experience, 'Activities'))
+
+		return compact({
+			name: text(employer, 'Name'),
+			position: label(find(experience, 'Position')),
+			location: [text(employerAddress, 'Municipality'), label(find(employerAddress, 'Country'))].filter(Boolean).join(', '),
+			url: text(employer, 'ContactInfo/WebsiteList/Website/Contact'),
+			...readPeriod(experience),
+			summary: activities.items.length > 1 ? undefined : activities.text,
+			highlights: activities.items.length > 1 ? activities.items : []
+		})
+	})
+}
+
+/**
+ * Read LearnerInfo/EducationList
+ * @param {Object} learner - LearnerInfo element
+ * @returns {Array<Object>} JSON Resume education entries
+ */
+function readEducation(learner) {
+	return findAll(learner, 'EducationList/Education').map(education => compact({
+		institution: text(education, 'Organisation/Name'),
+		url: text(education, 'Organisation/ContactInfo/WebsiteList/Website/Contact'),
+		area: label(find(education, 'Field')),
+		studyType: text(education, 'Title') ?? label(find(education, 'Level')),
+		...readPeriod(education),
+		courses: readRichText(text(education, 'Activities')).items
+	}))
+}
+
+/**
+ * Read the mother tongues and foreign languages with their CEFR levels
+ * @param {Object} learner - LearnerInfo element
+ * @returns {Array<Object>} JSON Resume language entries
+ */
+function readLanguages(learner) {
+	const linguistic = find(learner, 'Skills/Linguistic')
+	const motherTongues = findAll(linguistic, 'MotherTongueList/MotherTongue').map(language => ({
+		language: label(find(language, 'Description')),
+		fluency: 'Native speaker'
+	}))
+
+	const foreignLanguages = findAll(linguistic, 'ForeignLanguageList/ForeignLanguage').map(language => {
+		// Listening, Reading, SpokenInteraction, ... levels as a range, e.g. "CEFR B2–C1"
+		const levels = (find(language, 'ProficiencyLevel')?.children ?? []).map(level => readText(level)).filter(Boolean).toSorted()
+		const range = [...new Set([levels[0], levels.at(-1)])].filter(Boolean).join('–')
+		return compact({language: label(find(language, 'Description')), fluency: range ? `CEFR ${range}` : undefined})
+	})
+
+	return [...motherTongues, ...foreignLanguages].filter(language => language.language)
+}
+
+/**
+ * Read the skill groups and the driving licences
+ * @param {Object} learner - LearnerInfo element
+ * @returns {Array<Object>} JSON Resume skill entries
+ */
+function readSkills(learner) {
+	const skills = Object.entries(skillGroups).map(([element, name]) => {
+		const {items} = readRichText(text(learner, `Skills/${element}/Description`))
+		return {name, keywords: items}
+	})
+
+	const licences = findAll(learner, 'Skills/Driving/Description/Licence').map(licence => readText(licence)).filter(Boolean)
+	skills.push({name: 'Driving licence', keywords: licences})
+
+	return skills.filter(skill => skill.keywords.length > 0)
+}
+
+/**
+ * Read the achievements that have a JSON Resume section
+ * @param {Object} learner - LearnerInfo element
+ * @param {Object} data - Resume being built, updated in place
+ */
+function readAchievements(learner, data) {
+	for (const achievement of findAll(learner, 'AchievementList/Achievement')) {
+		const code = find(achievement, 'Title/Code')?.text.trim()
+		const target = achievementSections.get(code)
+		if (!target) {
+			continue
+		}
+
+		markRead(find(achievement, 'Title'))
+		const {items} = readRichText(text(achievement, 'Description'))
+		data[target.section] = [...(data[target.section] ?? []), ...items.map(item => ({[target.field]: item}))]
+	}
+}
+
+/**
+ * Collect the elements and attributes with content that were not read
+ * @param {Object} element - XML element
+ * @param {string} path - Path of the element
+ * @param {Map<string, number>} unmapped - Counts by path, updated in place
+ */
+function collectUnread(element, path, unmapped) {
+	const count = key => unmapped.set(key, (unmapped.get(key) || 0) + 1)
+
+	for (const attribute of Object.keys(element.attributes)) {
+		if (!element.readAttributes?.has(attribute)) {
+			count(`${path}/@${attribute}`)
+		}
+	}
+
+	if (!element.read && element.children.length === 0 && element.text.trim()) {
+		count(path)
+	}
+
+	for (const child of element.children) {
+		collectUnread(child, `${path}/${child.name}`, unmapped)
+	}
+}
+
+/**
+ * Check whether a file is a Europass CV
+ * @param {{name: string, text: string}} file - File
+ * @returns {boolean} True for XML files with a SkillsPassport root element
+ */
+export function isEuropassCV(file) {
+	return /\.xml$/i.test(file.name) && /<(\w+:)?SkillsPassport[\s>]/.test(file.text)
+}
+
+/**
+ * Convert a Europass CV into JSON Resume
+ * @param {Array<{name: string, text: string}>} files - Files; the first Europass XML file is read
+ * @returns {{data: Object, unmapped: Array<{source: string, field: string, count: number}>, sources: Array<string>}}
+ *          Resume data, XML elements and attributes with content that were not imported, and the file that was read
+ * @throws {Error} When no Europass XML file is given
+ * @throws {XMLParseError} When the XML is malformed
+ */
+export function importEuropass(files) {
+	const file = files.find(candidate => isEuropassCV(candidate))
+	if (!file) {
+		throw new Error('No Europass CV found; expected an XML file with a SkillsPassport root element')
+	}
+
+	const root = parseXML(file.text)
+	for (const name of documentElements) {
+		const element = find(root, name)
+		if (element) {
+			markRead(element)
+		}
+	}
+
+	const learner = find(root, 'LearnerInfo')
+	const data = {
+		basics: readBasics(learner),
+		work: readWork(learner),
+		education: readEducation(learner),
+		skills: readSkills(learner),
+		languages: readLanguages(learner)
+	}
+	readAchievements(learner, data)
+
+	// The locale of the CV and the schema location are the only attributes of the root element
+	if (root.attributes.locale) {
+		data.meta = {language: root.attributes.locale}
+	}
+
+	root.readAttributes = new Set(Object.keys(root.attributes))
+
+	const unmapped = new Map()
+	collectUnread(root, root.name, unmapped)
+
+	return {
+		data,
+		unmapped: [...unmapped].map(([field, count]) => ({source: file.name, field: field.replace(/^SkillsPassport\/LearnerInfo\//, ''), count})),
+		sources: [file.name]
+	}
+}
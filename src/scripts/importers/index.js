@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Resume Importers
+ * Registry of the converters from other resume sources into JSON Resume. Every importer takes the
+ * files of the source as `{name, text}` pairs (a LinkedIn archive is unpacked by the caller) and
+ * returns the resume data with the fields it could not map. The result is raw data: callers run it
+ * through DataProcessor.processResumeData for the defaults and validation
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {importEuropass, isEuropassCV} from './europass.js'
+import {importLinkedIn, isLinkedInExport} from './linkedin.js'
+
+/**
+ * Imported resume
+ * @typedef {Object} ImportResult
+ * @property {Object} data - JSON Resume data
+ * @property {Array<{source: string, field: string, count: number}>} unmapped - Fields with content that were not imported, by source file
+ * @property {Array<string>} sources - Files that were read
+ */
+
+/**
+ * Importers by ID
+ * @type {Object<string, {name: string, detect: Function, import: Function}>}
+ */
+export const resumeImporters = {
+	linkedin: {
+		name: 'LinkedIn data export',
+		detect: isLinkedInExport,
+		import: importLinkedIn
+	},
+	europass: {
+		name: 'Europass CV (XML)',
+		detect: files => files.some(file => isEuropassCV(file)),
+		import: importEuropass
+	}
+}
+
+/**
+ * Look up an importer
+ * @param {string} importerId - Importer ID
+ * @returns {Object} Importer definition
+ * @throws {Error} When the importer does not exist
+ */
+export function getImporter(importerId) {
+	if (!Object.hasOwn(resumeImporters, importerId)) {
+		throw new Error(`Unknown import source "${importerId}". Available sources: ${Object.keys(resumeImporters).join(', ')}`)
+	}
+
+	return resumeImporters[importerId]
+}
+
+/**
+ * Find the importer that recognizes a set of files
+ * @param {Array<{name: string, text: string}>} files - Files of the source
+ * @returns {string|null} Importer ID, or null when no importer recognizes the files
+ */
+export function detectImporter(files) {
+	return Object.keys(resumeImporters).find(importerId => resumeImporters[importerId].detect(files)) ?? null
+}
@@ -0,0 +1,399 @@
+/**
+ * @fileoverview LinkedIn Data Export Importer
+ * Converts the CSV files of a LinkedIn "Download your data" archive (Profile.csv, Positions.csv,
+ * Education.csv, Skills.csv, ...) into JSON Resume. Each known file is described by a table of
+ * columns and the JSON Resume field they fill; columns with values that have no field are
+ * reported as unmapped
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+/**
+ * English month abbreviations used in LinkedIn dates ("Jan 2020", "Mar 15, 2021")
+ * @type {Array<string>}
+ */
+const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, line breaks inside quotes)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of fields; blank lines are dropped
+ * @example
+ * parseCSV('Name,Note\n"Doe, Jane","Said ""hi"""') // [['Name', 'Note'], ['Doe, Jane', 'Said "hi"']]
+ */
+export function parseCSV(text) {
+	const rows = []
+	let row = []
+	let field = ''
+	let quoted = false
+
+	for (let index = 0; index < text.length; index++) {
+		const character = text[index]
+
+		if (quoted) {
+			if (character === '"' && text[index + 1] === '"') {
+				field += '"'
+				index++
+			} else if (character === '"') {
+				quoted = false
+			} else {
+				field += character
+			}
+		} else if (character === '"') {
+			quoted = true
+		} else if (character === ',') {
+			row.push(field)
+			field = ''
+		} else if (character === '\n' || character === '\r') {
+			if (character === '\r' && text[index + 1] === '\n') {
+				index++
+			}
+
+			row.push(field)
+			rows.push(row)
+			row = []
+			field = ''
+		} else {
+			field += character
+		}
+	}
+
+	row.push(field)
+	rows.push(row)
+	return rows.filter(fields => fields.some(value => value.trim() !== ''))
+}
+
+/**
+ * Convert a LinkedIn date to an ISO 8601 date as used by JSON Resume
+ * @param {string} value - "2020", "Jan 2020", "Mar 15, 2021" or "03/15/2021"
+ * @returns {string} "2020", "2020-01" or "2021-03-15"; other values are returned unchanged
+ */
+export function toResumeDate(value) {
+	const text = value.trim()
+	const pad = number => String(number).padStart(2, '0')
+
+	let match = /^(\d{4})$/.exec(text)
+	if (match) {
+		return match[1]
+	}
+
+	match = /^([a-z]{3})[a-z]*\.? (?:(\d{1,2}), )?(\d{4})$/i.exec(text)
+	if (match && months.includes(match[1].toLowerCase())) {
+		const month = pad(months.indexOf(match[1].toLowerCase()) + 1)
+		return match[2] ? `${match[3]}-${month}-${pad(match[2])}` : `${match[3]}-${month}`
+	}
+
+	match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(text)
+	return match ? `${match[3]}-${pad(match[1])}-${pad(match[2])}` : text
+}
+
+/**
+ * Append a value to a field, separated by a space
+ * @param {string} field - Field name
+ * @returns {Function} Column mapper
+ */
+const appendTo = field => (value, entry) => {
+	entry[field] = entry[field] ? `${entry[field]} ${value}` : value
+}
+
+/**
+ * Set a date field
+ * @param {string} field - Field name
+ * @returns {Function} Column mapper
+ */
+const dateTo = field => (value, entry) => {
+	entry[field] = toResumeDate(value)
+}
+
+/**
+ * Mapper of columns that another column's mapper reads from the row
+ */
+const readWithFirstName = () => undefined
+
+/**
+ * Map the "Websites" column of Profile.csv, e.g. "[PORTFOLIO:https://jane.dev],[OTHER:https://blog.jane.dev]"
+ * The first website becomes basics.url, the others profiles named after their type
+ * @param {string} value - Column value
+ * @param {Object} basics - Basics being built
+ */
+function mapWebsites(value, basics) {
+	for (const [, type = '', url] of value.matchAll(/\[(?:([A-Z_]+):)?([^\]]+)\]/g)) {
+		if (basics.url) {
+			const network = type ? type.charAt(0) + type.slice(1).toLowerCase().replaceAll('_', ' ') : 'Website'
+			basics.profiles.push({network, url: url.trim()})
+		} else {
+			basics.url = url.trim()
+		}
+	}
+}
+
+/**
+ * Map the "Twitter Handles" column of Profile.csv, e.g. "[janedoe]"
+ * @param {string} value - Column value
+ * @param {Object} basics - Basics being built
+ */
+function mapTwitterHandles(value, basics) {
+	for (const [, handle] of value.matchAll(/\[?@?(\w+)\]?/g)) {
+		basics.profiles.push({network: 'Twitter', username: handle, url: `https://twitter.com/${handle}`})
+	}
+}
+
+/**
+ * Map the "Geo Location" column of Profile.csv, e.g. "Berlin, Germany"
+ * @param {string} value - Column value
+ * @param {Object} basics - Basics being built
+ */
+function mapGeoLocation(value, basics) {
+	const [city, ...region] = value.split(',').map(part => part.trim())
+	basics.location.city = city
+	if (region.length > 0) {
+		basics.location.region = region.join(', ')
+	}
+}
+
+/**
+ * Known LinkedIn export files
+ * `section` is the JSON Resume section filled by the file; `single` files fill `basics` from one
+ * row (the row chosen by `select`, or the first). `columns` maps column names to a field name or a
+ * mapper `(value, entry, row) => void`; `ignore` lists bookkeeping columns that are not worth reporting
+ * @type {Object<string, {section: string, single?: boolean, select?: Function, columns: Object<string, string|Function>, ignore?: Array<string>}>}
+ */
+const exportFiles = {
+	'Profile.csv': {
+		section: 'basics',
+		single: true,
+		columns: {
+			'First Name': appendTo('name'),
+			'Last Name': appendTo('name'),
+			Headline: 'label',
+			Summary: 'summary',
+			Address(value, basics) {
+				basics.location.address = value
+			},
+			'Zip Code'(value, basics) {
+				basics.location.postalCode = value
+			},
+			'Geo Location': mapGeoLocation,
+			Websites: mapWebsites,
+			'Twitter Handles': mapTwitterHandles
+		}
+	},
+	'Email Addresses.csv': {
+		section: 'basics',
+		single: true,
+		select: rows => rows.find(row => row.Primary === 'Yes') || rows[0],
+		columns: {'Email Address': 'email'},
+		ignore: ['Confirmed', 'Primary', 'Updated On']
+	},
+	'PhoneNumbers.csv': {
+		section: 'basics',
+		single: true,
+		columns: {
+			Number: 'phone',
+			Extension(value, basics) {
+				basics.phone = `${basics.phone || ''} ext. ${value}`.trim()
+			}
+		},
+		ignore: ['Type']
+	},
+	'Positions.csv': {
+		section: 'work',
+		columns: {
+			'Company Name': 'name',
+			Title: 'position',
+			Description: 'summary',
+			Location: 'location',
+			'Started On': dateTo('startDate'),
+			'Finished On': dateTo('endDate')
+		}
+	},
+	'Volunteering.csv': {
+		section: 'volunteer',
+		columns: {
+			'Company Name': 'organization',
+			Role: 'position',
+			Description: 'summary',
+			'Started On': dateTo('startDate'),
+			'Finished On': dateTo('endDate')
+		}
+	},
+	'Education.csv': {
+		section: 'education',
+		columns: {
+			'School Name': 'institution',
+			'Degree Name': 'studyType',
+			'Start Date': dateTo('startDate'),
+			'End Date': dateTo('endDate')
+		}
+	},
+	'Honors.csv': {
+		section: 'awards',
+		columns: {
+			Title: 'title',
+			Description: 'summary',
+			'Issued On': dateTo('date')
+		}
+	},
+	'Certifications.csv': {
+		section: 'certificates',
+		columns: {
+			Name: 'name',
+			Authority: 'issuer',
+			Url: 'url',
+			'Started On': dateTo('date')
+		}
+	},
+	'Publications.csv': {
+		section: 'publications',
+		columns: {
+			Name: 'name',
+			Publisher: 'publisher',
+			'Published On': dateTo('releaseDate'),
+			Url: 'url',
+			Description: 'summary'
+		}
+	},
+	'Skills.csv': {
+		section: 'skills',
+		columns: {Name: 'name'}
+	},
+	'Languages.csv': {
+		section: 'languages',
+		columns: {Name: 'language', Proficiency: 'fluency'}
+	},
+	'Recommendations_Received.csv': {
+		section: 'references',
+		columns: {
+			// "Jane Doe, CTO at Acme"
+			'First Name'(value, reference, row) {
+				const role = [row['Job Title'], row.Company].filter(Boolean).join(' at ')
+				reference.name = [`${value} ${row['Last Name']}`.trim(), role].filter(Boolean).join(', ')
+			},
+			'Last Name': readWithFirstName,
+			'Job Title': readWithFirstName,
+			Company: readWithFirstName,
+			Text: 'reference'
+		},
+		ignore: ['Creation Date', 'Status']
+	},
+	'Projects.csv': {
+		section: 'projects',
+		columns: {
+			Title: 'name',
+			Description: 'description',
+			Url: 'url',
+			'Started On': dateTo('startDate'),
+			'Finished On': dateTo('endDate')
+		}
+	},
+	'Causes You Care About.csv': {
+		section: 'interests',
+		columns: {'Supported Cause': 'name'}
+	}
+}
+
+/**
+ * Read a CSV file into row objects keyed by column name
+ * LinkedIn puts notes above the header of some files, so rows before the first row naming a known
+ * column are skipped
+ * @param {string} text - CSV text
+ * @param {Array<string>} knownColumns - Columns the file is expected to have
+ * @returns {{columns: Array<string>, rows: Array<Object<string, string>>}} Columns and rows
+ */
+function readTable(text, knownColumns) {
+	const records = parseCSV(text.replace(/^\uFEFF/, ''))
+	const headerIndex = Math.max(0, records.findIndex(record => record.some(value => knownColumns.includes(value.trim()))))
+	const columns = (records[headerIndex] || []).map(value => value.trim())
+	const rows = records.slice(headerIndex + 1).map(record => Object.fromEntries(columns.map((column, index) => [column, (record[index] || '').trim()])))
+
+	return {columns, rows}
+}
+
+/**
+ * Map one CSV row onto a JSON Resume entry
+ * @param {Object<string, string>} row - Row by column name
+ * @param {Object} spec - File description from exportFiles
+ * @param {Object} entry - Entry being built, updated in place
+ * @param {Map<string, number>} unmapped - Counts of unmapped columns with values, updated in place
+ */
+function mapRow(row, spec, entry, unmapped) {
+	for (const [column, value] of Object.entries(row)) {
+		if (!value) {
+			continue
+		}
+
+		const target = spec.columns[column]
+		if (typeof target === 'function') {
+			target(value, entry, row)
+		} else if (target) {
+			entry[target] = value
+		} else if (!spec.ignore?.includes(column)) {
+			unmapped.set(column, (unmapped.get(column) || 0) + 1)
+		}
+	}
+}
+
+/**
+ * Find the base name of a file in an archive, e.g. "Basic_LinkedInDataExport/Positions.csv" → "Positions.csv"
+ * @param {string} name - Path inside the archive or folder
+ * @returns {string} Base name
+ */
+function baseName(name) {
+	return name.split(/[/\\]/).pop()
+}
+
+/**
+ * Check whether a set of files looks like a LinkedIn data export
+ * @param {Array<{name: string}>} files - Files of the archive or folder
+ * @returns {boolean} True when at least one known LinkedIn CSV file is present
+ */
+export function isLinkedInExport(files) {
+	return files.some(file => Object.hasOwn(exportFiles, baseName(file.name)))
+}
+
+/**
+ * Convert a LinkedIn data export into JSON Resume
+ * @param {Array<{name: string, text: string}>} files - Files of the extracted archive; unknown files are ignored
+ * @returns {{data: Object, unmapped: Array<{source: string, field: string, count: number}>, sources: Array<string>}}
+ *          Resume data, columns with values that were not imported, and the files that were read
+ * @throws {Error} When none of the files is a known LinkedIn export file
+ */
+export function importLinkedIn(files) {
+	const data = {basics: {location: {}, profiles: []}}
+	const unmapped = []
+	const sources = []
+
+	for (const [fileName, spec] of Object.entries(exportFiles)) {
+		const file = files.find(candidate => baseName(candidate.name).toLowerCase() === fileName.toLowerCase())
+		if (!file) {
+			continue
+		}
+
+		sources.push(fileName)
+		const {rows} = readTable(file.text, Object.keys(spec.columns))
+		const unmappedColumns = new Map()
+
+		if (spec.single) {
+			const row = spec.select ? spec.select(rows) : rows[0]
+			if (row) {
+				mapRow(row, spec, data.basics, unmappedColumns)
+			}
+		} else {
+			data[spec.section] = rows.map(row => {
+				const entry = {}
+				mapRow(row, spec, entry, unmappedColumns)
+				return entry
+			}).filter(entry => Object.keys(entry).length > 0)
+		}
+
+		for (const [field, count] of unmappedColumns) {
+			unmapped.push({source: fileName, field, count})
+		}
+	}
+
+	if (sources.length === 0) {
+		throw new Error(`No LinkedIn export files found; expected some of: ${Object.keys(exportFiles).join(', ')}`)
+	}
+
+	return {data, unmapped, sources}
+}
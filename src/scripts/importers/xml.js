@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Minimal XML Parser
+ * Parses well-formed XML documents such as Europass CVs into a light element tree. Handles
+ * elements, attributes, text, CDATA, comments, processing instructions and the predefined and
+ * numeric entities; DTDs are skipped and namespaces are reduced to local names.
+ * Runs unchanged in Node.js and the browser
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+/**
+ * Predefined XML entities
+ * @type {Object<string, string>}
+ */
+const entities = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: '\''
+}
+
+/**
+ * Custom error class for malformed XML
+ * @class XMLParseError
+ * @extends {Error}
+ */
+export class XMLParseError extends Error {
+	/**
+	 * Creates an instance of XMLParseError
+	 * @param {string} reason - What is wrong
+	 * @param {string} text - Parsed document
+	 * @param {number} offset - Offset of the error in the document
+	 */
+	constructor(reason, text, offset) {
+		const lines = text.slice(0, offset).split('\n')
+		super(`Invalid XML at line ${lines.length}, column ${lines.at(-1).length + 1}: ${reason}`)
+		this.name = 'XMLParseError'
+		this.line = lines.length
+		this.column = lines.at(-1).length + 1
+	}
+}
+
+/**
+ * Element of a parsed document
+ * @typedef {Object} XMLElement
+ * @property {string} name - Local name, without namespace prefix
+ * @property {Object<string, string>} attributes - Attributes by local name
+ * @property {Array<XMLElement>} children - Child elements in document order
+ * @property {string} text - Text content directly inside the element, with entities decoded
+ */
+
+/**
+ * Decode entities and character references
+ * @param {string} value - Raw text or attribute value
+ * @returns {string} Decoded text
+ */
+function decodeEntities(value) {
+	return value.replaceAll(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+		if (entity.startsWith('#')) {
+			const codePoint = entity[1].toLowerCase() === 'x' ? Number.parseInt(entity.slice(2), 16) : Number(entity.slice(1))
+			return String.fromCodePoint(codePoint)
+		}
+
+		return entities[entity] ?? match
+	})
+}
+
+/**
+ * Strip the namespace prefix of a name
+ * @param {string} name - Qualified name, e.g. "eures:Name"
+ * @returns {string} Local name, e.g. "Name"
+ */
+function localName(name) {
+	return name.slice(name.indexOf(':') + 1)
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} source - Attribute part of the tag
+ * @returns {Object<string, string>} Attributes by local name
+ */
+function parseAttributes(source) {
+	const attributes = {}
+	for (const [, name, , value] of source.matchAll(/([\w:.-]+)\s*=\s*(["'])(.*?)\2/gs)) {
+		if (name !== 'xmlns' && !name.startsWith('xmlns:')) {
+			attributes[localName(name)] = decodeEntities(value)
+		}
+	}
+
+	return attributes
+}
+
+/**
+ * Markup skipped by the parser: comments, processing instructions and the document type
+ * @type {Array<{start: string, end: string}>}
+ */
+const skippedMarkup = [
+	{start: '<!--', end: '-->'},
+	{start: '<?', end: '?>'},
+	{start: '<!DOCTYPE', end: '>'}
+]
+
+/**
+ * Apply a start, end or empty-element tag to the stack of open elements
+ * @param {string} tag - Tag without the angle brackets
+ * @param {Array<XMLElement>} stack - Open elements, updated in place
+ * @param {{text: string, offset: number}} position - Document and tag offset, for errors
+ * @returns {XMLElement|null} Element started by the tag, or null for an end tag
+ * @throws {XMLParseError} When the tag is invalid or closes the wrong element
+ */
+function readTag(tag, stack, {text, offset}) {
+	if (tag.startsWith('/')) {
+		const name = localName(tag.slice(1).trim())
+		const element = stack.pop()
+		if (element?.name !== name) {
+			throw new XMLParseError(element ? `expected </${element.name}>, found </${name}>` : `unexpected </${name}>`, text, offset)
+		}
+
+		return null
+	}
+
+	const [, name = '', attributes = ''] = /^([\w:.-]+)(.*?)\/?$/s.exec(tag) || []
+	if (!name) {
+		throw new XMLParseError('invalid tag', text, offset)
+	}
+
+	const element = {
+		name: localName(name), attributes: parseAttributes(attributes), children: [], text: ''
+	}
+	stack.at(-1)?.children.push(element)
+
+	if (!tag.endsWith('/')) {
+		stack.push(element)
+	}
+
+	return element
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML document
+ * @returns {XMLElement} Root element
+ * @throws {XMLParseError} When tags are not balanced or the document has no root element
+ * @example
+ * parseXML('<a x="1"><b>Hi &amp; bye</b></a>')
+ * // {name: 'a', attributes: {x: '1'}, children: [{name: 'b', attributes: {}, children: [], text: 'Hi & bye'}], text: ''}
+ */
+export function parseXML(text) {
+	const stack = []
+	let root = null
+	let offset = 0
+
+	const appendText = value => {
+		if (stack.length > 0) {
+			stack.at(-1).text += value
+		} else if (value.trim()) {
+			throw new XMLParseError('text outside the root element', text, offset)
+		}
+	}
+
+	while (offset < text.length) {
+		const tagStart = text.indexOf('<', offset)
+		if (tagStart === -1) {
+			appendText(decodeEntities(text.slice(offset)))
+			break
+		}
+
+		appendText(decodeEntities(text.slice(offset, tagStart)))
+		offset = tagStart
+
+		const skipped = skippedMarkup.find(({start}) => text.startsWith(start, offset))
+		if (skipped) {
+			const markupEnd = text.indexOf(skipped.end, offset)
+			if (markupEnd === -1) {
+				throw new XMLParseError(`unterminated ${skipped.start}`, text, offset)
+			}
+
+			offset = markupEnd + skipped.end.length
+			continue
+		}
+
+		if (text.startsWith('<![CDATA[', offset)) {
+			const cdataEnd = text.indexOf(']]>', offset)
+			if (cdataEnd === -1) {
+				throw new XMLParseError('unterminated CDATA section', text, offset)
+			}
+
+			appendText(text.slice(offset + 9, cdataEnd))
+			offset = cdataEnd + 3
+			continue
+		}
+
+		const tagEnd = text.indexOf('>', offset)
+		if (tagEnd === -1) {
+			throw new XMLParseError('unterminated tag', text, offset)
+		}
+
+		const topLevel = stack.length === 0
+		const element = readTag(text.slice(offset + 1, tagEnd), stack, {text, offset})
+		if (element && topLevel) {
+			if (root) {
+				throw new XMLParseError('more than one root element', text, offset)
+			}
+
+			root = element
+		}
+
+		offset = tagEnd + 1
+	}
+
+	if (stack.length > 0) {
+		throw new XMLParseError(`<${stack.at(-1).name}> is not closed`, text, text.length)
+	}
+
+	if (!root) {
+		throw new XMLParseError('no root element', text, 0)
+	}
+
+	return root
+}
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview Resume Parser
+ * Parses resume files written in JSON, JSON5 / JSONC (JSON with comments and trailing commas) or
+ * YAML. The format is detected from the file extension, then the content type, then the text
+ * itself. Parse errors carry the line, column and an excerpt of the source around the error.
+ * Shared by the browser app, the static build and the CLI
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * parseResumeText('basics:\n  name: Jane Doe', {source: 'resume.yaml'}) // {basics: {name: 'Jane Doe'}}
+ */
+
+import {CORE_SCHEMA, dump as dumpYAML, load as loadYAML} from 'js-yaml'
+import JSON5 from 'json5'
+
+/**
+ * Supported resume formats with their file extensions and content types
+ * @type {Object<string, {name: string, extensions: Array<string>, contentTypes: Array<string>}>}
+ */
+export const resumeFormats = {
+	json: {
+		name: 'JSON',
+		extensions: ['.json'],
+		contentTypes: ['application/json']
+	},
+	json5: {
+		name: 'JSON5',
+		extensions: ['.json5', '.jsonc'],
+		contentTypes: ['application/json5', 'application/jsonc']
+	},
+	yaml: {
+		name: 'YAML',
+		extensions: ['.yaml', '.yml'],
+		contentTypes: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml']
+	}
+}
+
+/**
+ * File names looked up, in order, when no resume file is given (public/ in the app and the static build)
+ * @type {Array<string>}
+ */
+export const defaultResumeFiles = ['resume.json', 'resume.yaml', 'resume.yml', 'resume.json5', 'resume.jsonc']
+
+/**
+ * Lines of source shown before and after the error line in excerpts
+ * @type {{before: number, after: number}}
+ */
+const excerptContext = {before: 2, after: 1}
+
+/**
+ * Custom error class for resume files that cannot be parsed
+ * @class ResumeParseError
+ * @extends {Error}
+ */
+export class ResumeParseError extends Error {
+	/**
+	 * Creates an instance of ResumeParseError
+	 * @param {string} reason - What the parser expected or found
+	 * @param {Object} location - Where the error is
+	 * @param {string} location.source - File name or path
+	 * @param {string} location.format - Format ID from resumeFormats
+	 * @param {number|null} [location.line=null] - Line, starting at 1
+	 * @param {number|null} [location.column=null] - Column, starting at 1
+	 * @param {string} [location.excerpt=''] - Source lines around the error with a caret under the column
+	 */
+	constructor(reason, {source, format, line = null, column = null, excerpt = ''}) {
+		const position = line === null ? '' : ` at line ${line}, column ${column}`
+		super(`Invalid ${resumeFormats[format].name} in ${source}${position}: ${reason}`)
+		this.name = 'ResumeParseError'
+		this.reason = reason
+		this.source = source
+		this.format = format
+		this.line = line
+		this.column = column
+		this.excerpt = excerpt
+	}
+}
+
+/**
+ * Get the extension of a file name or URL path
+ * @param {string} source - File name, path or URL
+ * @returns {string} Lowercase extension with the dot, or ''
+ */
+function getExtension(source) {
+	const fileName = String(source).split(/[?#]/)[0].split('/').pop()
+	const dot = fileName.lastIndexOf('.')
+	return dot > 0 ? fileName.slice(dot).toLowerCase() : ''
+}
+
+/**
+ * Detect the format of a resume file
+ * The extension wins over the content type, since static servers often send YAML and JSON5 as
+ * text/plain or application/octet-stream. Without either, text starting with `{` or `[` is JSON,
+ * with a comment JSON5, and anything else YAML
+ * @param {Object} file - What is known about the file
+ * @param {string} [file.source=''] - File name or path
+ * @param {string} [file.contentType=''] - Content-Type header or File.type
+ * @param {string} [file.text=''] - File contents
+ * @returns {string} Format ID from resumeFormats
+ * @example
+ * detectResumeFormat({source: '/cv.yml'}) // 'yaml'
+ * detectResumeFormat({contentType: 'application/json; charset=utf-8'}) // 'json'
+ */
+export function detectResumeFormat({source = '', contentType = '', text = ''}) {
+	const extension = getExtension(source)
+	const mimeType = contentType.split(';')[0].trim().toLowerCase()
+	const entries = Object.entries(resumeFormats)
+
+	const format = entries.find(([, {extensions}]) => extensions.includes(extension))
+		|| entries.find(([, {contentTypes}]) => contentTypes.includes(mimeType))
+	if (format) {
+		return format[0]
+	}
+
+	const start = text.trimStart()
+	if (start.startsWith('//') || start.startsWith('/*')) {
+		return 'json5'
+	}
+
+	return start === '' || start.startsWith('{') || start.startsWith('[') ? 'json' : 'yaml'
+}
+
+/**
+ * Render the source lines around an error with line numbers and a caret under the column
+ * @param {string} text - File contents
+ * @param {number} line - Line, starting at 1
+ * @param {number} column - Column, starting at 1
+ * @returns {string} Excerpt, e.g. "  2 |   \"name\": \"Jane\",\n> 3 |   label: x\n    |   ^"
+ */
+export function getSourceExcerpt(text, line, column) {
+	const lines = text.split(/\r\n|\r|\n/)
+	const first = Math.max(1, line - excerptContext.before)
+	let last = Math.min(lines.length, line + excerptContext.after)
+	while (last > line && lines[last - 1].trim() === '') {
+		last--
+	}
+
+	const width = String(last).length
+	const excerpt = []
+
+	for (let number = first; number <= last; number++) {
+		const marker = number === line ? '>' : ' '
+		excerpt.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`.trimEnd())
+
+		if (number === line) {
+			// Keep tabs so the caret lines up with the source line
+			const indent = lines[number - 1].slice(0, column - 1).replaceAll(/[^\t]/g, ' ')
+			excerpt.push(`  ${' '.repeat(width)} | ${indent}^`)
+		}
+	}
+
+	return excerpt.join('\n')
+}
+
+/**
+ * Convert a character offset into a line and column
+ * @param {string} text - File contents
+ * @param {number} offset - Offset from the start of the text
+ * @returns {{line: number, column: number}} Line and column, starting at 1
+ */
+function getLineAndColumn(text, offset) {
+	const lines = text.slice(0, offset).split(/\r\n|\r|\n/)
+	return {line: lines.length, column: lines.at(-1).length + 1}
+}
+
+/**
+ * Find where a JSON.parse error is; engines report "line L column C" (Firefox), "position N"
+ * (V8) or nothing (Safari, and V8 for a truncated file)
+ * @param {SyntaxError} error - Error thrown by JSON.parse
+ * @param {string} text - Parsed text
+ * @returns {{line: number, column: number}|null} Location, or null when the message has none
+ */
+function getJSONErrorLocation(error, text) {
+	const lineMatch = /line (\d+) column (\d+)/.exec(error.message)
+	if (lineMatch) {
+		return {line: Number(lineMatch[1]), column: Number(lineMatch[2])}
+	}
+
+	const positionMatch = /position (\d+)/.exec(error.message)
+	if (positionMatch) {
+		return getLineAndColumn(text, Number(positionMatch[1]))
+	}
+
+	// A file cut short fails at its end
+	return /end of (JSON )?(input|data)/i.test(error.message) ? getLineAndColumn(text, text.trimEnd().length) : null
+}
+
+/**
+ * Parsers by format: `parse` returns the parsed value, `locate` turns the thrown error into a
+ * reason with the line and column (starting at 1) when the parser reports them
+ * @type {Object<string, {parse: Function, locate: Function}>}
+ */
+const parsers = {
+	json: {
+		parse: text => JSON.parse(text),
+		locate(error, text) {
+			let reason = error.message
+				.replace(/^JSON\.parse: /, '')
+				.replace(/ (in JSON )?at (position \d+|line \d+ column \d+)( \(line \d+ column \d+\))?( of the JSON data)?$/, '')
+
+			// Comments and trailing commas are the usual culprits; point at the lenient format
+			if (parsesAsJSON5(text)) {
+				reason += ' (the file is valid JSON5 / JSONC; name it .jsonc or .json5 to allow comments and trailing commas)'
+			}
+
+			return {reason, ...getJSONErrorLocation(error, text)}
+		}
+	},
+
+	json5: {
+		parse: text => JSON5.parse(text),
+		locate: error => ({
+			reason: error.message.replace(/^JSON5: /, '').replace(/ at \d+:\d+$/, ''),
+			line: error.lineNumber,
+			column: error.columnNumber
+		})
+	},
+
+	yaml: {
+		// The core schema keeps dates such as 2020-01-15 as strings, like JSON Resume expects
+		parse: text => loadYAML(text, {schema: CORE_SCHEMA}),
+		locate: error => ({
+			reason: error.reason || error.message,
+			line: error.mark ? error.mark.line + 1 : undefined,
+			column: error.mark ? error.mark.column + 1 : undefined
+		})
+	}
+}
+
+/**
+ * Check whether text parses as JSON5
+ * @param {string} text - File contents
+ * @returns {boolean} True when JSON5.parse accepts the text
+ */
+function parsesAsJSON5(text) {
+	try {
+		JSON5.parse(text)
+		return true
+	} catch {
+		return false
+	}
+}
+
+/**
+ * Parse the contents of a resume file
+ * @param {string} text - File contents
+ * @param {Object} [file={}] - What is known about the file, see detectResumeFormat
+ * @param {string} [file.source='resume'] - File name or path, for error messages
+ * @param {string} [file.contentType=''] - Content-Type header or File.type
+ * @returns {Object} Parsed resume data
+ * @throws {ResumeParseError} When the text is not valid in its format or is not an object
+ * @example
+ * try {
+ *   parseResumeText(text, {source: 'resume.jsonc'})
+ * } catch (error) {
+ *   console.error(formatParseError(error))
+ * }
+ */
+export function parseResumeText(text, {source = 'resume', contentType = ''} = {}) {
+	const format = detectResumeFormat({source, contentType, text})
+
+	let data
+	try {
+		data = parsers[format].parse(text)
+	} catch (error) {
+		const {reason, line, column} = parsers[format].locate(error, text)
+		const location = line ? {line, column, excerpt: getSourceExcerpt(text, line, column)} : {}
+		throw new ResumeParseError(reason, {source, format, ...location})
+	}
+
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		const found = Array.isArray(data) ? 'an array' : (data === null || data === undefined ? 'nothing' : typeof data)
+		throw new ResumeParseError(`a resume must be an object with sections such as "basics" and "work", found ${found}`, {source, format})
+	}
+
+	return data
+}
+
+/**
+ * Serialize resume data in the format of a resume file
+ * JSON5 / JSONC files are written as plain JSON, which both accept; comments are not kept
+ * @param {Object} data - Resume data
+ * @param {Object} [file={}] - Target file, see detectResumeFormat
+ * @param {string} [file.source=''] - File name or path whose extension picks the format
+ * @param {string} [file.format] - Format ID from resumeFormats, overriding the extension
+ * @returns {string} File contents ending with a newline
+ * @example
+ * serializeResumeText({basics: {name: 'Jane Doe'}}, {source: 'resume.yaml'}) // "basics:\n  name: Jane Doe\n"
+ */
+export function serializeResumeText(data, {source = '', format = detectResumeFormat({source, text: '{'})} = {}) {
+	if (format === 'yaml') {
+		return dumpYAML(data, {schema: CORE_SCHEMA, lineWidth: -1, noRefs: true})
+	}
+
+	return `${JSON.stringify(data, null, 2)}\n`
+}
+
+/**
+ * Format a parse error for the console: the message, followed by the source excerpt
+ * @param {Error} error - Any error; only ResumeParseError has an excerpt
+ * @returns {string} Message and excerpt
+ */
+export function formatParseError(error) {
+	return error.excerpt ? `${error.message}\n\n${error.excerpt}\n` : error.message
+}
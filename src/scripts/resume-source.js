@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Resume Source
+ * Decides which resume the browser app opens: a path from the `?resume=` URL parameter, the
+ * resume last opened from a file or path (kept in localStorage), or /resume.json.
+ * Open `?resume=/resume.json` to go back to the default resume
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * // http://localhost:5173/?resume=/resumes/jane.json
+ * getRequestedResumePath(globalThis.location) // '/resumes/jane.json'
+ */
+
+/**
+ * Name of the URL parameter pointing at a resume file
+ * @type {string}
+ */
+export const RESUME_URL_PARAMETER = 'resume'
+
+/**
+ * Key of the last opened resume in localStorage
+ * @type {string}
+ */
+const storageKey = 'jsonresume-meh:last-resume'
+
+/**
+ * Read the resume path from the `?resume=` URL parameter
+ * Only paths on the same origin are accepted, so a shared link cannot make the page fetch from
+ * another site
+ * @param {Location|URL} location - Page location
+ * @returns {string|null} Path with query, or null when the parameter is missing or points elsewhere
+ */
+export function getRequestedResumePath(location) {
+	const value = new URL(location.href).searchParams.get(RESUME_URL_PARAMETER)?.trim()
+	if (!value) {
+		return null
+	}
+
+	let url
+	try {
+		url = new URL(value, location.href)
+	} catch {
+		url = null
+	}
+
+	if (url?.origin !== location.origin) {
+		console.warn(`⚠️  Ignoring ?${RESUME_URL_PARAMETER}=${value}: only paths on ${location.origin} can be loaded`)
+		return null
+	}
+
+	return `${url.pathname}${url.search}`
+}
+
+/**
+ * Read the last opened resume from localStorage
+ * @returns {{source: string, content?: string, savedAt: string}|null} Path of a fetched resume, or name
+ *          and contents of a local file; null when nothing is stored or storage is unavailable
+ */
+export function loadStoredResume() {
+	try {
+		const stored = JSON.parse(globalThis.localStorage?.getItem(storageKey) ?? 'null')
+		return typeof stored?.source === 'string' ? stored : null
+	} catch (error) {
+		console.warn('⚠️  Stored resume could not be read:', error.message)
+		return null
+	}
+}
+
+/**
+ * Remember the resume being shown, so the page reopens it
+ * Fetched resumes are stored by path and fetched again; local files are stored with their contents
+ * @param {Object} resume - Resume to remember
+ * @param {string} resume.source - Path or file name
+ * @param {string} [resume.content] - File contents, for resumes that cannot be fetched again
+ * @returns {boolean} Whether the resume was stored; false when storage is full or unavailable
+ */
+export function saveStoredResume({source, content}) {
+	try {
+		globalThis.localStorage.setItem(storageKey, JSON.stringify({source, content, savedAt: new Date().toISOString()}))
+		return true
+	} catch (error) {
+		console.warn(`⚠️  ${source} could not be kept for the next visit:`, error.message)
+		return false
+	}
+}
+
+/**
+ * Forget the last opened resume, so the page opens /resume.json again
+ */
+export function clearStoredResume() {
+	try {
+		globalThis.localStorage?.removeItem(storageKey)
+	} catch (error) {
+		console.warn('⚠️  Stored resume could not be removed:', error.message)
+	}
+}
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Schema Migration
+ * Detects resumes written against the pre-1.0 JSON Resume schema and upgrades their legacy fields
+ * (`website`, `company`, `picture`, `gpa`, lowercase profile networks, ...) to the shape of the
+ * current @jsonresume/schema, recording every rewrite
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * const {data, changes} = migrateResumeData({work: [{company: 'Acme', website: 'https://acme.test'}]})
+ * // data.work[0] = {name: 'Acme', url: 'https://acme.test'}
+ * // changes[0] = {path: 'work[0].company', to: 'work[0].name', message: 'Renamed work[0].company to work[0].name'}
+ */
+
+/**
+ * Schema generations reported in `metadata.migration.generation`
+ * @type {{legacy: string, current: string}}
+ */
+export const schemaGenerations = {
+	legacy: 'pre-1.0',
+	current: '1.0'
+}
+
+/**
+ * Legacy field names and their current names, per section
+ * Several legacy names may map to one field; the first one present wins
+ * @type {Object<string, Object<string, string>>}
+ */
+const fieldRenames = {
+	basics: {website: 'url', picture: 'image'},
+	work: {company: 'name', website: 'url'},
+	volunteer: {website: 'url'},
+	education: {school: 'institution', university: 'institution', gpa: 'score'},
+	publications: {website: 'url'},
+	projects: {website: 'url'},
+	languages: {name: 'language', level: 'fluency'}
+}
+
+/**
+ * Canonical spelling of common profile networks, by lowercase name without spaces
+ * Header icons and the Twitter card look networks up by name, so "github" and "GITHUB" become "GitHub"
+ * @type {Object<string, string>}
+ */
+const networkNames = {
+	github: 'GitHub',
+	gitlab: 'GitLab',
+	bitbucket: 'Bitbucket',
+	linkedin: 'LinkedIn',
+	twitter: 'Twitter',
+	x: 'X',
+	mastodon: 'Mastodon',
+	stackoverflow: 'Stack Overflow',
+	npm: 'npm',
+	dribbble: 'Dribbble',
+	behance: 'Behance',
+	medium: 'Medium',
+	youtube: 'YouTube',
+	facebook: 'Facebook',
+	instagram: 'Instagram'
+}
+
+/**
+ * Get the schema version declared by `$schema`, e.g. ".../resume-schema/v1.0.0/schema.json"
+ * @param {Object} data - Resume data
+ * @returns {string|null} Declared version, or null when `$schema` names none
+ */
+function getDeclaredVersion(data) {
+	return /\/v?(\d+\.\d+\.\d+)\//.exec(typeof data.$schema === 'string' ? data.$schema : '')?.[1] ?? null
+}
+
+/**
+ * Rename the legacy fields of one object
+ * A legacy field is left alone when its current name is already set, so nothing is overwritten;
+ * an empty current field is replaced
+ * @param {Object} entry - Object to migrate in place
+ * @param {Object<string, string>} renames - Legacy names and their current names
+ * @param {string} path - Path of the object, e.g. "work[2]"
+ * @param {Array<Object>} changes - Collected rewrites
+ */
+function renameFields(entry, renames, path, changes) {
+	for (const [legacy, current] of Object.entries(renames)) {
+		if (!Object.hasOwn(entry, legacy) || (entry[current] !== undefined && entry[current] !== '')) {
+			continue
+		}
+
+		// Rebuild the object so the field keeps its position in a migrated file
+		const entries = Object.entries(entry).filter(([key]) => key !== current)
+		for (const key of Object.keys(entry)) {
+			delete entry[key]
+		}
+
+		for (const [key, value] of entries) {
+			entry[key === legacy ? current : key] = value
+		}
+
+		changes.push({
+			path: `${path}.${legacy}`,
+			to: `${path}.${current}`,
+			message: `Renamed ${path}.${legacy} to ${path}.${current}`
+		})
+	}
+}
+
+/**
+ * Give the profile networks their canonical spelling
+ * @param {Array<Object>} profiles - basics.profiles, migrated in place
+ * @param {Array<Object>} changes - Collected rewrites
+ */
+function normalizeNetworks(profiles, changes) {
+	for (const [index, profile] of profiles.entries()) {
+		if (typeof profile?.network !== 'string') {
+			continue
+		}
+
+		const canonical = networkNames[profile.network.toLowerCase().replaceAll(/\s+/g, '')]
+		if (canonical && canonical !== profile.network) {
+			const path = `basics.profiles[${index}].network`
+			changes.push({
+				path,
+				to: path,
+				message: `Changed ${path} from "${profile.network}" to "${canonical}"`
+			})
+			profile.network = canonical
+		}
+	}
+}
+
+/**
+ * Upgrade a resume from the pre-1.0 JSON Resume schema to the current one
+ * The input is not modified. Resumes already in the current shape come back unchanged, with no changes
+ * @param {Object} rawData - Resume data as written
+ * @returns {{data: Object, generation: string, declaredVersion: string|null, changes: Array<{path: string, to: string, message: string}>}}
+ *          Migrated copy, the detected schema generation, the version named by `$schema` and every rewrite
+ */
+export function migrateResumeData(rawData) {
+	const data = structuredClone(rawData)
+	const changes = []
+
+	for (const [section, renames] of Object.entries(fieldRenames)) {
+		if (section === 'basics') {
+			if (data.basics && typeof data.basics === 'object') {
+				renameFields(data.basics, renames, 'basics', changes)
+			}
+
+			continue
+		}
+
+		if (Array.isArray(data[section])) {
+			for (const [index, entry] of data[section].entries()) {
+				if (entry && typeof entry === 'object') {
+					renameFields(entry, renames, `${section}[${index}]`, changes)
+				}
+			}
+		}
+	}
+
+	if (Array.isArray(data.basics?.profiles)) {
+		normalizeNetworks(data.basics.profiles, changes)
+	}
+
+	const declaredVersion = getDeclaredVersion(data)
+	const declaredLegacy = declaredVersion !== null && Number.parseInt(declaredVersion, 10) < 1
+	const hasLegacyFields = changes.some(({path, to}) => path !== to)
+
+	return {
+		data,
+		generation: declaredLegacy || hasLegacyFields ? schemaGenerations.legacy : schemaGenerations.current,
+		declaredVersion,
+		changes
+	}
+}
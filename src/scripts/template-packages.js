@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Template Package Loader
+ * Resolves the template folders and local npm packages listed in `templateConfig.templatePackages`
+ * and registers their templates. Used by the static build and the CLI in Node.js, and by the
+ * Vite plugin that does the same for the browser app
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {existsSync, readFileSync, statSync} from 'fs'
+import path from 'path'
+import {fileURLToPath, pathToFileURL} from 'url'
+import {templateConfig} from '../../template.config.js'
+import {TemplateRegistrationError, registerTemplateModule} from '../templates/registry.js'
+
+/**
+ * Project root, the folder of template.config.js
+ * @type {string}
+ */
+const projectRoot = fileURLToPath(new URL('../..', import.meta.url))
+
+/**
+ * Specifiers whose templates are already registered, so repeated loads are no-ops
+ * @type {Set<string>}
+ */
+const loadedPackages = new Set()
+
+/**
+ * Check whether a specifier points into the file system rather than node_modules
+ * @param {string} specifier - Package specifier
+ * @returns {boolean} True for relative and absolute paths
+ */
+function isPathSpecifier(specifier) {
+	return specifier.startsWith('.') || path.isAbsolute(specifier)
+}
+
+/**
+ * Resolve a template package to something `import()` accepts
+ * Folders resolve to the module named by their package.json (`exports`, `module` or `main`) or
+ * to index.js; bare names are left to the package resolution of Node.js or Vite
+ * @param {string} specifier - Folder path relative to the project root, or an npm package name
+ * @param {string} root - Project root
+ * @returns {string} Absolute file path or bare package name
+ * @throws {TemplateRegistrationError} When a folder or file does not exist
+ * @example
+ * resolveTemplatePackage('./templates/timeline', '/app') // '/app/templates/timeline/index.js'
+ */
+export function resolveTemplatePackage(specifier, root) {
+	if (!isPathSpecifier(specifier)) {
+		return specifier
+	}
+
+	const resolved = path.resolve(root, specifier)
+	if (!existsSync(resolved)) {
+		throw new TemplateRegistrationError(`Template package "${specifier}" not found at ${resolved}`)
+	}
+
+	if (!statSync(resolved).isDirectory()) {
+		return resolved
+	}
+
+	const manifestPath = path.join(resolved, 'package.json')
+	const manifest = existsSync(manifestPath) ? JSON.parse(readFileSync(manifestPath, 'utf-8')) : {}
+	const entry = [manifest.exports, manifest.module, manifest.main].find(value => typeof value === 'string') || 'index.js'
+	const entryPath = path.join(resolved, entry)
+	if (!existsSync(entryPath)) {
+		throw new TemplateRegistrationError(`Template package "${specifier}" has no entry module (looked for ${entryPath})`)
+	}
+
+	return entryPath
+}
+
+/**
+ * Import template packages and register their templates
+ * @async
+ * @param {Array<string>} [specifiers=templateConfig.templatePackages] - Folders or npm package names
+ * @param {string} [root] - Folder that relative paths are resolved against, the project root by default
+ * @returns {Promise<Array<Object>>} Newly registered templates
+ * @throws {TemplateRegistrationError} When a package cannot be found or exports an invalid template
+ */
+export async function loadTemplatePackages(specifiers = templateConfig.templatePackages, root = projectRoot) {
+	const pending = [...new Set(specifiers || [])].filter(specifier => !loadedPackages.has(specifier))
+	const moduleExports = await Promise.all(pending.map(async specifier => {
+		const resolved = resolveTemplatePackage(specifier, root)
+		try {
+			return await import(isPathSpecifier(specifier) ? pathToFileURL(resolved).href : resolved)
+		} catch (error) {
+			throw new TemplateRegistrationError(`Template package "${specifier}" could not be loaded: ${error.message}`)
+		}
+	}))
+
+	// Packages are imported together but register in the configured order
+	return pending.flatMap((specifier, index) => {
+		const registered = registerTemplateModule(moduleExports[index], specifier)
+		loadedPackages.add(specifier)
+		return registered
+	})
+}
@@ -5,9 +5,10 @@
  * @version 1.0.0
  */
 
-import {getSelectedTemplate, getAllTemplates} from '@config'
+import {getSelectedTemplate, getAllTemplates, templateConfig} from '@config'
 import {getTemplateFunction} from '@templates/layouts.js'
-import {formatDateRange} from '@templates/utils/helpers.js'
+import {prepareResumeData} from '@templates/utils/resume-data.js'
+import {getThemeProperties, resolveTheme} from '@templates/utils/theme.js'
 
 /**
  * Custom error class for template rendering errors
@@ -67,11 +68,13 @@ export class TemplateRenderer {
 
 	/**
 	 * Load all available templates
+	 * Registers the configured template packages first, so they show up next to the built-in templates
 	 * @async
 	 * @throws {TemplateRenderError} When template loading fails
 	 */
 	async loadTemplates() {
 		try {
+			await import('virtual:resume-templates')
 			const availableTemplates = getAllTemplates()
 
 			// No need to load HTML files anymore - we use JavaScript components
@@ -150,43 +153,35 @@ export class TemplateRenderer {
 		}
 	}
 
+	/**
+	 * Resolve the theme of the current template as CSS custom properties
+	 * Layers, later ones winning: templateConfig.theme, the template's `theme`, then `meta.theme`.
+	 * Invalid tokens and accent colors failing WCAG AA contrast are reported as console warnings
+	 * @param {Object} data - Raw resume data
+	 * @returns {Object<string, string>} CSS custom properties, empty without theme tokens
+	 */
+	resolveThemeProperties(data) {
+		const {tokens, warnings} = resolveTheme([templateConfig.theme, this.currentTemplate?.theme, data?.meta?.theme])
+		for (const warning of warnings) {
+			console.warn(`⚠️  ${warning}`)
+		}
+
+		return getThemeProperties(tokens)
+	}
+
 	/**
 	 * Process resume data for template rendering
-	 * Adds formatted date ranges to work, education, projects, and volunteer experience
+	 * Applies the resume variant, resolves the locale and adds formatted dates (and optional durations) to dated entries
 	 * @param {Object} data - Raw resume data
-	 * @returns {Object} Processed resume data with formatted dates
+	 * @returns {Object} Processed resume data with `locale` and formatted dates
 	 * @throws {TemplateRenderError} When data processing fails
 	 */
 	processResumeData(data) {
 		try {
-			// Create a deep copy to avoid modifying original data
-			const processedData = structuredClone(data)
-
-			// Process work experience dates
-			processedData.work &&= processedData.work.map(job => ({
-				...job,
-				formattedDates: formatDateRange(job.startDate, job.endDate)
-			}))
-
-			// Process education dates
-			processedData.education &&= processedData.education.map(edu => ({
-				...edu,
-				formattedDates: formatDateRange(edu.startDate, edu.endDate)
-			}))
-
-			// Process project dates
-			processedData.projects &&= processedData.projects.map(project => ({
-				...project,
-				formattedDates: formatDateRange(project.startDate, project.endDate)
-			}))
-
-			// Process volunteer dates
-			processedData.volunteer &&= processedData.volunteer.map(vol => ({
-				...vol,
-				formattedDates: formatDateRange(vol.startDate, vol.endDate)
-			}))
-
-			return processedData
+			return prepareResumeData(data, {
+				locale: templateConfig.selectedLocale,
+				variant: templateConfig.selectedVariant
+			})
 		} catch (error) {
 			throw new TemplateRenderError(`Data processing failed: ${error.message}`, null, data)
 		}
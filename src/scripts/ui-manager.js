@@ -1,3 +1,5 @@
+import {escapeHTML} from '@templates/utils/helpers.js'
+
 /**
  * Manages all UI interactions and DOM manipulations for the resume builder.
  */
@@ -70,12 +72,143 @@ export class UIManager {
 		document.body.append(buttonContainer)
 	}
 
+	/**
+	 * Adds one download button per output format next to the print button.
+	 * @param {Array<{id: string, name: string}>} formats - Output formats to offer.
+	 * @param {Function} downloadCallback - The function to call with the format ID when a button is clicked.
+	 */
+	setupDownloadButtons(formats, downloadCallback) {
+		const buttonContainer = document.querySelector('#action-buttons')
+		if (!buttonContainer) {
+			return
+		}
+
+		for (const format of formats) {
+			const downloadButton = document.createElement('button')
+			downloadButton.id = `download-${format.id}-btn`
+			downloadButton.className = 'print-button download-button'
+			downloadButton.textContent = `⬇️ ${format.name}`
+			downloadButton.title = `Download as ${format.name}`
+
+			downloadButton.addEventListener('click', () => downloadCallback(format.id))
+
+			buttonContainer.append(downloadButton)
+		}
+	}
+
+	/**
+	 * Adds an "Open" button next to the print button that opens a local resume file.
+	 * @param {Function} openCallback - The function to call with the chosen File.
+	 */
+	setupOpenButton(openCallback) {
+		const buttonContainer = document.querySelector('#action-buttons')
+		if (!buttonContainer) {
+			return
+		}
+
+		const fileInput = document.createElement('input')
+		fileInput.type = 'file'
+		fileInput.id = 'resume-file-input'
+		fileInput.accept = '.json,.json5,.jsonc,.yaml,.yml,application/json,application/yaml'
+		fileInput.hidden = true
+		fileInput.addEventListener('change', () => {
+			const [file] = fileInput.files
+			if (file) {
+				openCallback(file)
+			}
+
+			// Allow the same file to be chosen again after editing it
+			fileInput.value = ''
+		})
+
+		const openButton = document.createElement('button')
+		openButton.id = 'open-resume-btn'
+		openButton.className = 'print-button open-button'
+		openButton.textContent = '📂 Open'
+		openButton.title = 'Open a JSON, JSON5 or YAML resume file (or drop one onto the page)'
+		openButton.addEventListener('click', () => fileInput.click())
+
+		buttonContainer.prepend(openButton, fileInput)
+	}
+
+	/**
+	 * Lets a resume file be dropped anywhere on the page, highlighting the page while a file is dragged over it.
+	 * @param {Function} openCallback - The function to call with the dropped File.
+	 */
+	setupDropTarget(openCallback) {
+		// The dragenter and dragleave events fire for every child element, so count them
+		let dragDepth = 0
+		const hasFiles = event => event.dataTransfer?.types.includes('Files')
+		const setDragging = dragging => document.documentElement.classList.toggle('is-dragging-file', dragging)
+
+		document.addEventListener('dragenter', event => {
+			if (hasFiles(event)) {
+				dragDepth += 1
+				setDragging(true)
+			}
+		})
+
+		document.addEventListener('dragleave', event => {
+			if (hasFiles(event)) {
+				dragDepth = Math.max(0, dragDepth - 1)
+				setDragging(dragDepth > 0)
+			}
+		})
+
+		document.addEventListener('dragover', event => {
+			if (hasFiles(event)) {
+				event.preventDefault()
+				event.dataTransfer.dropEffect = 'copy'
+			}
+		})
+
+		document.addEventListener('drop', event => {
+			if (!hasFiles(event)) {
+				return
+			}
+
+			event.preventDefault()
+			dragDepth = 0
+			setDragging(false)
+
+			const [file] = event.dataTransfer.files
+			if (file) {
+				openCallback(file)
+			}
+		})
+	}
+
+	/**
+	 * Saves generated content as a file through a temporary download link.
+	 * @param {string|Blob|Uint8Array} content - File contents.
+	 * @param {string} fileName - Suggested file name.
+	 * @param {string} mimeType - MIME type of the file.
+	 */
+	downloadFile(content, fileName, mimeType) {
+		const blob = content instanceof Blob ? content : new Blob([content], {type: mimeType})
+		const url = URL.createObjectURL(blob)
+
+		const link = document.createElement('a')
+		link.href = url
+		link.download = fileName
+		document.body.append(link)
+		link.click()
+		link.remove()
+
+		setTimeout(() => URL.revokeObjectURL(url), 0)
+	}
+
 	/**
 	 * Renders the provided HTML into the resume container.
 	 * @param {string} renderedHTML - The HTML string to render.
 	 * @param {string} templateId - The ID of the current template.
+	 * @param {Object} [options={}] - Template styling.
+	 * @param {string|URL} [options.stylesheet=''] - Stylesheet of the template, see registerTemplate.
+	 * @param {Object<string, string>} [options.theme={}] - Theme CSS custom properties, set on the resume container.
 	 */
-	renderTemplate(renderedHTML, templateId) {
+	renderTemplate(renderedHTML, templateId, {stylesheet = '', theme = {}} = {}) {
+		this.applyTemplateStylesheet(stylesheet)
+
 		const resumeContainerHTML = `
       <div id="resume-container" class="resume-container ${templateId}-template">
         ${renderedHTML}
@@ -84,20 +217,178 @@ export class UIManager {
 		this.appContainer.innerHTML = resumeContainerHTML
 		this.resumeContainer = this.appContainer.querySelector('#resume-container')
 
+		for (const [property, value] of Object.entries(theme)) {
+			this.resumeContainer.style.setProperty(property, value)
+		}
+
 		// Add template class to body for global styling
 		document.body.className = `${templateId}-template`
 	}
 
+	/**
+	 * Replaces the stylesheet of the previous template with the one of the current template.
+	 * CSS text is added as a style element, a URL as a stylesheet link.
+	 * @param {string|URL} stylesheet - CSS text or stylesheet URL; empty for templates styled by the main bundle.
+	 */
+	applyTemplateStylesheet(stylesheet) {
+		document.querySelector('#template-stylesheet')?.remove()
+		if (!stylesheet) {
+			return
+		}
+
+		let element
+		if (stylesheet instanceof URL) {
+			element = document.createElement('link')
+			element.rel = 'stylesheet'
+			element.href = stylesheet.href
+		} else {
+			element = document.createElement('style')
+			element.textContent = stylesheet
+		}
+
+		element.id = 'template-stylesheet'
+		document.head.append(element)
+	}
+
+	/**
+	 * Shows a dismissible error overlay above the rendered resume.
+	 * Used during live reload so the last good render stays visible behind the errors.
+	 * @param {string} title - Overlay heading.
+	 * @param {Array<string>} [details=[]] - Individual error messages.
+	 * @param {string} [excerpt=''] - Source excerpt around a parse error.
+	 */
+	showErrorOverlay(title, details = [], excerpt = '') {
+		this.hideErrorOverlay()
+
+		const overlay = document.createElement('div')
+		overlay.id = 'error-overlay'
+		overlay.className = 'error-overlay no-print'
+		overlay.setAttribute('role', 'alert')
+		overlay.innerHTML = `
+      <div class="error-overlay-content">
+        <button type="button" class="error-overlay-close" aria-label="Dismiss">×</button>
+        <h2>${escapeHTML(title)}</h2>
+        ${details.length > 0 ? `<ul>${details.map(detail => `<li>${escapeHTML(detail)}</li>`).join('')}</ul>` : ''}
+        ${excerpt ? `<pre class="source-excerpt"><code>${escapeHTML(excerpt)}</code></pre>` : ''}
+      </div>
+    `
+
+		overlay.querySelector('.error-overlay-close').addEventListener('click', () => this.hideErrorOverlay())
+		document.body.append(overlay)
+	}
+
+	/**
+	 * Removes the error overlay if it is shown.
+	 */
+	hideErrorOverlay() {
+		document.querySelector('#error-overlay')?.remove()
+	}
+
+	/**
+	 * Shows the validation report panel listing every schema error of the resume.
+	 * Each entry shows the JSON path, the offending value and a human explanation.
+	 * @param {Object} validation - Validation result from DataProcessor.
+	 * @param {Array<Object>} validation.issues - Issues with path, value and explanation.
+	 * @param {string} [source='resume.json'] - Name of the resume file, for the heading.
+	 */
+	showValidationReport({issues = []}, source = 'resume.json') {
+		this.hideValidationReport()
+
+		const formatValue = value => (value === undefined ? '' : JSON.stringify(value))
+		const panel = document.createElement('aside')
+		panel.id = 'validation-report'
+		panel.className = 'validation-report no-print'
+		panel.setAttribute('aria-label', 'Resume validation report')
+		panel.innerHTML = `
+      <div class="validation-report-header">
+        <h2>${issues.length} validation ${issues.length === 1 ? 'error' : 'errors'} in ${escapeHTML(source)}</h2>
+        <button type="button" class="validation-report-close" aria-label="Dismiss">×</button>
+      </div>
+      <ol class="validation-report-list">
+        ${issues.map(issue => `
+          <li>
+            <code class="validation-report-path">${escapeHTML(issue.path)}</code>
+            <p class="validation-report-explanation">${escapeHTML(issue.explanation)}</p>
+            ${issue.value === undefined ? '' : `<p class="validation-report-value">Found: <code>${escapeHTML(formatValue(issue.value).slice(0, 200))}</code></p>`}
+          </li>`).join('')}
+      </ol>
+    `
+
+		panel.querySelector('.validation-report-close').addEventListener('click', () => this.hideValidationReport())
+		document.body.append(panel)
+	}
+
+	/**
+	 * Removes the validation report panel if it is shown.
+	 */
+	hideValidationReport() {
+		document.querySelector('#validation-report')?.remove()
+	}
+
+	/**
+	 * Shows or hides the validation report panel for a validation result.
+	 * @param {Object} validation - Validation result from DataProcessor.
+	 * @param {string} [source] - Name of the resume file, for the heading.
+	 */
+	updateValidationReport(validation, source) {
+		if (!validation || validation.isValid) {
+			this.hideValidationReport()
+		} else {
+			this.showValidationReport(validation, source)
+		}
+	}
+
+	/**
+	 * Shows the resume fields an export left out, or hides the panel when nothing was left out.
+	 * @param {string} formatName - Name of the output format, e.g. "Europass XML".
+	 * @param {Array<{field: string, count: number}>} unmapped - Unmapped fields from the format's report.
+	 */
+	updateExportReport(formatName, unmapped) {
+		document.querySelector('#export-report')?.remove()
+		if (unmapped.length === 0) {
+			return
+		}
+
+		const panel = document.createElement('aside')
+		panel.id = 'export-report'
+		panel.className = 'validation-report export-report no-print'
+		panel.setAttribute('aria-label', `Fields left out of the ${formatName} download`)
+		panel.innerHTML = `
+      <div class="validation-report-header">
+        <h2>${unmapped.length} ${unmapped.length === 1 ? 'field' : 'fields'} left out of ${escapeHTML(formatName)}</h2>
+        <button type="button" class="validation-report-close" aria-label="Dismiss">×</button>
+      </div>
+      <ol class="validation-report-list">
+        ${unmapped.map(({field, count}) => `
+          <li>
+            <code class="validation-report-path">${escapeHTML(field)}</code>
+            <p class="validation-report-explanation">${escapeHTML(formatName)} has no equivalent; ${count} ${count === 1 ? 'value was' : 'values were'} not exported.</p>
+          </li>`).join('')}
+      </ol>
+    `
+
+		panel.querySelector('.validation-report-close').addEventListener('click', () => panel.remove())
+		document.body.append(panel)
+	}
+
 	/**
 	 * Displays a fatal initialization error message.
+	 * Parse errors, found anywhere in the error's cause chain, are shown with their source excerpt.
 	 * @param {Error} error - The error object.
 	 */
 	showInitializationError(error) {
+		let parseError = error
+		while (parseError && !parseError.details?.excerpt) {
+			parseError = parseError.cause
+		}
+
+		const excerpt = parseError ? parseError.details.excerpt : ''
 		this.appContainer.innerHTML = `
       <div class="initialization-error">
         <h1>Failed to Initialize Resume Builder</h1>
-        <p><strong>Error:</strong> ${error.message}</p>
-        <p>Please check the console for more details and ensure resume.json is properly formatted.</p>
+        <p><strong>Error:</strong> ${escapeHTML(error.message)}</p>
+        ${excerpt ? `<pre class="source-excerpt"><code>${escapeHTML(excerpt)}</code></pre>` : ''}
+        <p>Please check the console for more details and ensure the resume file is properly formatted.</p>
         <button onclick="location.reload()">Retry</button>
       </div>
     `
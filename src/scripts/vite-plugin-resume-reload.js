@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Vite plugin for live reloading resume data
+ * Watches the resume files in public/ and pushes their contents to the running app over the
+ * HMR channel instead of triggering a full page reload
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {readFileSync} from 'fs'
+import path from 'path'
+import {defaultResumeFiles} from './resume-parser.js'
+
+/**
+ * Name of the custom HMR event carrying updated resume data
+ * @type {string}
+ */
+export const RESUME_UPDATE_EVENT = 'resume:update'
+
+/**
+ * Create the resume live reload plugin
+ * @param {Object} [options={}] - Plugin options
+ * @param {Array<string>} [options.files] - Resume files, relative to the public directory; by default resume.json,
+ *        resume.yaml, resume.yml, resume.json5, resume.jsonc and sample.resume.json
+ * @returns {import('vite').Plugin} Vite plugin
+ * @example
+ * // vite.config.js
+ * export default defineConfig({plugins: [resumeReload()]})
+ */
+export function resumeReload({files = [...defaultResumeFiles, 'sample.resume.json']} = {}) {
+	let publicDir = ''
+
+	return {
+		name: 'jsonresume-meh:resume-reload',
+		apply: 'serve',
+
+		configResolved(config) {
+			publicDir = config.publicDir
+		},
+
+		configureServer(server) {
+			server.watcher.add(files.map(file => path.join(publicDir, file)))
+		},
+
+		handleHotUpdate({file, server}) {
+			const relativePath = path.relative(publicDir, file).split(path.sep).join('/')
+			if (!files.includes(relativePath)) {
+				return
+			}
+
+			let content
+			try {
+				content = readFileSync(file, 'utf-8')
+			} catch (error) {
+				server.config.logger.warn(`Resume file could not be read: ${error.message}`)
+				return []
+			}
+
+			server.ws.send({
+				type: 'custom',
+				event: RESUME_UPDATE_EVENT,
+				data: {path: `/${relativePath}`, content}
+			})
+			server.config.logger.info(`resume data updated: /${relativePath}`, {timestamp: true})
+
+			// Handled: no module update and no full reload
+			return []
+		}
+	}
+}
+
+export default resumeReload
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Vite plugin for template packages
+ * Provides the `virtual:resume-templates` module, which imports the template folders and npm
+ * packages listed in `templateConfig.templatePackages` and registers their templates in the
+ * browser app, like loadTemplatePackages does for the static build and the CLI
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {resolveTemplatePackage} from './template-packages.js'
+
+/**
+ * ID of the virtual module imported by TemplateRenderer.loadTemplates
+ * @type {string}
+ */
+export const RESUME_TEMPLATES_MODULE = 'virtual:resume-templates'
+
+/**
+ * Create the template packages plugin
+ * @param {Object} [options={}] - Plugin options
+ * @param {Array<string>} [options.packages=[]] - Template folders (relative to the project root) or npm package names
+ * @returns {import('vite').Plugin} Vite plugin
+ * @example
+ * // vite.config.js
+ * export default defineConfig({plugins: [resumeTemplates({packages: templateConfig.templatePackages})]})
+ */
+export function resumeTemplates({packages = []} = {}) {
+	const resolvedId = `\0${RESUME_TEMPLATES_MODULE}`
+	let root = ''
+
+	return {
+		name: 'jsonresume-meh:resume-templates',
+
+		configResolved(config) {
+			root = config.root
+		},
+
+		resolveId(id) {
+			return id === RESUME_TEMPLATES_MODULE ? resolvedId : null
+		},
+
+		load(id) {
+			if (id !== resolvedId) {
+				return null
+			}
+
+			const imports = packages.map((specifier, index) => `import * as template${index} from ${JSON.stringify(resolveTemplatePackage(specifier, root))}`)
+			const registrations = packages.map((specifier, index) => `registerTemplateModule(template${index}, ${JSON.stringify(specifier)})`)
+
+			return [
+				'import {registerTemplateModule} from \'@templates/registry.js\'',
+				...imports,
+				...registrations
+			].join('\n')
+		}
+	}
+}
+
+export default resumeTemplates
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Built-in Resume Templates
+ * Registers the templates shipped with the builder. Their styles are part of the main stylesheet
+ * bundle, so they register an empty stylesheet
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {
+	classicSections,
+	classicTemplate,
+	minimalSections,
+	minimalTemplate,
+	modernSections,
+	modernTemplate
+} from './layouts.js'
+import {registerTemplate} from './registry.js'
+
+registerTemplate({
+	id: 'minimal',
+	name: 'Minimal',
+	preview: 'assets/previews/minimal-preview.png',
+	features: [
+		'Ultra-clean typography',
+		'Maximum white space',
+		'Focus on content',
+		'Minimal visual elements'
+	],
+	recommended: ['academia', 'research', 'creative', 'freelance'],
+	sections: minimalSections,
+	documentStyle: {
+		font: 'Atkinson Hyperlegible Next', color: '268BD2', headingCaps: false, headingRule: false
+	},
+	layout: minimalTemplate,
+	stylesheet: ''
+})
+
+registerTemplate({
+	id: 'classic',
+	name: 'Classic',
+	description: 'Traditional, professional resume layout with clean typography',
+	preview: 'assets/previews/classic-preview.png',
+	features: [
+		'Traditional two-column layout',
+		'Professional typography',
+		'Clear section headers',
+		'Optimized for ATS systems'
+	],
+	recommended: ['corporate', 'finance', 'legal', 'consulting'],
+	sections: [...classicSections.left, ...classicSections.right],
+	documentStyle: {
+		font: 'Source Sans Pro', color: '1E40AF', headingCaps: true, headingRule: true
+	},
+	layout: classicTemplate,
+	stylesheet: ''
+})
+
+registerTemplate({
+	id: 'modern',
+	name: 'Modern',
+	description: 'Contemporary design with subtle colors and modern typography',
+	preview: 'assets/previews/modern-preview.png',
+	features: [
+		'Contemporary color scheme',
+		'Modern typography stack',
+		'Visual hierarchy emphasis',
+		'Balanced white space'
+	],
+	recommended: ['tech', 'design', 'marketing', 'startup'],
+	sections: modernSections,
+	documentStyle: {
+		font: 'Inter', color: '7C3AED', headingCaps: false, headingRule: true
+	},
+	layout: modernTemplate,
+	stylesheet: ''
+})
@@ -1,32 +1,42 @@
-import {formatDate} from '../utils/helpers.js'
+import {formatDate, html} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {md} from '../utils/markdown.js'
 
 /**
  * Awards component
+ * Renders each entry with `awardItem`, unless the template overrides it
  */
-export function awards({awards = []}) {
+export function awards({awards = [], locale, sectionTitles = {}}, {awardItem: renderItem = awardItem} = {}) {
 	if (awards.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section awards-section">
-      <h3 class="section-title">Awards & Recognition</h3>
+      <h3 class="section-title">${sectionTitles.awards || t(locale, 'sections.awards')}</h3>
       <div class="section-content">
-        ${awards.map(award => `
-          <div class="award-item section-item">
-            <div class="award-details item-header">
-              <div class="item-header-left">
-                <h4 class="award-title item-title">${award.title || ''}</h4>
-                ${award.awarder ? `<span class="award-awarder item-subtitle">${award.awarder}</span>` : ''}
-              </div>
-              <div class="item-header-right">
-                ${award.date ? `<span class="award-date item-dates">${formatDate(award.date)}</span>` : ''}
-              </div>
-            </div>
-            ${award.summary ? `<p class="award-summary item-summary">${award.summary}</p>` : ''}
-          </div>
-        `).join('')}
+        ${awards.map(award => renderItem(award, locale))}
       </div>
     </section>
   `
 }
+
+/**
+ * Individual award item component
+ */
+export function awardItem(award, locale) {
+	return html`
+    <div class="award-item section-item">
+      <div class="award-details item-header">
+        <div class="item-header-left">
+          <h4 class="award-title item-title">${award.title || ''}</h4>
+          ${award.awarder ? html`<span class="award-awarder item-subtitle">${award.awarder}</span>` : ''}
+        </div>
+        <div class="item-header-right">
+          ${award.date ? html`<span class="award-date item-dates">${award.formattedDate || formatDate(award.date, locale)}</span>` : ''}
+        </div>
+      </div>
+      ${award.summary ? html`<p class="award-summary item-summary">${md(award.summary)}</p>` : ''}
+    </div>
+  `
+}
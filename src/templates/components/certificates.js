@@ -1,33 +1,42 @@
-import {formatDate} from '../utils/helpers.js'
+import {formatDate, html, linkOrText} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
 
 /**
  * Certificates component
+ * Renders each entry with `certificateItem`, unless the template overrides it
  */
-export function certificates({certificates = []}) {
+export function certificates({certificates = [], locale, sectionTitles = {}}, {certificateItem: renderItem = certificateItem} = {}) {
 	if (certificates.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section certificates-section">
-      <h3 class="section-title">Certifications</h3>
+      <h3 class="section-title">${sectionTitles.certificates || t(locale, 'sections.certificates')}</h3>
       <div class="section-content">
-        ${certificates.map(cert => `
-          <div class="certificate-item section-item">
-            <div class="certificate-details item-header">
-              <div class="item-header-left">
-                <h4 class="certificate-name item-title">
-                  ${cert.url ? `<a href="${cert.url}" target="_blank">${cert.name}</a>` : cert.name}
-                </h4>
-                ${cert.issuer ? `<span class="certificate-issuer item-subtitle">${cert.issuer}</span>` : ''}
-              </div>
-              <div class="item-header-right">
-                ${cert.date ? `<span class="certificate-date item-dates">${formatDate(cert.date)}</span>` : ''}
-              </div>
-            </div>
-          </div>
-        `).join('')}
+        ${certificates.map(cert => renderItem(cert, locale))}
       </div>
     </section>
   `
 }
+
+/**
+ * Individual certificate item component
+ */
+export function certificateItem(cert, locale) {
+	return html`
+    <div class="certificate-item section-item">
+      <div class="certificate-details item-header">
+        <div class="item-header-left">
+          <h4 class="certificate-name item-title">
+            ${linkOrText(cert.url, cert.name)}
+          </h4>
+          ${cert.issuer ? html`<span class="certificate-issuer item-subtitle">${cert.issuer}</span>` : ''}
+        </div>
+        <div class="item-header-right">
+          ${cert.date ? html`<span class="certificate-date item-dates">${cert.formattedDate || formatDate(cert.date, locale)}</span>` : ''}
+        </div>
+      </div>
+    </div>
+  `
+}
@@ -1,18 +1,20 @@
-import {formatDateRange} from '../utils/helpers.js'
+import {formatDateRange, html, linkOrText} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
 
 /**
  * Education component
+ * Renders each entry with `educationItem`, unless the template overrides it
  */
-export function education({education = []}) {
+export function education({education = [], locale, sectionTitles = {}}, {educationItem: renderItem = educationItem} = {}) {
 	if (education.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section education-section">
-      <h3 class="section-title">Education</h3>
+      <h3 class="section-title">${sectionTitles.education || t(locale, 'sections.education')}</h3>
       <div class="section-content">
-        ${education.map(edu => educationItem(edu)).join('')}
+        ${education.map(edu => renderItem(edu, locale))}
       </div>
     </section>
   `
@@ -21,10 +23,10 @@ export function education({education = []}) {
 /**
  * Individual education item component
  */
-function educationItem(edu) {
+export function educationItem(edu, locale) {
 	const {institution, url, area, studyType, startDate, endDate, score, courses = [], formattedDates} = edu
 
-	return `
+	return html`
     <div class="education-item">
       <div class="education-header item-header">
         <div class="item-header-left">
@@ -32,30 +34,30 @@ function educationItem(edu) {
             ${[studyType, area].filter(Boolean).join(' in ')}
           </h4>
           <div class="education-institution item-subtitle">
-            ${url ? `<a href="${url}" target="_blank">${institution}</a>` : institution}
+            ${linkOrText(url, institution)}
           </div>
         </div>
         <div class="item-header-right">
           <div class="education-dates item-dates">
-            ${formattedDates || formatDateRange(startDate, endDate)}
+            ${formattedDates || formatDateRange(startDate, endDate, locale)}
           </div>
         </div>
       </div>
 
       ${score
-			? `
+			? html`
         <div class="education-score">
-          <strong>GPA:</strong> ${score}
+          <strong>${t(locale, 'labels.score')}:</strong> ${score}
         </div>
       `
 			: ''}
 
       ${courses.length > 0
-			? `
+			? html`
         <div class="education-courses">
-          <strong>Relevant Coursework:</strong>
+          <strong>${t(locale, 'labels.courses')}:</strong>
           <ul class="courses-list">
-            ${courses.map(course => `<li>${course}</li>`).join('')}
+            ${courses.map(course => html`<li>${course}</li>`)}
           </ul>
         </div>
       `
@@ -1,57 +1,60 @@
 /**
  * Header component with contact information
  */
-import {icon} from '../utils/helpers.js'
+import {
+	html, icon, linkOrText, raw, safeURL
+} from '../utils/helpers.js'
 
 export function header({basics = {}}) {
 	const {name, label, email, phone, url, location = {}, profiles = []} = basics
+	const image = safeURL(basics.image)
 
-	return `
+	return html`
     <header class="resume-header">
-      ${basics.image
-			? `
+      ${image
+			? html`
         <div class="profile-image">
-          <img src="${basics.image}" alt="${name}" class="profile-photo">
+          <img src="${image}" alt="${name}" class="profile-photo">
         </div>
       `
 			: ''}
 
       <div class="header-content">
         <h1 class="name">${name || ''}</h1>
-        ${label ? `<h2 class="title">${label}</h2>` : ''}
+        ${label ? html`<h2 class="title">${label}</h2>` : ''}
 
         <div class="contact-info">
           ${email
-				? `
+				? html`
             <div class="contact-item">
-              <span class="contact-label icon">${icon('mail')}</span>
-              <a href="mailto:${email}" class="contact-value">${email}</a>
+              <span class="contact-label icon">${raw(icon('mail'))}</span>
+              <a href="${safeURL(`mailto:${email}`)}" class="contact-value">${email}</a>
             </div>
           `
 				: ''}
 
           ${phone
-				? `
+				? html`
             <div class="contact-item">
-              <span class="contact-label icon">${icon('phone')}</span>
+              <span class="contact-label icon">${raw(icon('phone'))}</span>
               <span class="contact-value">${phone}</span>
             </div>
           `
 				: ''}
 
           ${url
-				? `
+				? html`
             <div class="contact-item">
-              <span class="contact-label icon">${icon('globe')}</span>
-              <a href="${url}" class="contact-value" target="_blank">${url}</a>
+              <span class="contact-label icon">${raw(icon('globe'))}</span>
+              ${linkOrText(url, url, 'contact-value')}
             </div>
           `
 				: ''}
 
           ${location.city || location.region
-				? `
+				? html`
             <div class="contact-item">
-              <span class="contact-label icon">${icon('map-pin')}</span>
+              <span class="contact-label icon">${raw(icon('map-pin'))}</span>
               <span class="contact-value">${[location.city, location.region, location.countryCode].filter(Boolean).join(', ')}</span>
             </div>
           `
@@ -59,14 +62,12 @@ export function header({basics = {}}) {
         </div>
 
         ${profiles.length > 0
-			? `
+			? html`
           <div class="social-profiles">
-            ${profiles.map(profile => `
-              <a href="${profile.url}" class="profile-link" target="_blank">
-                <span class="icon icon-${profile.network} profile-network">${icon(profile.network)}</span>
+            ${profiles.map(profile => linkOrText(profile.url, html`
+                <span class="icon icon-${profile.network} profile-network">${raw(icon(profile.network || ''))}</span>
                 <span class="profile-username">${profile.username ? ` ${profile.username}` : ''}</span>
-              </a>
-            `).join('')}
+              `, 'profile-link'))}
           </div>
         `
 			: ''}
@@ -1,28 +1,39 @@
+import {html} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+
 /**
  * Interests component
+ * Renders each entry with `interestItem`, unless the template overrides it
  */
-export function interests({interests = []}) {
+export function interests({interests = [], locale, sectionTitles = {}}, {interestItem: renderItem = interestItem} = {}) {
 	if (interests.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section interests-section">
-      <h3 class="section-title">Interests</h3>
+      <h3 class="section-title">${sectionTitles.interests || t(locale, 'sections.interests')}</h3>
       <div class="section-content">
-        ${interests.map(interest => `
-          <div class="interest-item section-item">
-            <h4 class="interest-name item-title">${interest.name || ''}</h4>
-            ${interest.keywords && interest.keywords.length > 0
-				? `
-              <div class="interest-keywords">
-                ${interest.keywords.map(keyword => `<span class="keyword">${keyword}</span>`).join('')}
-              </div>
-            `
-				: ''}
-          </div>
-        `).join('')}
+        ${interests.map(interest => renderItem(interest, locale))}
       </div>
     </section>
   `
 }
+
+/**
+ * Individual interest item component
+ */
+export function interestItem(interest) {
+	return html`
+    <div class="interest-item section-item">
+      <h4 class="interest-name item-title">${interest.name || ''}</h4>
+      ${interest.keywords && interest.keywords.length > 0
+			? html`
+        <div class="interest-keywords">
+          ${interest.keywords.map(keyword => html`<span class="keyword">${keyword}</span>`)}
+        </div>
+      `
+			: ''}
+    </div>
+  `
+}
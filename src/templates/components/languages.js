@@ -1,22 +1,33 @@
+import {html} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+
 /**
  * Languages component
+ * Renders each entry with `languageItem`, unless the template overrides it
  */
-export function languages({languages = []}) {
+export function languages({languages = [], locale, sectionTitles = {}}, {languageItem: renderItem = languageItem} = {}) {
 	if (languages.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section languages-section">
-      <h3 class="section-title">Languages</h3>
+      <h3 class="section-title">${sectionTitles.languages || t(locale, 'sections.languages')}</h3>
       <div class="section-content">
-        ${languages.map(lang => `
-          <div class="language-item section-item">
-            <h4 class="language-name item-title">${lang.language || ''}</h4>
-            ${lang.fluency ? `<div class="language-fluency item-other-label">${lang.fluency}</div>` : ''}
-          </div>
-        `).join('')}
+        ${languages.map(lang => renderItem(lang, locale))}
       </div>
     </section>
   `
 }
+
+/**
+ * Individual language item component
+ */
+export function languageItem(lang) {
+	return html`
+    <div class="language-item section-item">
+      <h4 class="language-name item-title">${lang.language || ''}</h4>
+      ${lang.fluency ? html`<div class="language-fluency item-other-label">${lang.fluency}</div>` : ''}
+    </div>
+  `
+}
@@ -1,18 +1,21 @@
-import {formatDateRange} from '../utils/helpers.js'
+import {formatDateRange, html, linkOrText} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {md} from '../utils/markdown.js'
 
 /**
  * Projects component
+ * Renders each entry with `projectItem`, unless the template overrides it
  */
-export function projects({projects = []}) {
+export function projects({projects = [], locale, sectionTitles = {}}, {projectItem: renderItem = projectItem} = {}) {
 	if (projects.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section projects-section">
-      <h3 class="section-title">Projects</h3>
+      <h3 class="section-title">${sectionTitles.projects || t(locale, 'sections.projects')}</h3>
       <div class="section-content">
-        ${projects.map(project => projectItem(project)).join('')}
+        ${projects.map(project => renderItem(project, locale))}
       </div>
     </section>
   `
@@ -21,45 +24,45 @@ export function projects({projects = []}) {
 /**
  * Individual project item component
  */
-function projectItem(project) {
-	const {name, description, highlights = [], url, startDate, endDate, roles = [], entity, type, formattedDates} = project
+export function projectItem(project, locale) {
+	const {name, description, highlights = [], url, startDate, endDate, roles = [], entity, formattedDates} = project
 
-	return `
+	return html`
     <div class="project-item section-item">
       <div class="project-header item-header">
         <div class="item-header-left">
           <h4 class="project-name item-title">
-            ${url ? `<a href="${url}" target="_blank">${name}</a>` : name}
+            ${linkOrText(url, name)}
           </h4>
         ${roles.length > 0
-			? `<div class="project-roles item-subtitle">
+			? html`<div class="project-roles item-subtitle">
             ${roles.join(', ')}</div>`
 			: ''}
         </div>
         <div class="item-header-right">
           ${startDate
-				? `
+				? html`
             <div class="project-dates item-dates">
-              ${formattedDates || formatDateRange(startDate, endDate)}
+              ${formattedDates || formatDateRange(startDate, endDate, locale)}
             </div>
           `
 				: ''}
-        ${entity ? `<div class="project-entity">${entity}</div>` : ''}
+        ${entity ? html`<div class="project-entity">${entity}</div>` : ''}
         </div>
       </div>
 
       ${description
-			? `
+			? html`
         <div class="project-description item-summary">
-          <p>${description}</p>
+          <p>${md(description)}</p>
         </div>
       `
 			: ''}
 
       ${highlights.length > 0
-			? `
+			? html`
         <ul class="project-highlights item-list">
-          ${highlights.map(highlight => `<li>${highlight}</li>`).join('')}
+          ${highlights.map(highlight => html`<li>${md(highlight)}</li>`)}
         </ul>
       `
 			: ''}
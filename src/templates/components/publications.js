@@ -1,36 +1,59 @@
-import {formatDate} from '../utils/helpers.js'
+import {formatDate, html, linkOrText} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {md} from '../utils/markdown.js'
 
 /**
  * Publications component
+ * Renders each entry with `publicationItem`, unless the template overrides it
  */
-export function publications({publications = []}) {
+export function publications({publications = [], locale, sectionTitles = {}}, {publicationItem: renderItem = publicationItem} = {}) {
 	if (publications.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section publications-section">
-      <h3 class="section-title">Publications</h3>
+      <h3 class="section-title">${sectionTitles.publications || t(locale, 'sections.publications')}</h3>
       <div class="section-content">
-        ${publications.map(pub => `
-          <div class="publication-item section-item">
-            <div class="publication-header item-header">
-              <div class="item-header-left">
-                <h4 class="publication-name item-title">
-                  ${pub.name || ''}
-                </h4>
-                <div class="work-position item-subtitle">
-                  ${pub.url ? `<a href="${pub.url}" target="_blank">${pub.publisher}</a>` : pub.publisher}
-                </div>
-              </div>
-              <div class="item-header-right">
-                ${pub.releaseDate ? `<div class="publication-date item-dates">${formatDate(pub.releaseDate)}</div>` : ''}
-              </div>
-            </div>
-            ${pub.summary ? `<p class="publication-summary item-summary">${pub.summary}</p>` : ''}
-          </div>
-        `).join('')}
+        ${publications.map(pub => renderItem(pub, locale))}
       </div>
     </section>
   `
 }
+
+/**
+ * Individual publication item component
+ * Publications formatted with a citation style (see citations.js) render as a reference
+ */
+export function publicationItem(pub, locale) {
+	if (pub.citation) {
+		return html`
+    <div class="publication-item section-item">
+      <p class="publication-citation">
+        ${pub.citationLabel ? html`<span class="publication-citation-label">${pub.citationLabel}</span>` : ''}
+        ${md(pub.citation)}
+      </p>
+      ${pub.summary ? html`<p class="publication-summary item-summary">${md(pub.summary)}</p>` : ''}
+    </div>
+  `
+	}
+
+	return html`
+    <div class="publication-item section-item">
+      <div class="publication-header item-header">
+        <div class="item-header-left">
+          <h4 class="publication-name item-title">
+            ${pub.name || ''}
+          </h4>
+          <div class="work-position item-subtitle">
+            ${linkOrText(pub.url, pub.publisher)}
+          </div>
+        </div>
+        <div class="item-header-right">
+          ${pub.releaseDate ? html`<div class="publication-date item-dates">${pub.formattedDate || formatDate(pub.releaseDate, locale)}</div>` : ''}
+        </div>
+      </div>
+      ${pub.summary ? html`<p class="publication-summary item-summary">${md(pub.summary)}</p>` : ''}
+    </div>
+  `
+}
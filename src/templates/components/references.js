@@ -1,16 +1,21 @@
+import {html} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {md} from '../utils/markdown.js'
+
 /**
  * References component
+ * Renders each entry with `referenceItem`, unless the template overrides it
  */
-export function references({references = []}) {
+export function references({references = [], locale, sectionTitles = {}}, {referenceItem: renderItem = referenceItem} = {}) {
 	if (references.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section references-section">
-      <h3 class="section-title">References</h3>
+      <h3 class="section-title">${sectionTitles.references || t(locale, 'sections.references')}</h3>
       <div class="section-content">
-        ${references.map(reference => referenceItem(reference)).join('')}
+        ${references.map(reference => renderItem(reference, locale))}
       </div>
     </section>
   `
@@ -19,16 +24,16 @@ export function references({references = []}) {
 /**
  * Individual reference item component
  */
-function referenceItem(reference) {
+export function referenceItem(reference) {
 	const {name, reference: referenceText} = reference
 
-	return `
+	return html`
     <div class="reference-item section-item">
       <h4 class="reference-name item-title">${name || ''}</h4>
       ${referenceText
-			? `
+			? html`
         <blockquote class="reference-text">
-          "${referenceText}"
+          "${md(referenceText)}"
         </blockquote>
       `
 			: ''}
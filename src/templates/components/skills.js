@@ -1,16 +1,20 @@
+import {html} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+
 /**
  * Skills component
+ * Renders each entry with `skillItem`, unless the template overrides it
  */
-export function skills({skills = []}) {
+export function skills({skills = [], locale, sectionTitles = {}}, {skillItem: renderItem = skillItem} = {}) {
 	if (skills.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section skills-section">
-      <h3 class="section-title">Skills</h3>
+      <h3 class="section-title">${sectionTitles.skills || t(locale, 'sections.skills')}</h3>
       <div class="section-content">
-        ${skills.map(skill => skillItem(skill)).join('')}
+        ${skills.map(skill => renderItem(skill, locale))}
       </div>
     </section>
   `
@@ -19,19 +23,19 @@ export function skills({skills = []}) {
 /**
  * Individual skill item component
  */
-function skillItem(skill) {
+export function skillItem(skill) {
 	const {name, level, keywords = []} = skill
 
-	return `
+	return html`
     <div class="skill-item">
       <div class="skill-header">
         <h4 class="skill-name">${name || ''}</h4>
-        ${level ? `<span class="skill-level">${level}</span>` : ''}
+        ${level ? html`<span class="skill-level">${level}</span>` : ''}
       </div>
       ${keywords.length > 0
-			? `
+			? html`
         <div class="skill-keywords">
-          ${keywords.map(keyword => `<span class="keyword">${keyword}</span>`).join('')}
+          ${keywords.map(keyword => html`<span class="keyword">${keyword}</span>`)}
         </div>
       `
 			: ''}
@@ -1,16 +1,20 @@
+import {html} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {md} from '../utils/markdown.js'
+
 /**
  * Summary component
  */
-export function summary({basics = {}}) {
+export function summary({basics = {}, locale, sectionTitles = {}}) {
 	if (!basics.summary) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section summary-section">
-      <h3 class="section-title">Summary</h3>
+      <h3 class="section-title">${sectionTitles.summary || t(locale, 'sections.summary')}</h3>
       <div class="section-content">
-        <p class="summary-text">${basics.summary}</p>
+        <p class="summary-text">${md(basics.summary)}</p>
       </div>
     </section>
   `
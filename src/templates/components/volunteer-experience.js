@@ -1,18 +1,21 @@
-import {formatDateRange} from '../utils/helpers.js'
+import {formatDateRange, html, linkOrText} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {md} from '../utils/markdown.js'
 
 /**
  * Volunteer Experience component
+ * Renders each entry with `volunteerItem`, unless the template overrides it
  */
-export function volunteerExperience({volunteer = []}) {
+export function volunteerExperience({volunteer = [], locale, sectionTitles = {}}, {volunteerItem: renderItem = volunteerItem} = {}) {
 	if (volunteer.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section volunteer-section">
-      <h3 class="section-title">Contributions</h3>
+      <h3 class="section-title">${sectionTitles.volunteer || t(locale, 'sections.volunteer')}</h3>
       <div class="section-content">
-        ${volunteer.map(vol => volunteerItem(vol)).join('')}
+        ${volunteer.map(vol => renderItem(vol, locale))}
       </div>
     </section>
   `
@@ -21,37 +24,37 @@ export function volunteerExperience({volunteer = []}) {
 /**
  * Individual volunteer item component
  */
-function volunteerItem(vol) {
-	const {organization, position, url, summary, highlights = [], formattedDates} = vol
+export function volunteerItem(vol, locale) {
+	const {organization, position, url, startDate, endDate, summary, highlights = [], formattedDates} = vol
 
-	return `
+	return html`
     <div class="volunteer-item section-item">
       <div class="volunteer-header item-header">
         <div class="item-header-left">
           <h4 class="volunteer-position item-title">${position || ''}</h4>
           <div class="volunteer-organization item-subtitle">
-            ${url ? `<a href="${url}" target="_blank">${organization}</a>` : organization}
+            ${linkOrText(url, organization)}
           </div>
         </div>
         <div class="item-header-right">
           <div class="volunteer-dates item-dates">
-            ${formattedDates}
+            ${formattedDates || formatDateRange(startDate, endDate, locale)}
           </div>
         </div>
       </div>
 
       ${summary
-			? `
+			? html`
         <div class="volunteer-summary item-summary">
-          <p>${summary}</p>
+          <p>${md(summary)}</p>
         </div>
       `
 			: ''}
 
       ${highlights.length > 0
-			? `
+			? html`
         <ul class="volunteer-highlights item-list">
-          ${highlights.map(highlight => `<li>${highlight}</li>`).join('')}
+          ${highlights.map(highlight => html`<li>${md(highlight)}</li>`)}
         </ul>
       `
 			: ''}
@@ -1,18 +1,21 @@
-import {formatDateRange} from '../utils/helpers.js'
+import {formatDateRange, html, linkOrText} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {md} from '../utils/markdown.js'
 
 /**
  * Work Experience component
+ * Renders each entry with `workItem`, unless the template overrides it
  */
-export function workExperience({work = []}) {
+export function workExperience({work = [], locale, sectionTitles = {}}, {workItem: renderItem = workItem} = {}) {
 	if (work.length === 0) {
 		return ''
 	}
 
-	return `
+	return html`
     <section class="resume-section work-section">
-      <h3 class="section-title">Experience</h3>
+      <h3 class="section-title">${sectionTitles.work || t(locale, 'sections.work')}</h3>
       <div class="section-content">
-        ${work.map(job => workItem(job)).join('')}
+        ${work.map(job => renderItem(job, locale))}
       </div>
     </section>
   `
@@ -21,10 +24,10 @@ export function workExperience({work = []}) {
 /**
  * Individual work item component
  */
-function workItem(job) {
+export function workItem(job, locale) {
 	const {position, name, url, startDate, endDate, summary, location, highlights = [], formattedDates} = job
 
-	return `
+	return html`
     <div class="work-item section-item experience-item">
       <div class="work-header item-header">
         <div class="item-header-left">
@@ -32,12 +35,12 @@ function workItem(job) {
             ${position || ''}
           </h4>
           <div class="work-position item-subtitle">
-            ${url ? `<a href="${url}" target="_blank">${name}</a>` : name}
+            ${linkOrText(url, name)}
           </div>
         </div>
         <div class="item-header-right">
           <div class="work-dates item-dates">
-            ${formattedDates || formatDateRange(startDate, endDate)}
+            ${formattedDates || formatDateRange(startDate, endDate, locale)}
           </div>
           <div class="work-location item-other-label">
             ${location || ''}
@@ -46,17 +49,17 @@ function workItem(job) {
       </div>
 
       ${summary
-			? `
+			? html`
         <div class="work-summary item-summary">
-          <p>${summary}</p>
+          <p>${md(summary)}</p>
         </div>
       `
 			: ''}
 
       ${highlights.length > 0
-			? `
+			? html`
         <ul class="work-highlights item-list">
-          ${highlights.map(highlight => `<li>${highlight}</li>`).join('')}
+          ${highlights.map(highlight => html`<li>${md(highlight)}</li>`)}
         </ul>
       `
 			: ''}
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview BibTeX Renderer
+ * Writes the publications of a resume as a BibTeX database for LaTeX documents and reference
+ * managers. Each publication becomes a @misc entry keyed by first author (or title) and year;
+ * `authors` and `doi`, when present, are written as well (see citations.js)
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {parseAuthor, parseDOI} from '../utils/citations.js'
+import {parseDate, safeURL} from '../utils/helpers.js'
+import {stripMarkdown} from '../utils/markdown.js'
+import {escapeLaTeX} from './latex.js'
+
+/**
+ * BibTeX month macros, January first
+ * @type {Array<string>}
+ */
+const monthMacros = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+
+/**
+ * Reduce text to the ASCII letters and digits allowed in a cite key
+ * @param {string} text - Name or title word
+ * @returns {string} Lowercase key part
+ */
+function keyPart(text) {
+	return String(text ?? '').normalize('NFKD').replaceAll(/[^a-z\d]/gi, '').toLowerCase()
+}
+
+/**
+ * Make a cite key such as "hendriks2014" from the first author's family name, or the first word
+ * of the title, and the year; repeated keys get "a", "b"… appended
+ * @param {Object} publication - Publication
+ * @param {Set<string>} usedKeys - Keys given out so far, updated in place
+ * @returns {string} Unique cite key
+ */
+function citeKey(publication, usedKeys) {
+	const name = publication.authors?.length > 0
+		? keyPart(parseAuthor(publication.authors[0]).family)
+		: keyPart(String(publication.name ?? '').split(/\s+/).find(word => keyPart(word)))
+	const base = `${name || 'publication'}${parseDate(publication.releaseDate)?.year ?? ''}`
+
+	let key = base
+	for (let suffix = 0; usedKeys.has(key); suffix++) {
+		key = `${base}${suffix < 26 ? String.fromCodePoint(97 + suffix) : suffix}`
+	}
+
+	usedKeys.add(key)
+	return key
+}
+
+/**
+ * Write one publication as a BibTeX entry
+ * @param {Object} publication - Publication from the processed resume data
+ * @param {string} key - Cite key
+ * @returns {string} BibTeX entry
+ */
+function renderEntry(publication, key) {
+	const date = parseDate(publication.releaseDate)
+	const authors = (publication.authors || []).filter(Boolean).map(name => {
+		const {given, family} = parseAuthor(name)
+		return [family, given].filter(Boolean).join(', ')
+	})
+	const url = safeURL(publication.url)
+	const doi = parseDOI(publication.doi)
+
+	// Values are brace-delimited; URLs and DOIs are read verbatim, so only braces are removed from them
+	const fields = [
+		['author', escapeLaTeX(authors.join(' and '))],
+		['title', escapeLaTeX(publication.name)],
+		['howpublished', escapeLaTeX(publication.publisher)],
+		['year', date ? String(date.year) : ''],
+		['month', date?.month ? monthMacros[date.month - 1] : ''],
+		['url', url.replaceAll(/[{}]/g, '')],
+		['doi', doi.replaceAll(/[{}]/g, '')],
+		['abstract', escapeLaTeX(stripMarkdown(publication.summary))]
+	].filter(([, value]) => value)
+
+	const lines = fields.map(([field, value]) => (field === 'month' ? `  ${field} = ${value}` : `  ${field} = {${value}}`))
+	return `@misc{${key},\n${lines.join(',\n')}\n}`
+}
+
+/**
+ * Render the publications of a resume as a BibTeX database
+ * @param {Object} data - Processed resume data (see prepareResumeData)
+ * @returns {string} BibTeX entries separated by blank lines, or '' without publications
+ * @example
+ * writeFileSync('publications.bib', renderBibTeX(prepareResumeData(resume)))
+ */
+export function renderBibTeX(data) {
+	const usedKeys = new Set()
+	const entries = (data.publications || []).map(publication => renderEntry(publication, citeKey(publication, usedKeys)))
+
+	return entries.length > 0 ? `${entries.join('\n\n')}\n` : ''
+}
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview DOCX Resume Renderer
+ * Writes processed resume data as a Word document (Office Open XML) in plain JavaScript, with real
+ * heading and list styles and the colors, fonts and section order of the chosen template
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {escapeXML} from '../utils/helpers.js'
+import {markdownRuns} from '../utils/markdown.js'
+import {createZip} from '../utils/zip.js'
+import {getHeaderContent, getResumeSections, getTemplateStyle} from './sections.js'
+
+/**
+ * Collects hyperlink relationships while the document body is written
+ * @class LinkRegistry
+ */
+class LinkRegistry {
+	constructor() {
+		this.urls = []
+	}
+
+	/**
+	 * Get the relationship ID of a URL, registering it when new
+	 * @param {string} url - Safe URL
+	 * @returns {string} Relationship ID
+	 */
+	id(url) {
+		if (!this.urls.includes(url)) {
+			this.urls.push(url)
+		}
+
+		// The styles and numbering parts take rId1 and rId2
+		return `rId${this.urls.indexOf(url) + 3}`
+	}
+}
+
+/**
+ * Write a text run
+ * @param {Object} run - Run from markdownRuns, or {text, bold, italic}
+ * @param {LinkRegistry} links - Hyperlink registry
+ * @returns {string} WordprocessingML
+ */
+function writeRun(run, links) {
+	if (run.break) {
+		return '<w:r><w:br/></w:r>'
+	}
+
+	const properties = [
+		run.url ? '<w:rStyle w:val="Hyperlink"/>' : '',
+		run.code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' : '',
+		run.bold ? '<w:b/>' : '',
+		run.italic ? '<w:i/>' : ''
+	].join('')
+	const xml = `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXML(run.text)}</w:t></w:r>`
+
+	return run.url ? `<w:hyperlink r:id="${links.id(run.url)}" w:history="1">${xml}</w:hyperlink>` : xml
+}
+
+/**
+ * Write a paragraph
+ * @param {string} style - Paragraph style ID
+ * @param {Array<Object>} runs - Text runs
+ * @param {LinkRegistry} links - Hyperlink registry
+ * @returns {string} WordprocessingML
+ */
+function writeParagraph(style, runs, links) {
+	return `<w:p><w:pPr><w:pStyle w:val="${style}"/></w:pPr>${runs.map(run => writeRun(run, links)).join('')}</w:p>`
+}
+
+/**
+ * Turn title parts (see sections.js) into runs separated by commas
+ * @param {Array<{text: string, url: string|null}>} parts - Title parts
+ * @param {string} [separator=', '] - Separator between parts
+ * @returns {Array<Object>} Runs
+ */
+function partRuns(parts, separator = ', ') {
+	return parts.flatMap((titlePart, index) => [
+		...(index > 0 ? [{text: separator}] : []),
+		{text: titlePart.text, url: titlePart.url}
+	])
+}
+
+/**
+ * Write the document body
+ * @param {Object} data - Processed resume data
+ * @param {string} templateId - Template whose section order to follow
+ * @param {LinkRegistry} links - Hyperlink registry
+ * @returns {string} WordprocessingML paragraphs
+ */
+function writeBody(data, templateId, links) {
+	const header = getHeaderContent(data.basics)
+	const paragraphs = [
+		writeParagraph('Title', [{text: header.name}], links),
+		header.label ? writeParagraph('Subtitle', [{text: header.label}], links) : '',
+		header.contacts.length > 0 ? writeParagraph('Contact', partRuns(header.contacts, '  |  '), links) : '',
+		header.profiles.length > 0 ? writeParagraph('Contact', partRuns(header.profiles, '  |  '), links) : ''
+	]
+
+	for (const section of getResumeSections(data, templateId)) {
+		paragraphs.push(writeParagraph('Heading1', [{text: section.title}], links))
+
+		if (section.paragraph) {
+			paragraphs.push(writeParagraph('Normal', markdownRuns(section.paragraph), links))
+		}
+
+		for (const item of section.items || []) {
+			paragraphs.push(writeParagraph('ListBullet', [
+				{text: item.term, bold: true},
+				...(item.detail ? [{text: `: ${item.detail}`}] : [])
+			], links))
+		}
+
+		for (const entry of section.entries || []) {
+			paragraphs.push(
+				entry.title.length > 0 ? writeParagraph('Heading2', partRuns(entry.title), links) : '',
+				entry.details.length > 0 ? writeParagraph('EntryDetails', [{text: entry.details.join(' | ')}], links) : '',
+				entry.summary ? writeParagraph(entry.quote ? 'Quote' : 'Normal', markdownRuns(entry.summary), links) : '',
+				entry.listLabel ? writeParagraph('Normal', [{text: entry.listLabel, bold: true}], links) : '',
+				...entry.bullets.map(bullet => writeParagraph('ListBullet', markdownRuns(bullet), links))
+			)
+		}
+	}
+
+	return paragraphs.filter(Boolean).join('')
+}
+
+/**
+ * Write the styles part
+ * Properties are listed in the element order the WordprocessingML schema requires
+ * @param {Object} style - Template styling from getTemplateStyle
+ * @param {string} locale - Document language
+ * @returns {string} styles.xml
+ */
+function writeStyles({
+	font, color, headingCaps, headingRule
+}, locale) {
+	const fontName = escapeXML(font)
+	const headingBorder = `<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="2" w:color="${color}"/></w:pBdr>`
+	const paragraphStyles = [
+		{id: 'Normal', name: 'Normal', quick: true},
+		{
+			id: 'Title', name: 'Title', quick: true,
+			paragraph: '<w:spacing w:after="40"/>',
+			run: `<w:b/><w:color w:val="${color}"/><w:sz w:val="48"/><w:szCs w:val="48"/>`
+		},
+		{
+			id: 'Subtitle', name: 'Subtitle', quick: true,
+			paragraph: '<w:spacing w:after="80"/>',
+			run: '<w:color w:val="657B83"/><w:sz w:val="26"/><w:szCs w:val="26"/>'
+		},
+		{
+			id: 'Contact', name: 'Contact',
+			paragraph: '<w:spacing w:after="40"/>',
+			run: '<w:color w:val="657B83"/><w:sz w:val="18"/><w:szCs w:val="18"/>'
+		},
+		{
+			id: 'Heading1', name: 'heading 1', quick: true,
+			paragraph: `<w:keepNext/>${headingRule ? headingBorder : ''}<w:spacing w:before="280" w:after="100"/><w:outlineLvl w:val="0"/>`,
+			run: `<w:b/>${headingCaps ? '<w:caps/>' : ''}<w:color w:val="${color}"/><w:sz w:val="26"/><w:szCs w:val="26"/>`
+		},
+		{
+			id: 'Heading2', name: 'heading 2', quick: true,
+			paragraph: '<w:keepNext/><w:spacing w:before="160" w:after="20"/><w:outlineLvl w:val="1"/>',
+			run: '<w:b/><w:sz w:val="22"/><w:szCs w:val="22"/>'
+		},
+		{
+			id: 'EntryDetails', name: 'Entry Details',
+			paragraph: '<w:keepNext/><w:spacing w:after="60"/>',
+			run: '<w:i/><w:color w:val="657B83"/>'
+		},
+		{
+			id: 'ListBullet', name: 'List Bullet',
+			paragraph: '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr><w:spacing w:after="20"/><w:ind w:left="360" w:hanging="240"/>'
+		},
+		{
+			id: 'Quote', name: 'Quote', quick: true,
+			paragraph: `<w:pBdr><w:left w:val="single" w:sz="12" w:space="8" w:color="${color}"/></w:pBdr><w:ind w:left="360"/>`,
+			run: '<w:i/>'
+		}
+	]
+
+	return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr>
+      <w:rFonts w:ascii="${fontName}" w:hAnsi="${fontName}" w:eastAsia="${fontName}" w:cs="${fontName}"/>
+      <w:color w:val="333333"/><w:sz w:val="20"/><w:szCs w:val="20"/><w:lang w:val="${escapeXML(locale)}"/>
+    </w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  ${paragraphStyles.map(({
+		id, name, quick, paragraph = '', run = ''
+	}) => `<w:style w:type="paragraph" w:styleId="${id}">
+    <w:name w:val="${name}"/>${id === 'Normal' ? '' : '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/>'}${quick ? '<w:qFormat/>' : ''}
+    <w:pPr>${paragraph}</w:pPr>
+    <w:rPr>${run}</w:rPr>
+  </w:style>`).join('\n  ')}
+  <w:style w:type="character" w:styleId="Hyperlink">
+    <w:name w:val="Hyperlink"/>
+    <w:rPr><w:color w:val="${color}"/><w:u w:val="single"/></w:rPr>
+  </w:style>
+</w:styles>`
+}
+
+/**
+ * Numbering part defining the bullet used by the List Bullet style
+ * @type {string}
+ */
+const numberingXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="singleLevel"/>
+    <w:lvl w:ilvl="0">
+      <w:start w:val="1"/>
+      <w:numFmt w:val="bullet"/>
+      <w:lvlText w:val="•"/>
+      <w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="360" w:hanging="240"/></w:pPr>
+    </w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`
+
+/**
+ * Content types part
+ * @type {string}
+ */
+const contentTypesXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+
+/**
+ * Package relationships part
+ * @type {string}
+ */
+const packageRelsXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+
+/**
+ * Render a resume as a DOCX file
+ * @param {Object} data - Processed resume data (see prepareResumeData), including `formattedDates`
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.templateId='minimal'] - Template whose styling and section order to follow
+ * @param {string|Object|null} [options.theme=null] - Configured theme preset or tokens, see getTemplateStyle
+ * @returns {Uint8Array} DOCX file contents
+ * @example
+ * writeFileSync('resume.docx', renderDocx(prepareResumeData(resume), {templateId: 'classic'}))
+ */
+export function renderDocx(data, {templateId = 'minimal', theme = null} = {}) {
+	const style = getTemplateStyle(data, templateId, theme)
+	const links = new LinkRegistry()
+	const body = writeBody(data, templateId, links)
+	const {name = '', label = ''} = data.basics || {}
+	const keywords = (data.skills || []).flatMap(skill => [skill.name, ...(skill.keywords || [])]).filter(Boolean)
+
+	const documentXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="720" w:right="720" w:bottom="720" w:left="720" w:header="0" w:footer="0" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`
+
+	const documentRelsXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering" Target="numbering.xml"/>
+  ${links.urls.map(url => `<Relationship Id="${links.id(url)}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXML(url)}" TargetMode="External"/>`).join('\n  ')}
+</Relationships>`
+
+	const coreXML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <dc:title>${escapeXML([name, label].filter(Boolean).join(' – ') || 'Resume')}</dc:title>
+  <dc:creator>${escapeXML(name)}</dc:creator>
+  <dc:language>${escapeXML(data.locale || 'en')}</dc:language>
+  <cp:keywords>${escapeXML(keywords.join(', '))}</cp:keywords>
+</cp:coreProperties>`
+
+	return createZip([
+		{name: '[Content_Types].xml', data: contentTypesXML},
+		{name: '_rels/.rels', data: packageRelsXML},
+		{name: 'docProps/core.xml', data: coreXML},
+		{name: 'word/document.xml', data: documentXML},
+		{name: 'word/_rels/document.xml.rels', data: documentRelsXML},
+		{name: 'word/styles.xml', data: writeStyles(style, data.locale || 'en')},
+		{name: 'word/numbering.xml', data: numberingXML}
+	])
+}
@@ -0,0 +1,426 @@
+/**
+ * @fileoverview Europass XML Resume Renderer
+ * Writes processed resume data as a Europass CV in the SkillsPassport XML format (schema 3.x)
+ * accepted by the Europass editor and by employers that ask for Europass CVs. Europass has a
+ * fixed structure, so the section order of the layout does not apply; fields without a Europass
+ * equivalent are listed by reportEuropass
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {escapeHTML, escapeXML, isPresent} from '../utils/helpers.js'
+import {md, stripMarkdown} from '../utils/markdown.js'
+import {findUnmappedFields} from './unmapped-fields.js'
+
+/**
+ * Europass schema version written to DocumentInfo and the schema location
+ * @type {string}
+ */
+const schemaVersion = '3.4.0'
+
+/**
+ * JSON Resume fields written to the Europass CV, see findUnmappedFields
+ * @type {Array<string>}
+ */
+const mappedFields = [
+	'basics.name',
+	'basics.label',
+	'basics.summary',
+	'basics.email',
+	'basics.phone',
+	'basics.url',
+	'basics.location.address',
+	'basics.location.postalCode',
+	'basics.location.city',
+	'basics.location.countryCode',
+	'basics.profiles[].network',
+	'basics.profiles[].username',
+	'basics.profiles[].url',
+	...['name', 'position', 'location', 'url', 'startDate', 'endDate', 'summary', 'highlights'].map(field => `work[].${field}`),
+	...['organization', 'position', 'url', 'startDate', 'endDate', 'summary', 'highlights'].map(field => `volunteer[].${field}`),
+	...['institution', 'url', 'area', 'studyType', 'startDate', 'endDate', 'courses'].map(field => `education[].${field}`),
+	'skills[].name',
+	'skills[].level',
+	'skills[].keywords',
+	'languages[].language',
+	'languages[].fluency',
+	'interests[].name',
+	'interests[].keywords',
+	...['title', 'date', 'awarder', 'summary'].map(field => `awards[].${field}`),
+	...['name', 'date', 'issuer', 'url'].map(field => `certificates[].${field}`),
+	...['name', 'publisher', 'releaseDate', 'url', 'summary'].map(field => `publications[].${field}`),
+	...['name', 'description', 'highlights', 'url', 'startDate', 'endDate'].map(field => `projects[].${field}`),
+	'references[].name',
+	'references[].reference'
+]
+
+/**
+ * Europass achievement codes of the resume sections written as achievements
+ * @type {Object<string, string>}
+ */
+const achievementCodes = {
+	awards: 'honors_awards',
+	certificates: 'certifications',
+	publications: 'publications',
+	projects: 'projects',
+	references: 'references'
+}
+
+/**
+ * Element of the document being written
+ * @typedef {Object} EuropassElement
+ * @property {string} name - Element name
+ * @property {Array<Array<string>>} attributes - Attribute names and values
+ * @property {Array<EuropassElement>} children - Child elements
+ * @property {string} text - Text content, used when there are no children
+ */
+
+/**
+ * Create an element, or null when it would be empty so optional elements are left out
+ * @param {string} name - Element name
+ * @param {Array<EuropassElement|null>|string} [content] - Child elements, or text
+ * @param {Object<string, string>} [attributes={}] - Attributes; empty values are left out
+ * @returns {EuropassElement|null} Element
+ */
+function element(name, content, attributes = {}) {
+	const children = Array.isArray(content) ? content.filter(Boolean) : []
+	const text = Array.isArray(content) ? '' : String(content ?? '').trim()
+	const attributeList = Object.entries(attributes).filter(([, value]) => value)
+
+	if (children.length === 0 && !text && attributeList.length === 0) {
+		return null
+	}
+
+	return {
+		name, attributes: attributeList, children, text
+	}
+}
+
+/**
+ * Serialize an element with two-space indentation
+ * @param {EuropassElement} node - Element
+ * @param {string} [indent=''] - Indentation of the element
+ * @returns {string} XML
+ */
+function writeElement({
+	name, attributes, children, text
+}, indent = '') {
+	const start = [name, ...attributes.map(([key, value]) => `${key}="${escapeXML(value)}"`)].join(' ')
+
+	if (children.length > 0) {
+		return [`${indent}<${start}>`, ...children.map(child => writeElement(child, `${indent}  `)), `${indent}</${name}>`].join('\n')
+	}
+
+	return text ? `${indent}<${start}>${escapeXML(text)}</${name}>` : `${indent}<${start}/>`
+}
+
+/**
+ * Write a JSON Resume date (2015, 2015-03 or 2015-03-01) as a Europass date element
+ * @param {string} name - Element name, e.g. "From"
+ * @param {string} [date] - ISO 8601 date
+ * @returns {EuropassElement|null} Element with year, month ("--03") and day ("---01") attributes
+ */
+function dateElement(name, date) {
+	const [, year, month, day] = /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(date || '') || []
+
+	return element(name, undefined, {year, month: month && `--${month}`, day: day && `---${day}`})
+}
+
+/**
+ * Write the period of a dated entry; entries without an end date are current
+ * @param {Object} item - Entry with startDate and endDate
+ * @returns {EuropassElement|null} Period element
+ */
+function periodElement(item) {
+	const current = item.startDate && isPresent(item.endDate)
+
+	return element('Period', [
+		dateElement('From', item.startDate),
+		current ? null : dateElement('To', item.endDate),
+		current ? element('Current', 'true') : null
+	])
+}
+
+/**
+ * Write a website list with one website
+ * @param {string} [url] - Website URL
+ * @returns {EuropassElement|null} WebsiteList element
+ */
+function websiteList(url) {
+	return element('WebsiteList', [element('Website', [element('Contact', url)])])
+}
+
+/**
+ * Render free text and highlights as the HTML of a Europass description
+ * @param {string} [summary] - Free text with inline Markdown
+ * @param {Array<string>} [items=[]] - Bullets with inline Markdown
+ * @returns {string} HTML, escaped again when the document is written
+ */
+function richText(summary, items = []) {
+	return [
+		summary ? `<p>${md(summary)}</p>` : '',
+		items.length > 0 ? `<ul>${items.map(item => `<li>${md(item)}</li>`).join('')}</ul>` : ''
+	].join('')
+}
+
+/**
+ * Render plain-text lines as an HTML list
+ * @param {Array<string>} lines - Lines; empty lines are skipped
+ * @returns {string} HTML list, or '' without lines
+ */
+function htmlList(lines) {
+	const items = lines.filter(Boolean)
+	return items.length > 0 ? `<ul>${items.map(line => `<li>${escapeHTML(line)}</li>`).join('')}</ul>` : ''
+}
+
+/**
+ * Join the non-empty parts of a line
+ * @param {Array<string>} parts - Line parts
+ * @param {string} [separator=', '] - Separator between parts
+ * @returns {string} Joined line
+ */
+function joinParts(parts, separator = ', ') {
+	return parts.filter(Boolean).join(separator)
+}
+
+/**
+ * Write the identification: name and contact details
+ * The name is split at its last space into first name and surname
+ * @param {Object} basics - Resume basics
+ * @returns {EuropassElement|null} Identification element
+ */
+function writeIdentification(basics) {
+	const name = (basics.name || '').trim()
+	const split = name.lastIndexOf(' ')
+	const location = basics.location || {}
+	const profiles = basics.profiles || []
+
+	return element('Identification', [
+		element('PersonName', [
+			element('FirstName', split === -1 ? name : name.slice(0, split)),
+			element('Surname', split === -1 ? '' : name.slice(split + 1))
+		]),
+		element('ContactInfo', [
+			element('Address', [element('Contact', [
+				element('AddressLine', location.address),
+				element('PostalCode', location.postalCode),
+				element('Municipality', location.city),
+				element('Country', [element('Code', location.countryCode)])
+			])]),
+			element('Email', [element('Contact', basics.email)]),
+			element('TelephoneList', [element('Telephone', [element('Contact', basics.phone)])]),
+			element('WebsiteList', [
+				element('Website', [element('Contact', basics.url)]),
+				...profiles.filter(profile => profile.url).map(profile => element('Website', [
+					element('Contact', profile.url),
+					element('Use', [element('Label', profile.network)])
+				]))
+			]),
+			element('InstantMessagingList', profiles.filter(profile => profile.username).map(profile => element('InstantMessaging', [
+				element('Contact', profile.username),
+				element('Use', [element('Label', profile.network)])
+			])))
+		])
+	])
+}
+
+/**
+ * Write the headline: the position the resume presents, or with a summary a personal statement
+ * The statement is one paragraph after the label so importers can tell the two apart
+ * @param {string} [label] - Resume label, e.g. "Programmer"
+ * @param {string} [summary] - Resume summary with inline Markdown
+ * @returns {EuropassElement|null} Headline element
+ */
+function writeHeadline(label, summary) {
+	const statement = stripMarkdown(summary).replaceAll(/\s+/g, ' ').trim()
+	if (!label && !statement) {
+		return null
+	}
+
+	const type = statement
+		? [element('Code', 'personal_statement'), element('Label', 'Personal statement')]
+		: [element('Code', 'position'), element('Label', 'Position')]
+
+	return element('Headline', [
+		element('Type', type),
+		element('Description', [element('Label', [label, statement].filter(Boolean).join('\n\n'))])
+	])
+}
+
+/**
+ * Write a job or volunteer position as a work experience
+ * @param {Object} item - Work or volunteer entry
+ * @param {string} [employer] - Employer or organization name
+ * @returns {EuropassElement|null} WorkExperience element
+ */
+function writeWorkExperience(item, employer) {
+	return element('WorkExperience', [
+		periodElement(item),
+		element('Position', [element('Label', item.position)]),
+		element('Activities', richText(item.summary, item.highlights)),
+		element('Employer', [
+			element('Name', employer),
+			element('ContactInfo', [
+				element('Address', [element('Contact', [element('Municipality', item.location)])]),
+				websiteList(item.url)
+			])
+		])
+	])
+}
+
+/**
+ * Write an education entry
+ * @param {Object} education - Education entry
+ * @returns {EuropassElement|null} Education element
+ */
+function writeEducation(education) {
+	return element('Education', [
+		periodElement(education),
+		element('Title', education.studyType),
+		element('Activities', htmlList(education.courses || [])),
+		element('Organisation', [element('Name', education.institution), element('ContactInfo', [websiteList(education.url)])]),
+		element('Field', [element('Label', education.area)])
+	])
+}
+
+/**
+ * Write the languages: native languages as mother tongues, the others as foreign languages with
+ * their CEFR level on every scale. A fluency that is neither native nor a CEFR level is dropped
+ * @param {Array<Object>} languages - Language entries
+ * @param {Array<string>} dropped - Mapped fields whose value was dropped, updated in place
+ * @returns {EuropassElement|null} Linguistic element
+ */
+function writeLinguistic(languages, dropped) {
+	const isNative = language => /native|mother|bilingual/i.test(language.fluency || '')
+	const description = language => element('Description', [element('Label', language.language)])
+
+	const foreignLanguages = languages.filter(language => !isNative(language)).map(language => {
+		const level = /\b([ABC][12])\b/i.exec(language.fluency || '')?.[1].toUpperCase()
+		if (language.fluency && !level) {
+			dropped.push('languages[].fluency')
+		}
+
+		const scales = ['Listening', 'Reading', 'SpokenInteraction', 'SpokenProduction', 'Writing']
+		return element('ForeignLanguage', [
+			description(language),
+			level ? element('ProficiencyLevel', scales.map(scale => element(scale, level))) : null
+		])
+	})
+
+	return element('Linguistic', [
+		element('MotherTongueList', languages.filter(language => isNative(language)).map(language => element('MotherTongue', [description(language)]))),
+		element('ForeignLanguageList', foreignLanguages)
+	])
+}
+
+/**
+ * Write the skills: languages, the skill list as job-related skills and the interests as other skills
+ * @param {Object} data - Processed resume data
+ * @param {Array<string>} dropped - Mapped fields whose value was dropped, updated in place
+ * @returns {EuropassElement|null} Skills element
+ */
+function writeSkills(data, dropped) {
+	const describe = ({name, level, keywords = []}) => {
+		const title = joinParts([name, level ? `(${level})` : ''], ' ')
+		return joinParts([title, keywords.join(', ')], ': ')
+	}
+
+	return element('Skills', [
+		writeLinguistic(data.languages || [], dropped),
+		element('JobRelated', [element('Description', htmlList((data.skills || []).map(skill => describe(skill))))]),
+		element('Other', [element('Description', htmlList((data.interests || []).map(interest => describe(interest))))])
+	])
+}
+
+/**
+ * Plain-text lines of the resume sections written as achievements
+ * @type {Object<string, Function>}
+ */
+const achievementLines = {
+	awards: award => joinParts([joinParts([award.title, award.awarder, award.formattedDate]), award.summary], ': '),
+	certificates: certificate => joinParts([certificate.name, certificate.issuer, certificate.formattedDate, certificate.url]),
+	publications: publication => joinParts([
+		joinParts([publication.name, publication.publisher, publication.formattedDate, publication.url]),
+		publication.summary
+	], ': '),
+	projects: project => joinParts([
+		joinParts([project.name, project.formattedDates, project.url]),
+		joinParts([project.description, ...(project.highlights || [])], '; ')
+	], ': '),
+	references: reference => joinParts([reference.reference, reference.name], ' — ')
+}
+
+/**
+ * Write the achievements: awards, certificates, publications, projects and references
+ * @param {Object} data - Processed resume data
+ * @returns {EuropassElement|null} AchievementList element
+ */
+function writeAchievements(data) {
+	return element('AchievementList', Object.entries(achievementCodes).map(([section, code]) => {
+		const description = htmlList((data[section] || []).map(item => achievementLines[section](item)))
+		if (!description) {
+			return null
+		}
+
+		return element('Achievement', [
+			element('Title', [element('Code', code), element('Label', data.sectionTitles?.[section])]),
+			element('Description', description)
+		])
+	}))
+}
+
+/**
+ * Map processed resume data to the Europass document
+ * @param {Object} data - Processed resume data
+ * @returns {{root: EuropassElement, dropped: Array<string>}} Root element and the mapped fields whose value was dropped
+ */
+function buildEuropass(data) {
+	const basics = data.basics || {}
+	const dropped = []
+
+	const root = element('SkillsPassport', [
+		element('DocumentInfo', [
+			element('DocumentType', 'ECV'),
+			element('CreationDate', data.meta?.lastModified || new Date().toISOString()),
+			element('XSDVersion', `V${schemaVersion.split('.').slice(0, 2).join('.')}`),
+			element('Generator', 'jsonresume-meh'),
+			element('EuropassLogo', 'false')
+		]),
+		element('LearnerInfo', [
+			writeIdentification(basics),
+			writeHeadline(basics.label, basics.summary),
+			element('WorkExperienceList', [
+				...(data.work || []).map(job => writeWorkExperience(job, job.name)),
+				...(data.volunteer || []).map(volunteer => writeWorkExperience(volunteer, volunteer.organization))
+			]),
+			element('EducationList', (data.education || []).map(education => writeEducation(education))),
+			writeSkills(data, dropped),
+			writeAchievements(data)
+		])
+	], {
+		xmlns: 'http://europass.cedefop.europa.eu/Europass',
+		'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+		'xsi:schemaLocation': `http://europass.cedefop.europa.eu/Europass https://europass.cedefop.europa.eu/xml/v${schemaVersion}/EuropassSchema.xsd`,
+		locale: data.locale
+	})
+
+	return {root, dropped}
+}
+
+/**
+ * Render processed resume data as a Europass CV
+ * @param {Object} data - Processed resume data
+ * @returns {string} Europass XML document
+ */
+export function renderEuropass(data) {
+	return `<?xml version="1.0" encoding="UTF-8"?>\n${writeElement(buildEuropass(data).root)}\n`
+}
+
+/**
+ * List the resume fields with content that the Europass CV leaves out
+ * @param {Object} data - Processed resume data
+ * @returns {Array<{field: string, count: number}>} Unmapped fields, see findUnmappedFields
+ */
+export function reportEuropass(data) {
+	return findUnmappedFields(data, mappedFields, buildEuropass(data).dropped)
+}
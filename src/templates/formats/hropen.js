@@ -0,0 +1,204 @@
+/**
+ * @fileoverview HR-Open JSON Resume Renderer
+ * Writes processed resume data as an HR Open Standards 4.x Candidate in JSON: the person with
+ * their contact details, and one profile with employment, education, certifications,
+ * publications, qualifications and languages. Free text is written without Markdown; fields
+ * without an HR-Open equivalent are listed by reportHROpen
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {isPresent} from '../utils/helpers.js'
+import {stripMarkdown} from '../utils/markdown.js'
+import {findUnmappedFields} from './unmapped-fields.js'
+
+/**
+ * JSON Resume fields written to the HR-Open candidate, see findUnmappedFields
+ * @type {Array<string>}
+ */
+const mappedFields = [
+	'basics.name',
+	'basics.label',
+	'basics.email',
+	'basics.phone',
+	'basics.url',
+	'basics.summary',
+	'basics.location',
+	'basics.profiles[].network',
+	'basics.profiles[].url',
+	...['name', 'position', 'location', 'url', 'startDate', 'endDate', 'summary', 'highlights'].map(field => `work[].${field}`),
+	...['organization', 'position', 'url', 'startDate', 'endDate', 'summary', 'highlights'].map(field => `volunteer[].${field}`),
+	...['institution', 'url', 'area', 'studyType', 'startDate', 'endDate', 'courses'].map(field => `education[].${field}`),
+	...['name', 'date', 'issuer', 'url'].map(field => `certificates[].${field}`),
+	...['name', 'publisher', 'releaseDate', 'url', 'summary'].map(field => `publications[].${field}`),
+	'skills[].name',
+	'skills[].level',
+	'skills[].keywords',
+	'languages[].language',
+	'languages[].fluency'
+]
+
+/**
+ * Remove empty values from an object, recursively, so optional HR-Open properties are left out
+ * @param {*} value - Value
+ * @returns {*} Value without empty strings, arrays and objects, or undefined when nothing is left
+ */
+function compact(value) {
+	if (Array.isArray(value)) {
+		const items = value.map(item => compact(item)).filter(item => item !== undefined)
+		return items.length > 0 ? items : undefined
+	}
+
+	if (value && typeof value === 'object') {
+		const entries = Object.entries(value).map(([key, item]) => [key, compact(item)]).filter(([, item]) => item !== undefined)
+		return entries.length > 0 ? Object.fromEntries(entries) : undefined
+	}
+
+	return value === '' || value === null ? undefined : value
+}
+
+/**
+ * Convert free text with inline Markdown to plain text
+ * @param {string} [text] - Free text
+ * @returns {string|undefined} Plain text
+ */
+function plain(text) {
+	return text ? stripMarkdown(text).trim() : undefined
+}
+
+/**
+ * Join a summary and highlights into one plain-text description with bullets
+ * @param {string} [summary] - Free text with inline Markdown
+ * @param {Array<string>} [highlights=[]] - Highlights with inline Markdown
+ * @returns {string} Description
+ */
+function describe(summary, highlights = []) {
+	return [plain(summary), ...highlights.map(highlight => `• ${plain(highlight)}`)].filter(Boolean).join('\n')
+}
+
+/**
+ * Map the dates of an entry; entries without an end date are current
+ * @param {Object} item - Entry with startDate and endDate
+ * @returns {{start: string, end: string, current: boolean}} HR-Open dates
+ */
+function period(item) {
+	const current = Boolean(item.startDate) && isPresent(item.endDate)
+	return {start: item.startDate, end: current ? undefined : item.endDate, current: item.startDate ? current : undefined}
+}
+
+/**
+ * Map a job or volunteer position to an employer history with one position
+ * @param {Object} item - Work or volunteer entry
+ * @param {string} [employer] - Employer or organization name
+ * @returns {Object} HR-Open employer history
+ */
+function employment(item, employer) {
+	return {
+		organization: {name: employer, url: item.url},
+		positionHistories: [{
+			title: item.position,
+			...period(item),
+			city: item.location,
+			description: describe(item.summary, item.highlights)
+		}]
+	}
+}
+
+/**
+ * Map the person: name and contact details
+ * The name is split at its last space into given and family name
+ * @param {Object} basics - Resume basics
+ * @returns {Object} HR-Open person
+ */
+function person(basics) {
+	const name = (basics.name || '').trim()
+	const split = name.lastIndexOf(' ')
+	const location = basics.location || {}
+
+	return {
+		name: {
+			formattedName: name,
+			given: split === -1 ? name : name.slice(0, split),
+			family: split === -1 ? undefined : name.slice(split + 1)
+		},
+		communication: {
+			address: [{
+				line: location.address,
+				city: location.city,
+				postalCode: location.postalCode,
+				countryCode: location.countryCode,
+				countrySubDivisions: [{value: location.region}]
+			}],
+			email: [{address: basics.email}],
+			phone: [{formattedNumber: basics.phone}],
+			web: [
+				{url: basics.url},
+				...(basics.profiles || []).filter(profile => profile.url).map(profile => ({name: profile.network, url: profile.url}))
+			]
+		}
+	}
+}
+
+/**
+ * Map the profile: headline, summary and the resume sections HR-Open knows
+ * @param {Object} data - Processed resume data
+ * @returns {Object} HR-Open candidate profile
+ */
+function profile(data) {
+	return {
+		languageCode: data.locale,
+		profileName: data.basics?.label,
+		executiveSummary: plain(data.basics?.summary),
+		employment: [
+			...(data.work || []).map(job => employment(job, job.name)),
+			...(data.volunteer || []).map(volunteer => employment(volunteer, volunteer.organization))
+		],
+		education: (data.education || []).map(education => ({
+			institution: {name: education.institution, url: education.url},
+			educationDegrees: [{name: education.studyType, specializations: [{name: education.area}]}],
+			...period(education),
+			descriptions: (education.courses || []).map(course => plain(course))
+		})),
+		certifications: (data.certificates || []).map(certificate => ({
+			name: certificate.name,
+			issuingAuthority: {name: certificate.issuer},
+			effectiveTimePeriod: {validFrom: certificate.date},
+			link: certificate.url
+		})),
+		publications: (data.publications || []).map(publication => ({
+			title: publication.name,
+			publisher: publication.publisher,
+			issued: publication.releaseDate,
+			link: publication.url,
+			abstract: plain(publication.summary)
+		})),
+		qualifications: (data.skills || []).map(skill => ({
+			competencyName: skill.name,
+			competencyLevel: skill.level,
+			description: (skill.keywords || []).join(', ')
+		})),
+		languages: (data.languages || []).map(language => ({
+			name: language.language,
+			proficiency: language.fluency
+		}))
+	}
+}
+
+/**
+ * Render processed resume data as an HR-Open candidate
+ * @param {Object} data - Processed resume data
+ * @returns {string} HR-Open JSON document
+ */
+export function renderHROpen(data) {
+	const candidate = compact({person: person(data.basics || {}), profiles: [profile(data)]}) || {}
+	return `${JSON.stringify(candidate, null, 2)}\n`
+}
+
+/**
+ * List the resume fields with content that the HR-Open candidate leaves out
+ * @param {Object} data - Processed resume data
+ * @returns {Array<{field: string, count: number}>} Unmapped fields, see findUnmappedFields
+ */
+export function reportHROpen(data) {
+	return findUnmappedFields(data, mappedFields)
+}
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Resume Output Formats
+ * Registry of the non-HTML formats offered by the static build, the CLI and the download
+ * buttons of the browser app. Every renderer takes processed resume data (see prepareResumeData)
+ * and returns a string, or a Uint8Array for binary formats, directly or as a promise.
+ * Interchange formats with a fixed structure (Europass, HR-Open) also have a `report` function
+ * listing the resume fields they cannot hold, see unmapped-fields.js
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {renderBibTeX} from './bibtex.js'
+import {renderDocx} from './docx.js'
+import {renderEuropass, reportEuropass} from './europass.js'
+import {renderHROpen, reportHROpen} from './hropen.js'
+import {renderLaTeX} from './latex.js'
+import {renderMarkdown} from './markdown.js'
+import {renderText} from './text.js'
+
+/**
+ * Output formats by ID
+ * @type {Object<string, {name: string, extension: string, mimeType: string, render: Function, report?: Function}>}
+ */
+export const outputFormats = {
+	text: {
+		name: 'Plain text',
+		extension: 'txt',
+		mimeType: 'text/plain;charset=utf-8',
+		render: renderText
+	},
+	markdown: {
+		name: 'Markdown',
+		extension: 'md',
+		mimeType: 'text/markdown;charset=utf-8',
+		render: renderMarkdown
+	},
+	docx: {
+		name: 'Word',
+		extension: 'docx',
+		mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+		render: renderDocx
+	},
+	pdf: {
+		name: 'PDF',
+		extension: 'pdf',
+		mimeType: 'application/pdf',
+		// Loaded on demand: the PDF library is large and only needed when a PDF is requested
+		async render(data, options) {
+			const {renderPdf} = await import('./pdf.js')
+			return renderPdf(data, options)
+		}
+	},
+	latex: {
+		name: 'LaTeX',
+		extension: 'tex',
+		mimeType: 'application/x-tex;charset=utf-8',
+		render: renderLaTeX
+	},
+	bibtex: {
+		name: 'BibTeX',
+		extension: 'bib',
+		mimeType: 'application/x-bibtex;charset=utf-8',
+		render: renderBibTeX
+	},
+	europass: {
+		name: 'Europass XML',
+		extension: 'europass.xml',
+		mimeType: 'application/xml;charset=utf-8',
+		render: renderEuropass,
+		report: reportEuropass
+	},
+	hropen: {
+		name: 'HR-Open JSON',
+		extension: 'hropen.json',
+		mimeType: 'application/json;charset=utf-8',
+		render: renderHROpen,
+		report: reportHROpen
+	}
+}
+
+/**
+ * Look up an output format
+ * @param {string} formatId - Format ID
+ * @returns {Object} Format definition
+ * @throws {Error} When the format does not exist
+ */
+export function getOutputFormat(formatId) {
+	if (!Object.hasOwn(outputFormats, formatId)) {
+		throw new Error(`Unknown output format "${formatId}". Available formats: ${Object.keys(outputFormats).join(', ')}`)
+	}
+
+	return outputFormats[formatId]
+}
@@ -0,0 +1,331 @@
+/**
+ * @fileoverview LaTeX Resume Renderer
+ * Renders processed resume data as a standalone LaTeX document (article class) for academic
+ * submissions, with the accent color and heading style of the chosen template and its section
+ * order. Publications become a numbered bibliography. Compiles with pdflatex, xelatex or lualatex
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {safeURL} from '../utils/helpers.js'
+import {markdownRuns} from '../utils/markdown.js'
+import {getHeaderContent, getResumeSections, getTemplateStyle} from './sections.js'
+
+/**
+ * Replacements for the characters with a special meaning in LaTeX
+ * @type {Object<string, string>}
+ */
+const specialCharacters = {
+	'\\': String.raw`\textbackslash{}`,
+	'{': String.raw`\{`,
+	'}': String.raw`\}`,
+	$: String.raw`\$`,
+	'&': String.raw`\&`,
+	'#': String.raw`\#`,
+	'%': String.raw`\%`,
+	_: String.raw`\_`,
+	'~': String.raw`\textasciitilde{}`,
+	'^': String.raw`\textasciicircum{}`
+}
+
+/**
+ * Paper sizes of `printSettings.format` as geometry options
+ * @type {Object<string, string>}
+ */
+const paperSizes = {
+	a3: 'a3paper',
+	a4: 'a4paper',
+	a5: 'a5paper',
+	letter: 'letterpaper',
+	legal: 'legalpaper',
+	tabloid: 'paperwidth=11in,paperheight=17in'
+}
+
+/**
+ * Escape plain text for LaTeX
+ * Line breaks become spaces, so the text is safe inside command arguments
+ * @param {*} text - Plain text from resume data
+ * @returns {string} Escaped text
+ * @example
+ * escapeLaTeX('R&D: 100% of C# ~users_') // 'R\\&D: 100\\% of C\\# \\textasciitilde{}users\\_'
+ */
+export function escapeLaTeX(text) {
+	if (text === null || text === undefined) {
+		return ''
+	}
+
+	return String(text)
+		.replaceAll(/\s*\r?\n\s*/g, ' ')
+		.replaceAll(/[\\{}$&#%_~^]/g, character => specialCharacters[character])
+}
+
+/**
+ * Escape a URL for the first argument of \href
+ * hyperref reads the URL almost verbatim; only "#" and "%" need a backslash, and braces and
+ * backslashes are percent-encoded
+ * @param {string} url - Safe URL
+ * @returns {string} Escaped URL
+ */
+function escapeURL(url) {
+	return url.replaceAll(/[{}\\]/g, encodeURIComponent).replaceAll(/[#%]/g, String.raw`\$&`)
+}
+
+/**
+ * Render a link when the URL is safe, or the text otherwise
+ * @param {string} latex - Link text, already LaTeX
+ * @param {string|null} url - URL
+ * @returns {string} LaTeX
+ */
+function link(latex, url) {
+	const href = safeURL(url)
+	return href ? String.raw`\href{${escapeURL(href)}}{${latex}}` : latex
+}
+
+/**
+ * Render free text with inline Markdown: bold, italics, code, links and line breaks
+ * @param {string} text - Free text from resume data
+ * @returns {string} LaTeX
+ */
+function inline(text) {
+	return markdownRuns(text).map(run => {
+		if (run.break) {
+			return String.raw`\newline{}`
+		}
+
+		let latex = escapeLaTeX(run.text)
+		if (run.code) {
+			latex = String.raw`\texttt{${latex}}`
+		}
+
+		if (run.italic) {
+			latex = String.raw`\emph{${latex}}`
+		}
+
+		if (run.bold) {
+			latex = String.raw`\textbf{${latex}}`
+		}
+
+		return run.url ? link(latex, run.url) : latex
+	}).join('')
+}
+
+/**
+ * Render title parts (see sections.js), linked where they have a URL
+ * @param {Array<{text: string, url: string|null}>} parts - Title parts
+ * @param {string} separator - LaTeX between the parts
+ * @returns {string} LaTeX
+ */
+function renderParts(parts, separator) {
+	return parts.map(part => link(escapeLaTeX(part.text), part.url)).join(separator)
+}
+
+/**
+ * Convert a CSS length such as "0.5in" or "12px" to a LaTeX length
+ * @param {string|number} value - CSS length; bare numbers are points
+ * @returns {string} LaTeX length
+ * @throws {Error} When the length has an unsupported unit
+ */
+function toLength(value) {
+	const [, number, unit = 'pt'] = /^(-?[\d.]+)(in|cm|mm|pt|px)?$/.exec(String(value).trim()) || []
+	if (number === undefined) {
+		throw new Error(`Invalid margin "${value}" in printSettings, expected a length in in, cm, mm, pt or px`)
+	}
+
+	return unit === 'px' ? `${Number(number) * 0.75}pt` : `${number}${unit}`
+}
+
+/**
+ * Get the geometry options of `templateConfig.sharedSettings.printSettings`
+ * @param {Object} [printSettings={}] - Print settings
+ * @param {string} [printSettings.format='A4'] - Page format (A3, A4, A5, Letter, Legal, Tabloid)
+ * @param {string} [printSettings.orientation='portrait'] - Page orientation
+ * @param {string|Object} [printSettings.margin='0.5in'] - CSS-style margin shorthand or {top, right, bottom, left}
+ * @returns {string} Options for \usepackage{geometry}
+ * @throws {Error} When the format or a margin is invalid
+ */
+function getGeometry({format = 'A4', orientation = 'portrait', margin = '0.5in'} = {}) {
+	const paper = paperSizes[String(format).toLowerCase()]
+	if (!paper) {
+		throw new Error(`Unknown page format "${format}" in printSettings. Available formats: A3, A4, A5, Letter, Legal, Tabloid`)
+	}
+
+	const [top, right = top, bottom = top, left = right] = typeof margin === 'object' && margin !== null
+		? [margin.top ?? 0, margin.right ?? 0, margin.bottom ?? 0, margin.left ?? 0]
+		: String(margin).trim().split(/\s+/)
+
+	return [
+		paper,
+		orientation === 'landscape' ? 'landscape' : '',
+		`top=${toLength(top)},right=${toLength(right)},bottom=${toLength(bottom)},left=${toLength(left)}`
+	].filter(Boolean).join(',')
+}
+
+/**
+ * Render the preamble: packages, page geometry, accent color and section heading style
+ * @param {Object} data - Processed resume data
+ * @param {Object} style - Template styling from getTemplateStyle
+ * @param {Object} [printSettings] - Print settings, see getGeometry
+ * @returns {string} LaTeX preamble
+ */
+function renderPreamble(data, {color, headingRule}, printSettings) {
+	// The last command of the heading style receives the heading text, see \@ssect in the LaTeX kernel
+	const headingCommand = headingRule
+		? String.raw`\newcommand{\resumeheading}[1]{#1\vspace{0.3ex}\hrule height 0.6pt\relax}`
+		: String.raw`\newcommand{\resumeheading}[1]{#1}`
+
+	return String.raw`\documentclass[11pt]{article}
+\usepackage{iftex}
+\ifPDFTeX
+  \usepackage[T1]{fontenc}
+  \usepackage[utf8]{inputenc}
+\else
+  \usepackage{fontspec}
+\fi
+\usepackage[${getGeometry(printSettings)}]{geometry}
+\usepackage{enumitem}
+\usepackage{xcolor}
+\usepackage[hidelinks]{hyperref}
+
+\definecolor{accent}{HTML}{${color}}
+\hypersetup{pdfauthor={${escapeLaTeX(data.basics?.name)}}, pdftitle={${escapeLaTeX([data.basics?.name, data.basics?.label].filter(Boolean).join(' – ') || 'Resume')}}}
+\pagestyle{empty}
+\setlength{\parindent}{0pt}
+\setlength{\parskip}{0.4ex}
+\setlist[itemize]{leftmargin=1.5em, itemsep=0.2ex, topsep=0.4ex}
+
+${headingCommand}
+\makeatletter
+\renewcommand{\section}{\@startsection{section}{1}{\z@}{-2.5ex plus -0.5ex minus -0.2ex}{1ex}{\normalfont\large\bfseries\color{accent}\resumeheading}}
+\makeatother`
+}
+
+/**
+ * Render the header with name, label, contact details and profile links
+ * @param {Object} basics - Resume basics
+ * @returns {string} LaTeX block
+ */
+function renderHeader(basics) {
+	const header = getHeaderContent(basics)
+	const separator = String.raw` \quad\textbullet\quad `
+	const lines = [
+		String.raw`{\LARGE\bfseries ${escapeLaTeX(header.name) || 'Resume'}}`,
+		header.label ? String.raw`{\large ${escapeLaTeX(header.label)}}` : '',
+		header.contacts.length > 0 ? String.raw`{\small ${renderParts(header.contacts, separator)}}` : '',
+		header.profiles.length > 0 ? String.raw`{\small ${renderParts(header.profiles, separator)}}` : ''
+	].filter(Boolean)
+
+	return [String.raw`\begin{center}`, lines.join(String.raw`\\[0.5ex]` + '\n'), String.raw`\end{center}`].join('\n')
+}
+
+/**
+ * Render a bulleted list
+ * @param {Array<string>} items - List items, already LaTeX
+ * @returns {string} itemize environment, or '' without items
+ */
+function renderList(items) {
+	if (items.length === 0) {
+		return ''
+	}
+
+	return [String.raw`\begin{itemize}`, ...items.map(item => String.raw`  \item ${item}`), String.raw`\end{itemize}`].join('\n')
+}
+
+/**
+ * Render one resume entry: title, details, summary and bullets
+ * @param {Object} entry - Section entry, see sections.js
+ * @returns {string} LaTeX block
+ */
+function renderEntry(entry) {
+	const summary = entry.summary ? inline(entry.summary) : ''
+
+	return [
+		entry.title.length > 0 ? String.raw`\textbf{${renderParts(entry.title, ', ')}}\par` : '',
+		entry.details.length > 0 ? String.raw`{\small\itshape ${entry.details.map(detail => escapeLaTeX(detail)).join(String.raw` \textbar{} `)}}\par` : '',
+		summary && entry.quote ? [String.raw`\begin{quote}`, summary, String.raw`\end{quote}`].join('\n') : '',
+		summary && !entry.quote ? `${summary}\\par` : '',
+		entry.listLabel ? String.raw`\textbf{${escapeLaTeX(entry.listLabel)}}` : '',
+		renderList(entry.bullets.map(bullet => inline(bullet))),
+		String.raw`\medskip`
+	].filter(Boolean).join('\n')
+}
+
+/**
+ * Render the publications as a numbered bibliography under the section title
+ * @param {Array<Object>} publications - Publications from the processed resume data
+ * @param {string} title - Section title
+ * @returns {string} thebibliography environment
+ */
+function renderBibliography(publications, title) {
+	const items = publications.map((publication, index) => {
+		// Citations carry their own punctuation; thebibliography numbers the items itself
+		if (publication.citation) {
+			return [
+				String.raw`  \bibitem{publication${index + 1}}`,
+				inline(publication.citation),
+				publication.summary ? String.raw`\newblock ${inline(publication.summary)}` : ''
+			].filter(Boolean).join(' ')
+		}
+
+		const source = [publication.publisher, publication.formattedDate].filter(Boolean).map(value => escapeLaTeX(value)).join(', ')
+		const url = safeURL(publication.url)
+
+		return [
+			String.raw`  \bibitem{publication${index + 1}}`,
+			publication.name ? String.raw`\emph{${escapeLaTeX(publication.name)}}.` : '',
+			source ? `${source}.` : '',
+			url ? String.raw`\url{${escapeURL(url)}}` : '',
+			publication.summary ? String.raw`\newblock ${inline(publication.summary)}` : ''
+		].filter(Boolean).join(' ')
+	})
+
+	return [
+		// The bibliography environment writes its own heading from \refname
+		String.raw`\renewcommand{\refname}{${title}}`,
+		String.raw`\begin{thebibliography}{${publications.length}}`,
+		...items,
+		String.raw`\end{thebibliography}`
+	].join('\n')
+}
+
+/**
+ * Render a resume as a LaTeX document
+ * @param {Object} data - Processed resume data (see prepareResumeData), including `formattedDates`
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.templateId='minimal'] - Template whose styling and section order to follow
+ * @param {string|Object|null} [options.theme=null] - Configured theme preset or tokens, see getTemplateStyle
+ * @param {Object} [options.printSettings] - Page format, orientation and margins, see templateConfig.sharedSettings
+ * @returns {string} LaTeX document ending with a newline
+ * @example
+ * writeFileSync('resume.tex', renderLaTeX(prepareResumeData(resume), {templateId: 'minimal'}))
+ */
+export function renderLaTeX(data, {templateId = 'minimal', theme = null, printSettings} = {}) {
+	const style = getTemplateStyle(data, templateId, theme)
+	const blocks = [renderPreamble(data, style, printSettings), String.raw`\begin{document}`, renderHeader(data.basics)]
+
+	for (const section of getResumeSections(data, templateId)) {
+		const title = escapeLaTeX(style.headingCaps ? section.title.toLocaleUpperCase(data.locale) : section.title)
+
+		if (section.key === 'publications') {
+			blocks.push(renderBibliography(data.publications, title))
+			continue
+		}
+
+		blocks.push(String.raw`\section*{${title}}`)
+
+		if (section.paragraph) {
+			blocks.push(inline(section.paragraph))
+		}
+
+		if (section.items) {
+			blocks.push(renderList(section.items.map(item => [
+				String.raw`\textbf{${escapeLaTeX(item.term)}}`,
+				item.detail ? `: ${escapeLaTeX(item.detail)}` : ''
+			].join(''))))
+		}
+
+		blocks.push(...(section.entries || []).map(entry => renderEntry(entry)))
+	}
+
+	blocks.push(String.raw`\end{document}`)
+	return `${blocks.filter(Boolean).join('\n\n')}\n`
+}
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Markdown Resume Renderer
+ * Renders processed resume data as a Markdown document with headings, bullet lists and links,
+ * from the section model shared with the other document exports (see sections.js)
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {safeURL} from '../utils/helpers.js'
+import {escapeMarkdown, sanitizeMarkdown} from '../utils/markdown.js'
+import {getHeaderContent, getResumeSections} from './sections.js'
+
+/**
+ * Pass through a free-text field that already holds inline Markdown
+ * Raw HTML is neutralized, unsafe links are reduced to their text (see sanitizeMarkdown) and line
+ * breaks become hard breaks
+ * @param {string} text - Free text from resume data
+ * @param {string} [indent=''] - Indentation of continuation lines, e.g. inside list items
+ * @returns {string} Markdown text
+ */
+function inline(text, indent = '') {
+	return sanitizeMarkdown(String(text ?? '').trim()).replaceAll(/\r?\n/g, `\\\n${indent}`)
+}
+
+/**
+ * Render a link when the URL is safe, or the escaped text otherwise
+ * @param {string} text - Link text, escaped here
+ * @param {string} url - URL from resume data
+ * @returns {string} Markdown link or text
+ */
+function link(text, url) {
+	const href = safeURL(url)
+	if (!href) {
+		return escapeMarkdown(text)
+	}
+
+	return `[${escapeMarkdown(text || href)}](${/[\s()<>]/.test(href) ? `<${href.replaceAll(/[<>]/g, encodeURIComponent)}>` : href})`
+}
+
+/**
+ * Join the non-empty parts of a line
+ * @param {Array<string>} parts - Line parts
+ * @param {string} [separator=' · '] - Separator between parts
+ * @returns {string} Joined line
+ */
+function joinParts(parts, separator = ' · ') {
+	return parts.filter(Boolean).join(separator)
+}
+
+/**
+ * Write entry title parts as Markdown, linking the parts that have a URL
+ * @param {Array<Object>} title - Title parts from getResumeSections, see TitlePart in sections.js
+ * @returns {string} Markdown text
+ */
+function renderTitle(title) {
+	return joinParts(title.map(titlePart => (titlePart.url ? link(titlePart.text, titlePart.url) : escapeMarkdown(titlePart.text))), ', ')
+}
+
+/**
+ * Render one resume entry as a level-three heading followed by details, summary and bullets
+ * Entries without a title, such as formatted citations, start with their summary
+ * @param {Object} entry - Entry from getResumeSections, see SectionEntry in sections.js
+ * @returns {string} Markdown block
+ */
+function renderEntry({title, details, summary, listLabel, bullets, quote}) {
+	const detailLine = joinParts(details.map(detail => escapeMarkdown(detail)))
+	const heading = renderTitle(title)
+
+	return [
+		heading ? `### ${heading}` : '',
+		detailLine ? `*${detailLine}*` : '',
+		summary && quote ? `> ${inline(summary, '> ')}` : inline(summary),
+		listLabel ? `**${escapeMarkdown(listLabel)}**` : '',
+		bullets.length > 0 ? bullets.map(bullet => `- ${inline(bullet, '  ')}`).join('\n') : ''
+	].filter(Boolean).join('\n\n')
+}
+
+/**
+ * Render a section body
+ * @param {Object} section - Section from getResumeSections
+ * @returns {string} Markdown blocks
+ */
+function renderSection({paragraph, entries, items}) {
+	if (paragraph) {
+		return inline(paragraph)
+	}
+
+	if (items) {
+		return items.map(item => `- ${joinParts([`**${escapeMarkdown(item.term)}**`, escapeMarkdown(item.detail)], ': ')}`).join('\n')
+	}
+
+	return entries.map(entry => renderEntry(entry)).join('\n\n')
+}
+
+/**
+ * Render the header with name, label, contact details and profile links
+ * @param {Object} basics - Resume basics
+ * @returns {string} Markdown block
+ */
+function renderHeader(basics) {
+	const {name, label, contacts, profiles} = getHeaderContent(basics)
+
+	return [
+		`# ${escapeMarkdown(name) || 'Resume'}`,
+		label ? `**${escapeMarkdown(label)}**` : '',
+		joinParts(contacts.map(contact => (contact.url ? link(contact.text, contact.url) : escapeMarkdown(contact.text)))),
+		profiles.map(profile => `- ${profile.url ? link(profile.text, profile.url) : escapeMarkdown(profile.text)}`).join('\n')
+	].filter(Boolean).join('\n\n')
+}
+
+/**
+ * Render a resume as Markdown
+ * @param {Object} data - Processed resume data (see prepareResumeData), including `formattedDates`
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.templateId='minimal'] - Template whose section order to follow
+ * @returns {string} Markdown document ending with a newline
+ * @example
+ * renderMarkdown(prepareResumeData(resume), {templateId: 'modern'})
+ */
+export function renderMarkdown(data, {templateId = 'minimal'} = {}) {
+	const blocks = [renderHeader(data.basics)]
+
+	for (const section of getResumeSections(data, templateId)) {
+		blocks.push(`## ${escapeMarkdown(section.title)}`, renderSection(section))
+	}
+
+	return `${blocks.join('\n\n')}\n`
+}
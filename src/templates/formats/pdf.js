@@ -0,0 +1,492 @@
+/**
+ * @fileoverview PDF Resume Renderer
+ * Lays out processed resume data as a PDF in plain JavaScript (pdf-lib), with selectable text set
+ * in the bundled Atkinson Hyperlegible Next fonts, page setup from `printSettings` and document
+ * metadata from `basics`. Runs in Node.js and the browser; the caller supplies the font files
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import fontkit from '@pdf-lib/fontkit'
+import {
+	PDFDocument, PDFName, PDFString, rgb
+} from 'pdf-lib'
+import {markdownRuns} from '../utils/markdown.js'
+import {getHeaderContent, getResumeSections, getTemplateStyle} from './sections.js'
+
+/**
+ * Font files used for each text style, relative to public/fonts
+ * @type {Object<string, string>}
+ */
+export const pdfFontFiles = {
+	regular: 'AtkinsonHyperlegibleNext-Regular.ttf',
+	bold: 'AtkinsonHyperlegibleNext-Bold.ttf',
+	italic: 'AtkinsonHyperlegibleNext-RegularItalic.ttf',
+	boldItalic: 'AtkinsonHyperlegibleNext-BoldItalic.ttf'
+}
+
+/**
+ * Page sizes in points (portrait)
+ * @type {Object<string, [number, number]>}
+ */
+const pageSizes = {
+	a3: [841.89, 1190.55],
+	a4: [595.28, 841.89],
+	a5: [419.53, 595.28],
+	letter: [612, 792],
+	legal: [612, 1008],
+	tabloid: [792, 1224]
+}
+
+/**
+ * Points per CSS length unit
+ * @type {Object<string, number>}
+ */
+const pointsPerUnit = {
+	pt: 1,
+	in: 72,
+	cm: 72 / 2.54,
+	mm: 72 / 25.4,
+	px: 0.75
+}
+
+/**
+ * Convert a CSS length such as "0.5in" or "12mm" to points
+ * @param {string|number} length - Length; bare numbers are points
+ * @returns {number} Length in points
+ * @throws {Error} When the length cannot be parsed
+ */
+function toPoints(length) {
+	if (typeof length === 'number') {
+		return length
+	}
+
+	const match = /^(-?[\d.]+)\s*(pt|in|cm|mm|px)?$/i.exec(String(length).trim())
+	if (!match) {
+		throw new Error(`Invalid length "${length}" in printSettings, expected a value such as "0.5in", "12mm" or "36pt"`)
+	}
+
+	return Number(match[1]) * pointsPerUnit[(match[2] || 'pt').toLowerCase()]
+}
+
+/**
+ * Resolve the page size and margins of `templateConfig.sharedSettings.printSettings`
+ * @param {Object} [printSettings={}] - Print settings
+ * @param {string} [printSettings.format='A4'] - Page format (A3, A4, A5, Letter, Legal, Tabloid)
+ * @param {string} [printSettings.orientation='portrait'] - "portrait" or "landscape"
+ * @param {string|Object} [printSettings.margin='0.5in'] - CSS-style margin shorthand with one to four
+ *        lengths, or an object with top, right, bottom and left
+ * @returns {{width: number, height: number, margin: {top: number, right: number, bottom: number, left: number}}}
+ *          Page layout in points
+ * @throws {Error} When the format or a margin is invalid
+ * @example
+ * getPageLayout({format: 'Letter', orientation: 'landscape', margin: '1in 0.75in'})
+ * // {width: 792, height: 612, margin: {top: 72, right: 54, bottom: 72, left: 54}}
+ */
+export function getPageLayout({format = 'A4', orientation = 'portrait', margin = '0.5in'} = {}) {
+	const size = pageSizes[String(format).toLowerCase()]
+	if (!size) {
+		throw new Error(`Unknown page format "${format}" in printSettings. Available formats: A3, A4, A5, Letter, Legal, Tabloid`)
+	}
+
+	const [width, height] = orientation === 'landscape' ? [size[1], size[0]] : size
+
+	if (typeof margin === 'object' && margin !== null) {
+		return {
+			width,
+			height,
+			margin: Object.fromEntries(['top', 'right', 'bottom', 'left'].map(side => [side, toPoints(margin[side] ?? 0)]))
+		}
+	}
+
+	const values = String(margin).trim().split(/\s+/).map(value => toPoints(value))
+	const [top, right = top, bottom = top, left = right] = values
+
+	return {
+		width, height, margin: {
+			top, right, bottom, left
+		}
+	}
+}
+
+/**
+ * Convert a hex color to a pdf-lib color
+ * @param {string} hex - Color such as "268BD2"
+ * @returns {Object} pdf-lib RGB color
+ */
+function hexColor(hex) {
+	const value = Number.parseInt(hex, 16)
+	return rgb(Math.floor(value / 65_536) / 255, (Math.floor(value / 256) % 256) / 255, (value % 256) / 255)
+}
+
+/**
+ * Text colors shared by all templates
+ * @type {Object<string, Object>}
+ */
+const textColors = {
+	body: hexColor('333333'),
+	muted: hexColor('657B83')
+}
+
+/**
+ * Flow layout that writes wrapped, styled text onto pages and adds pages as needed
+ * @class PdfLayout
+ */
+class PdfLayout {
+	/**
+	 * Creates an instance of PdfLayout
+	 * @param {PDFDocument} pdf - Document to write to
+	 * @param {Object<string, Object>} fonts - Embedded fonts by style (regular, bold, italic, boldItalic)
+	 * @param {Object} page - Page layout from getPageLayout
+	 * @param {Object} accent - Accent color
+	 */
+	constructor(pdf, fonts, page, accent) {
+		this.pdf = pdf
+		this.fonts = fonts
+		this.layout = page
+		this.accent = accent
+		this.page = null
+		this.y = 0
+		this.addPage()
+	}
+
+	/**
+	 * Width available for text
+	 * @returns {number} Width in points
+	 */
+	get contentWidth() {
+		return this.layout.width - this.layout.margin.left - this.layout.margin.right
+	}
+
+	/**
+	 * Start a new page
+	 */
+	addPage() {
+		this.page = this.pdf.addPage([this.layout.width, this.layout.height])
+		this.y = this.layout.height - this.layout.margin.top
+	}
+
+	/**
+	 * Start a new page unless the given height still fits on the current one
+	 * @param {number} height - Height in points
+	 */
+	ensureSpace(height) {
+		if (this.y - height < this.layout.margin.bottom) {
+			this.addPage()
+		}
+	}
+
+	/**
+	 * Add vertical space
+	 * @param {number} height - Height in points
+	 */
+	gap(height) {
+		this.y -= height
+	}
+
+	/**
+	 * Get the font of a run
+	 * @param {Object} run - Text run
+	 * @returns {Object} Embedded font
+	 */
+	fontFor(run) {
+		if (run.bold && run.italic) {
+			return this.fonts.boldItalic
+		}
+
+		return run.bold ? this.fonts.bold : (run.italic ? this.fonts.italic : this.fonts.regular)
+	}
+
+	/**
+	 * Break runs into lines of words that fit the given width
+	 * Words wider than a line (such as long URLs) are split between characters
+	 * @param {Array<Object>} runs - Text runs
+	 * @param {number} size - Font size
+	 * @param {number} width - Line width
+	 * @returns {Array<Array<Object>>} Lines of positioned pieces {text, run, width}
+	 */
+	wrap(runs, size, width) {
+		const lines = [[]]
+		let lineWidth = 0
+
+		const place = piece => {
+			if (/^\s+$/.test(piece.text) && lines.at(-1).length === 0) {
+				return
+			}
+
+			if (lineWidth + piece.width > width && lines.at(-1).length > 0) {
+				lines.push([])
+				lineWidth = 0
+				if (/^\s+$/.test(piece.text)) {
+					return
+				}
+			}
+
+			lines.at(-1).push(piece)
+			lineWidth += piece.width
+		}
+
+		for (const run of runs) {
+			if (run.break) {
+				lines.push([])
+				lineWidth = 0
+				continue
+			}
+
+			const font = this.fontFor(run)
+			for (const text of String(run.text).split(/(\s+)/).filter(Boolean)) {
+				const normalized = /^\s+$/.test(text) ? ' ' : text
+				const pieceWidth = font.widthOfTextAtSize(normalized, size)
+				if (pieceWidth <= width) {
+					place({text: normalized, run, width: pieceWidth})
+					continue
+				}
+
+				let chunk = ''
+				for (const char of normalized) {
+					if (chunk && font.widthOfTextAtSize(chunk + char, size) > width) {
+						place({text: chunk, run, width: font.widthOfTextAtSize(chunk, size)})
+						chunk = ''
+					}
+
+					chunk += char
+				}
+
+				place({text: chunk, run, width: font.widthOfTextAtSize(chunk, size)})
+			}
+		}
+
+		return lines.map(line => {
+			const trimmed = line.length > 0 && /^\s+$/.test(line.at(-1).text) ? line.slice(0, -1) : line
+
+			// Draw each run of a line in one piece so text extraction keeps words and spaces together
+			return trimmed.reduce((merged, piece) => {
+				const previous = merged.at(-1)
+				if (previous?.run === piece.run) {
+					merged[merged.length - 1] = {...previous, text: previous.text + piece.text, width: previous.width + piece.width}
+				} else {
+					merged.push(piece)
+				}
+
+				return merged
+			}, [])
+		})
+	}
+
+	/**
+	 * Write wrapped text
+	 * @param {Array<Object>} runs - Text runs from markdownRuns, or {text, bold, italic, url}
+	 * @param {Object} [options={}] - Text options
+	 * @param {number} [options.size=10] - Font size
+	 * @param {Object} [options.color] - Text color
+	 * @param {number} [options.indent=0] - Left indent of all lines
+	 * @param {string} [options.bullet] - Bullet drawn in the indent of the first line
+	 * @param {number} [options.after=4] - Space after the text
+	 */
+	text(runs, {
+		size = 10, color = textColors.body, indent = 0, bullet, after = 4
+	} = {}) {
+		const lineHeight = size * 1.35
+		const x = this.layout.margin.left + indent
+		const lines = this.wrap(runs, size, this.contentWidth - indent)
+
+		for (const [index, line] of lines.entries()) {
+			this.ensureSpace(lineHeight)
+			const baseline = this.y - (size * 1.05)
+
+			if (bullet && index === 0) {
+				this.page.drawText(bullet, {
+					x: x - (size * 0.9), y: baseline, size, font: this.fonts.regular, color: this.accent
+				})
+			}
+
+			let cursor = x
+			for (const piece of line) {
+				this.page.drawText(piece.text, {
+					x: cursor, y: baseline, size, font: this.fontFor(piece.run), color: piece.run.url ? this.accent : color
+				})
+
+				if (piece.run.url) {
+					this.link(piece.run.url, [cursor, baseline - (size * 0.25), cursor + piece.width, baseline + size])
+				}
+
+				cursor += piece.width
+			}
+
+			this.y -= lineHeight
+		}
+
+		this.y -= after
+	}
+
+	/**
+	 * Draw a horizontal rule in the accent color
+	 */
+	rule() {
+		this.page.drawLine({
+			start: {x: this.layout.margin.left, y: this.y},
+			end: {x: this.layout.width - this.layout.margin.right, y: this.y},
+			thickness: 0.75,
+			color: this.accent
+		})
+	}
+
+	/**
+	 * Add a clickable link area to the current page
+	 * @param {string} url - Safe URL
+	 * @param {Array<number>} rect - Link rectangle [x1, y1, x2, y2]
+	 */
+	link(url, rect) {
+		const annotation = this.pdf.context.obj({
+			Type: 'Annot',
+			Subtype: 'Link',
+			Rect: rect,
+			Border: [0, 0, 0],
+			A: {Type: 'Action', S: 'URI', URI: PDFString.of(url)}
+		})
+
+		const annotations = this.page.node.lookup(PDFName.of('Annots'))
+		if (annotations) {
+			annotations.push(this.pdf.context.register(annotation))
+		} else {
+			this.page.node.set(PDFName.of('Annots'), this.pdf.context.obj([this.pdf.context.register(annotation)]))
+		}
+	}
+}
+
+/**
+ * Turn title parts (see sections.js) into runs
+ * @param {Array<{text: string, url: string|null}>} parts - Title parts
+ * @param {Object} style - Run style such as {bold: true}
+ * @param {string} [separator=', '] - Separator between parts
+ * @returns {Array<Object>} Runs
+ */
+function partRuns(parts, style, separator = ', ') {
+	return parts.flatMap((titlePart, index) => [
+		...(index > 0 ? [{...style, text: separator}] : []),
+		{...style, text: titlePart.text, url: titlePart.url}
+	])
+}
+
+/**
+ * Write one section entry: title, details, summary and bullets
+ * @param {PdfLayout} layout - Flow layout
+ * @param {Object} entry - Section entry, see sections.js
+ */
+function writeEntry(layout, entry) {
+	layout.gap(4)
+	layout.ensureSpace((11 * 1.35) + 30)
+	if (entry.title.length > 0) {
+		layout.text(partRuns(entry.title, {bold: true}), {size: 11, after: 1})
+	}
+
+	if (entry.details.length > 0) {
+		layout.text([{text: entry.details.join('  |  '), italic: true}], {size: 9, color: textColors.muted, after: 3})
+	}
+
+	if (entry.summary) {
+		layout.text(entry.quote ? markdownRuns(entry.summary).map(run => ({...run, italic: true})) : markdownRuns(entry.summary), {indent: entry.quote ? 12 : 0})
+	}
+
+	if (entry.listLabel) {
+		layout.text([{text: entry.listLabel, bold: true}], {after: 1})
+	}
+
+	for (const bullet of entry.bullets) {
+		layout.text(markdownRuns(bullet), {indent: 12, bullet: '•', after: 1})
+	}
+}
+
+/**
+ * Write the resume header and sections
+ * @param {PdfLayout} layout - Flow layout
+ * @param {Object} data - Processed resume data
+ * @param {string} templateId - Template whose section order to follow
+ * @param {Object} style - Template styling from getTemplateStyle
+ */
+function writeResume(layout, data, templateId, {headingCaps, headingRule}) {
+	const header = getHeaderContent(data.basics)
+
+	layout.text([{text: header.name || 'Resume', bold: true}], {size: 22, color: layout.accent, after: 2})
+	if (header.label) {
+		layout.text([{text: header.label}], {size: 13, color: textColors.muted, after: 4})
+	}
+
+	for (const parts of [header.contacts, header.profiles].filter(list => list.length > 0)) {
+		layout.text(partRuns(parts, {}, '  |  '), {size: 9, color: textColors.muted, after: 2})
+	}
+
+	for (const section of getResumeSections(data, templateId)) {
+		const title = headingCaps ? section.title.toLocaleUpperCase(data.locale) : section.title
+		layout.gap(10)
+		layout.ensureSpace((13 * 1.35) + 40)
+		layout.text([{text: title, bold: true}], {size: 13, color: layout.accent, after: headingRule ? 2 : 4})
+		if (headingRule) {
+			layout.rule()
+			layout.gap(5)
+		}
+
+		if (section.paragraph) {
+			layout.text(markdownRuns(section.paragraph))
+		}
+
+		for (const item of section.items || []) {
+			layout.text([
+				{text: item.term, bold: true},
+				...(item.detail ? [{text: `: ${item.detail}`}] : [])
+			], {indent: 12, bullet: '•', after: 1})
+		}
+
+		for (const entry of section.entries || []) {
+			writeEntry(layout, entry)
+		}
+	}
+}
+
+/**
+ * Render a resume as a PDF
+ * @async
+ * @param {Object} data - Processed resume data (see prepareResumeData), including `formattedDates`
+ * @param {Object} options - Rendering options
+ * @param {Function} options.loadFont - Resolves a file name from pdfFontFiles to its bytes
+ * @param {string} [options.templateId='minimal'] - Template whose colors and section order to follow
+ * @param {string|Object|null} [options.theme=null] - Configured theme preset or tokens, see getTemplateStyle
+ * @param {Object} [options.printSettings={}] - `templateConfig.sharedSettings.printSettings`
+ * @returns {Promise<Uint8Array>} PDF file contents
+ * @throws {Error} When no font loader is given or the print settings are invalid
+ * @example
+ * await renderPdf(prepareResumeData(resume), {
+ *   loadFont: file => readFile(`public/fonts/${file}`),
+ *   printSettings: templateConfig.sharedSettings.printSettings
+ * })
+ */
+export async function renderPdf(data, {
+	loadFont, templateId = 'minimal', theme = null, printSettings = {}
+} = {}) {
+	if (typeof loadFont !== 'function') {
+		throw new TypeError('PDF export needs a loadFont function that returns the bytes of a file in public/fonts')
+	}
+
+	const page = getPageLayout(printSettings)
+	const pdf = await PDFDocument.create()
+	pdf.registerFontkit(fontkit)
+
+	const fontEntries = await Promise.all(Object.entries(pdfFontFiles).map(async ([style, file]) => [
+		style,
+		await pdf.embedFont(await loadFont(file), {subset: true})
+	]))
+
+	const {name = '', label = ''} = data.basics || {}
+	pdf.setTitle([name, label].filter(Boolean).join(' – ') || 'Resume', {showInWindowTitleBar: true})
+	pdf.setAuthor(name)
+	pdf.setSubject(label)
+	pdf.setKeywords((data.skills || []).flatMap(skill => [skill.name, ...(skill.keywords || [])]).filter(Boolean))
+	pdf.setLanguage(data.locale || 'en')
+	pdf.setCreator('jsonresume-meh')
+
+	const style = getTemplateStyle(data, templateId, theme)
+	const layout = new PdfLayout(pdf, Object.fromEntries(fontEntries), page, hexColor(style.color))
+	writeResume(layout, data, templateId, style)
+
+	return pdf.save()
+}
@@ -0,0 +1,245 @@
+/**
+ * @fileoverview Format-Neutral Resume Sections
+ * Maps processed resume data to a simple document model (header, ordered sections, entries and
+ * lists) shared by the document exports: plain text, Markdown, DOCX, PDF and LaTeX
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {getLayoutSections} from '../layouts.js'
+import {getRegisteredTemplate} from '../registry.js'
+import {safeURL} from '../utils/helpers.js'
+import {t} from '../utils/i18n.js'
+import {escapeMarkdown} from '../utils/markdown.js'
+import {getSectionOrder} from '../utils/resume-data.js'
+import {parseHexColor, resolveTheme} from '../utils/theme.js'
+
+/**
+ * A piece of a title, linked when `url` is set
+ * @typedef {Object} TitlePart
+ * @property {string} text - Plain text
+ * @property {string|null} url - Safe URL or null
+ */
+
+/**
+ * A dated resume entry such as a job or a degree
+ * @typedef {Object} SectionEntry
+ * @property {Array<TitlePart>} title - Title parts, joined with ", "; empty for publication citations
+ * @property {Array<string>} details - Plain-text details such as dates and location
+ * @property {string} summary - Free text with inline Markdown
+ * @property {string} listLabel - Plain-text label shown above the bullets
+ * @property {Array<string>} bullets - Bullet points with inline Markdown
+ * @property {boolean} quote - Whether the summary is a quotation
+ */
+
+/**
+ * A compact list item such as a skill or a language
+ * @typedef {Object} SectionItem
+ * @property {string} term - Item name, shown in bold
+ * @property {string} detail - Plain-text detail after the name
+ */
+
+/**
+ * Document styling of templates registered without `documentStyle`, matching the default stylesheet
+ * @type {{font: string, color: string, headingCaps: boolean, headingRule: boolean}}
+ */
+const defaultDocumentStyle = {
+	font: 'Atkinson Hyperlegible Next', color: '268BD2', headingCaps: false, headingRule: false
+}
+
+/**
+ * Generic CSS font families, which name no font a document can embed or request
+ * @type {Set<string>}
+ */
+const genericFontFamilies = new Set(['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'])
+
+/**
+ * Get the document styling of a template: font family, accent color (hex without "#") and
+ * how section headings are set off
+ * Starts from the template's `documentStyle` (see registry.js); the accent and the first named
+ * font of its resolved theme (the configured theme, the template's `theme`, then `meta.theme`)
+ * take precedence, as they do on the page
+ * @param {Object} data - Processed resume data, for `meta.theme`
+ * @param {string} templateId - Template ID
+ * @param {string|Object|null} [theme=null] - Configured theme preset or tokens, see templateConfig.theme
+ * @returns {{font: string, color: string, headingCaps: boolean, headingRule: boolean}} Styling
+ * @example
+ * getTemplateStyle({meta: {theme: 'forest'}}, 'classic')
+ * // {font: 'Atkinson Hyperlegible Next', color: '166534', headingCaps: true, headingRule: true}
+ */
+export function getTemplateStyle(data, templateId, theme = null) {
+	const template = getRegisteredTemplate(templateId)
+	const {tokens} = resolveTheme([theme, template?.theme, data?.meta?.theme])
+	const font = tokens.font?.split(',').map(family => family.trim().replaceAll(/^['"]|['"]$/g, ''))
+		.find(family => family && !genericFontFamilies.has(family.toLowerCase()))
+	const accent = tokens.accent && parseHexColor(tokens.accent)
+
+	return {
+		...defaultDocumentStyle,
+		...template?.documentStyle,
+		...(font && {font}),
+		...(accent && {color: accent.map(channel => channel.toString(16).padStart(2, '0')).join('').toUpperCase()})
+	}
+}
+
+/**
+ * Make a title part, dropping unsafe URLs
+ * @param {string} text - Plain text
+ * @param {string} [url] - URL from resume data
+ * @returns {TitlePart} Title part
+ */
+function part(text, url) {
+	return {text: text || '', url: safeURL(url) || null}
+}
+
+/**
+ * Create an entry with defaults for missing fields
+ * @param {Object} fields - Entry fields
+ * @returns {SectionEntry} Entry
+ */
+function entry({
+	title = [], details = [], summary = '', listLabel = '', bullets = [], quote = false
+}) {
+	return {
+		title: title.filter(titlePart => titlePart.text),
+		details: details.filter(Boolean),
+		summary: summary || '',
+		listLabel,
+		bullets: bullets || [],
+		quote
+	}
+}
+
+/**
+ * Section content builders
+ * Each builder returns `{paragraph}`, `{entries}` or `{items}` for the processed resume data
+ * @type {Object<string, Function>}
+ */
+const sectionBuilders = {
+	summary: ({basics = {}}) => ({paragraph: basics.summary || ''}),
+
+	work: ({work = []}) => ({
+		entries: work.map(job => entry({
+			title: [part(job.position), part(job.name, job.url)],
+			details: [job.formattedDates, job.location],
+			summary: job.summary,
+			bullets: job.highlights
+		}))
+	}),
+
+	volunteer: ({volunteer = []}) => ({
+		entries: volunteer.map(vol => entry({
+			title: [part(vol.position), part(vol.organization, vol.url)],
+			details: [vol.formattedDates],
+			summary: vol.summary,
+			bullets: vol.highlights
+		}))
+	}),
+
+	education: ({education = [], locale}) => ({
+		entries: education.map(edu => entry({
+			title: [part([edu.studyType, edu.area].filter(Boolean).join(' in ')), part(edu.institution, edu.url)],
+			details: [edu.formattedDates, edu.score ? `${t(locale, 'labels.score')}: ${edu.score}` : ''],
+			listLabel: edu.courses?.length > 0 ? `${t(locale, 'labels.courses')}:` : '',
+			bullets: edu.courses
+		}))
+	}),
+
+	skills: ({skills = []}) => ({
+		items: skills.map(skill => ({
+			term: [skill.name, skill.level ? `(${skill.level})` : ''].filter(Boolean).join(' '),
+			detail: (skill.keywords || []).join(', ')
+		}))
+	}),
+
+	languages: ({languages = []}) => ({
+		items: languages.map(lang => ({term: lang.language || '', detail: lang.fluency || ''}))
+	}),
+
+	projects: ({projects = []}) => ({
+		entries: projects.map(project => entry({
+			title: [part(project.name, project.url)],
+			details: [(project.roles || []).join(', '), project.entity, project.formattedDates],
+			summary: project.description,
+			bullets: project.highlights
+		}))
+	}),
+
+	// Publications formatted with a citation style are entries without a title: the reference, then the summary
+	publications: ({publications = []}) => ({
+		entries: publications.map(pub => (pub.citation
+			? entry({summary: [[escapeMarkdown(pub.citationLabel), pub.citation].filter(Boolean).join(' '), pub.summary].filter(Boolean).join('\n')})
+			: entry({
+				title: [part(pub.name, pub.url)],
+				details: [pub.publisher, pub.formattedDate],
+				summary: pub.summary
+			})))
+	}),
+
+	awards: ({awards = []}) => ({
+		entries: awards.map(award => entry({
+			title: [part(award.title)],
+			details: [award.awarder, award.formattedDate],
+			summary: award.summary
+		}))
+	}),
+
+	certificates: ({certificates = []}) => ({
+		entries: certificates.map(cert => entry({
+			title: [part(cert.name, cert.url)],
+			details: [cert.issuer, cert.formattedDate]
+		}))
+	}),
+
+	references: ({references = []}) => ({
+		entries: references.map(reference => entry({
+			title: [part(reference.name)],
+			summary: reference.reference,
+			quote: true
+		}))
+	}),
+
+	interests: ({interests = []}) => ({
+		items: interests.map(interest => ({term: interest.name || '', detail: (interest.keywords || []).join(', ')}))
+	})
+}
+
+/**
+ * Get the header of a resume: name, label, contact details and profiles
+ * @param {Object} basics - Resume basics
+ * @returns {{name: string, label: string, contacts: Array<TitlePart>, profiles: Array<TitlePart>}} Header model
+ */
+export function getHeaderContent({
+	name, label, email, phone, url, location = {}, profiles = []
+} = {}) {
+	return {
+		name: name || '',
+		label: label || '',
+		contacts: [
+			email ? part(email, `mailto:${email}`) : null,
+			phone ? part(phone) : null,
+			url ? part(url, url) : null,
+			part([location.city, location.region, location.countryCode].filter(Boolean).join(', '))
+		].filter(contact => contact?.text),
+		profiles: profiles
+			.map(profile => part([profile.network, profile.username].filter(Boolean).join(': '), profile.url))
+			.filter(profile => profile.text)
+	}
+}
+
+/**
+ * Get the non-empty sections of a resume in the order of a template and `meta.sections`
+ * @param {Object} data - Processed resume data (see prepareResumeData)
+ * @param {string} [templateId='minimal'] - Template whose section order to follow
+ * @returns {Array<{key: string, title: string, paragraph?: string, entries?: Array<SectionEntry>, items?: Array<SectionItem>}>}
+ *          Sections with their resolved titles
+ */
+export function getResumeSections(data, templateId = 'minimal') {
+	return getSectionOrder(data, getLayoutSections(templateId))
+		.map(key => ({
+			key,
+			title: data.sectionTitles?.[key] || t(data.locale, `sections.${key}`),
+			...sectionBuilders[key](data)
+		}))
+		.filter(section => section.paragraph || section.entries?.length > 0 || section.items?.length > 0)
+}
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Plain-Text Resume Renderer
+ * Renders processed resume data as wrapped UTF-8 text for applicant tracking systems, from the
+ * section model shared with the other document exports (see sections.js)
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {stripMarkdown} from '../utils/markdown.js'
+import {getHeaderContent, getResumeSections} from './sections.js'
+
+/**
+ * Line width used when none is configured
+ * @type {number}
+ */
+export const defaultLineWidth = 80
+
+/**
+ * Word-wrap text to a maximum line width
+ * Words longer than a line (such as URLs) are kept whole on a line of their own
+ * @param {string} text - Text to wrap; newlines start new lines
+ * @param {number} width - Maximum line width
+ * @param {string} [indent=''] - Prefix of continuation lines
+ * @param {string} [firstIndent=indent] - Prefix of the first line
+ * @returns {Array<string>} Wrapped lines
+ * @example
+ * wrapText('Scaled the API to 1M requests per second', 20, '  ', '- ')
+ * // ['- Scaled the API to', '  1M requests per', '  second']
+ */
+export function wrapText(text, width, indent = '', firstIndent = indent) {
+	const lines = []
+	let prefix = firstIndent
+
+	for (const paragraph of String(text).split(/\r?\n/)) {
+		let line = ''
+		for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+			if (line && prefix.length + line.length + 1 + word.length > width) {
+				lines.push(prefix + line)
+				prefix = indent
+				line = word
+			} else {
+				line = line ? `${line} ${word}` : word
+			}
+		}
+
+		lines.push((prefix + line).trimEnd())
+		prefix = indent
+	}
+
+	return lines
+}
+
+/**
+ * Join the non-empty parts of a line
+ * @param {Array<string>} parts - Line parts
+ * @param {string} [separator=' | '] - Separator between parts
+ * @returns {string} Joined line
+ */
+function joinParts(parts, separator = ' | ') {
+	return parts.filter(Boolean).join(separator)
+}
+
+/**
+ * Join the non-empty parts of a line, breaking between parts rather than inside them
+ * @param {Array<string>} parts - Line parts such as email, phone and location
+ * @param {number} width - Line width
+ * @param {string} [separator=' | '] - Separator between parts on the same line
+ * @returns {Array<string>} Wrapped lines
+ */
+function wrapParts(parts, width, separator = ' | ') {
+	const lines = []
+	for (const part of parts.filter(Boolean)) {
+		const last = lines.at(-1)
+		if (last !== undefined && last.length + separator.length + part.length <= width) {
+			lines[lines.length - 1] = `${last}${separator}${part}`
+		} else {
+			lines.push(...wrapText(part, width))
+		}
+	}
+
+	return lines
+}
+
+/**
+ * Render one resume entry: a title line, a details line, its URLs, summary and bullet points
+ * @param {Object} entry - Entry from getResumeSections, see SectionEntry in sections.js
+ * @param {number} width - Line width
+ * @returns {Array<string>} Lines of the entry
+ */
+function renderEntry({title, details, summary, listLabel, bullets, quote}, width) {
+	const heading = joinParts(title.map(titlePart => titlePart.text), ', ')
+	const text = stripMarkdown(summary)
+
+	return [
+		...(heading ? wrapText(heading, width) : []),
+		...wrapParts(details, width),
+		...title.map(titlePart => titlePart.url).filter(Boolean),
+		...(text ? wrapText(quote ? `"${text}"` : text, width) : []),
+		...(listLabel ? wrapText(listLabel, width) : []),
+		...bullets.flatMap(bullet => wrapText(stripMarkdown(bullet), width, '  ', '- '))
+	]
+}
+
+/**
+ * Render a section body as blocks separated by blank lines
+ * @param {Object} section - Section from getResumeSections
+ * @param {number} width - Line width
+ * @returns {Array<Array<string>>} Blocks of lines
+ */
+function renderSection({paragraph, entries, items}, width) {
+	if (paragraph) {
+		return [wrapText(stripMarkdown(paragraph), width)]
+	}
+
+	if (items) {
+		return [items.flatMap(item => wrapText(joinParts([item.term, item.detail], ': '), width, '  ', '- '))]
+	}
+
+	return entries.map(entry => renderEntry(entry, width))
+}
+
+/**
+ * Render the header block with name, label, contact details and profiles
+ * @param {Object} basics - Resume basics
+ * @param {number} width - Line width
+ * @returns {Array<string>} Header lines
+ */
+function renderHeader(basics, width) {
+	const {name, label, contacts, profiles} = getHeaderContent(basics)
+
+	return [
+		...(name ? wrapText(name, width) : []),
+		...(label ? wrapText(label, width) : []),
+		// The link of a contact detail is the detail itself, as in "mailto:" + the email address
+		...wrapParts(contacts.map(contact => contact.text), width),
+		...profiles.map(profile => joinParts([profile.text, profile.url], ' - '))
+	]
+}
+
+/**
+ * Render a resume as plain text
+ * @param {Object} data - Processed resume data (see prepareResumeData), including `formattedDates`
+ * @param {Object} [options={}] - Rendering options
+ * @param {string} [options.templateId='minimal'] - Template whose section order to follow
+ * @param {number} [options.lineWidth=80] - Maximum line width
+ * @returns {string} UTF-8 text ending with a newline
+ * @example
+ * renderText(prepareResumeData(resume), {templateId: 'classic', lineWidth: 72})
+ */
+export function renderText(data, {templateId = 'minimal', lineWidth = defaultLineWidth} = {}) {
+	const width = Math.max(Number(lineWidth) || defaultLineWidth, 20)
+	const blocks = [renderHeader(data.basics, width)]
+
+	for (const section of getResumeSections(data, templateId)) {
+		const title = section.title.toLocaleUpperCase(data.locale)
+		const [firstBlock, ...otherBlocks] = renderSection(section, width)
+		blocks.push([title, '='.repeat(Math.min(title.length, width)), ...firstBlock], ...otherBlocks)
+	}
+
+	return `${blocks.map(lines => lines.join('\n')).join('\n\n')}\n`
+}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Unmapped Field Report
+ * Lists the JSON Resume fields with content that an interchange format (Europass, HR-Open) has no
+ * place for. Exporters declare the fields they map; everything else with a value is reported, so
+ * the build, the CLI and the download buttons can tell what an export leaves out
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * findUnmappedFields({work: [{name: 'Acme', description: 'Rockets'}]}, ['work[].name'])
+ * // [{field: 'work[].description', count: 1}]
+ */
+
+/**
+ * Resume sections checked for unmapped content, as in DataProcessor.defaultValues
+ * `meta` only configures the rendering and is never reported
+ * @type {Array<string>}
+ */
+const contentSections = [
+	'basics',
+	'work',
+	'volunteer',
+	'education',
+	'awards',
+	'certificates',
+	'publications',
+	'skills',
+	'languages',
+	'interests',
+	'references',
+	'projects'
+]
+
+/**
+ * Fields added by prepareResumeData for display, and variant tags; not resume content
+ * @type {Set<string>}
+ */
+const derivedFields = new Set(['formattedDates', 'formattedDate', 'duration', 'citation', 'citationLabel', 'tags'])
+
+/**
+ * Check whether a value has content worth reporting
+ * @param {*} value - Field value
+ * @returns {boolean} False for null, undefined, blank strings and empty arrays or objects
+ */
+function hasContent(value) {
+	if (value === null || value === undefined) {
+		return false
+	}
+
+	if (typeof value === 'string') {
+		return value.trim() !== ''
+	}
+
+	if (Array.isArray(value)) {
+		return value.some(item => hasContent(item))
+	}
+
+	return typeof value !== 'object' || Object.values(value).some(item => hasContent(item))
+}
+
+/**
+ * Collect the paths of the fields with content, with array items collapsed into "[]"
+ * Arrays of plain values such as highlights or keywords count as one field
+ * @param {*} value - Field value
+ * @param {string} path - Path of the value, e.g. "work[]"
+ * @param {Array<string>} paths - Collected paths, updated in place
+ */
+function collectFieldPaths(value, path, paths) {
+	if (Array.isArray(value) && value.some(item => item && typeof item === 'object')) {
+		for (const item of value) {
+			collectFieldPaths(item, `${path}[]`, paths)
+		}
+	} else if (value && typeof value === 'object' && !Array.isArray(value)) {
+		for (const [key, item] of Object.entries(value)) {
+			if (!derivedFields.has(key)) {
+				collectFieldPaths(item, `${path}.${key}`, paths)
+			}
+		}
+	} else if (hasContent(value)) {
+		paths.push(path)
+	}
+}
+
+/**
+ * Find the resume fields with content that a format does not map
+ * @param {Object} data - Processed resume data
+ * @param {Array<string>} mappedFields - Fields the format maps, e.g. "basics.name" or "work[].highlights";
+ *        a field maps everything below it, so "basics.location" covers "basics.location.city"
+ * @param {Array<string>} [dropped=[]] - Mapped fields whose value the format could not hold after all,
+ *        one path per value, e.g. "languages[].fluency" for a level that is not a CEFR level
+ * @returns {Array<{field: string, count: number}>} Unmapped fields with the number of values, in resume order
+ */
+export function findUnmappedFields(data, mappedFields, dropped = []) {
+	const paths = []
+	for (const section of contentSections) {
+		// A section the format has no place for at all is reported as a whole, once per entry
+		const unmappedSection = Array.isArray(data[section]) && !mappedFields.some(field => field.startsWith(`${section}[]`))
+		if (unmappedSection) {
+			paths.push(...data[section].filter(item => hasContent(item)).map(() => section))
+		} else {
+			collectFieldPaths(data[section], section, paths)
+		}
+	}
+
+	const isMapped = path => mappedFields.some(field => path === field || path.startsWith(`${field}.`) || path.startsWith(`${field}[]`))
+	const counts = new Map()
+	for (const path of [...paths.filter(candidate => !isMapped(candidate)), ...dropped]) {
+		counts.set(path, (counts.get(path) || 0) + 1)
+	}
+
+	return [...counts].map(([field, count]) => ({field, count}))
+}
+
+/**
+ * Format the unmapped fields of an export for the console
+ * @param {{name: string}} format - Output format
+ * @param {Array<{field: string, count: number}>} unmapped - Unmapped fields from the format's report
+ * @returns {string} Warning listing the fields, or '' when nothing was left out
+ * @example
+ * formatUnmappedFields({name: 'Europass XML'}, [{field: 'basics.summary', count: 1}])
+ * // '⚠️  Europass XML has no place for 1 resume field, left out:\n  • basics.summary (1 value)'
+ */
+export function formatUnmappedFields(format, unmapped) {
+	if (unmapped.length === 0) {
+		return ''
+	}
+
+	// Whole sections are counted in entries, fields in values
+	const unit = (field, count) => (field.includes('.') ? ['value', 'values'] : ['entry', 'entries'])[count === 1 ? 0 : 1]
+	const fields = unmapped.map(({field, count}) => `  • ${field} (${count} ${unit(field, count)})`)
+	return [`⚠️  ${format.name} has no place for ${unmapped.length} resume ${unmapped.length === 1 ? 'field' : 'fields'}, left out:`, ...fields].join('\n')
+}
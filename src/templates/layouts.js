@@ -6,43 +6,206 @@
  */
 
 import {
+	awardItem,
+	awards,
+	certificateItem,
+	certificates,
+	education,
+	educationItem,
 	header,
+	interestItem,
+	interests,
+	languageItem,
+	languages,
+	projectItem,
+	projects,
+	publicationItem,
+	publications,
+	referenceItem,
+	references,
+	skillItem,
+	skills,
 	summary,
+	volunteerExperience,
+	volunteerItem,
 	workExperience,
+	workItem
+} from './components/index.js'
+import {getRegisteredTemplate} from './registry.js'
+import {raw} from './utils/helpers.js'
+import {getSectionOrder} from './utils/resume-data.js'
+
+/**
+ * Map of section keys to the components that render them
+ * @type {Object<string, Function>}
+ */
+const sectionComponents = {
+	summary,
+	work: workExperience,
+	volunteer: volunteerExperience,
 	education,
 	skills,
 	languages,
-	volunteerExperience,
+	projects,
 	publications,
 	awards,
 	certificates,
-	projects,
 	references,
 	interests
-} from './components/index.js'
+}
+
+/**
+ * Renderers of single section entries, called by the section components
+ * @type {Object<string, Function>}
+ */
+const itemComponents = {
+	workItem,
+	volunteerItem,
+	educationItem,
+	skillItem,
+	languageItem,
+	projectItem,
+	publicationItem,
+	awardItem,
+	certificateItem,
+	referenceItem,
+	interestItem
+}
+
+/**
+ * Default components, by the names templates use to override them: `header`, the section keys
+ * and the item renderers
+ * @type {Object<string, Function>}
+ */
+export const defaultComponents = Object.freeze({header, ...sectionComponents, ...itemComponents})
+
+/**
+ * Render a group of sections in the order configured by `meta.sections`
+ * @param {Object} data - Resume data object
+ * @param {Array<string>} defaultOrder - Section keys in the layout's default order
+ * @param {Object<string, Function>} [components=defaultComponents] - Components of the template
+ * @returns {string} HTML string for the visible sections
+ */
+function renderSections(data, defaultOrder, components = defaultComponents) {
+	return getSectionOrder(data, defaultOrder)
+		.map(key => components[key](data, components))
+		.join('')
+}
+
+/**
+ * Default section order of the minimal template
+ * @type {Array<string>}
+ */
+export const minimalSections = [
+	'summary',
+	'work',
+	'skills',
+	'volunteer',
+	'projects',
+	'publications',
+	'education',
+	'languages',
+	'awards',
+	'certificates',
+	'references',
+	'interests'
+]
+
+/**
+ * Default section order of the classic template, per column
+ * @type {{left: Array<string>, right: Array<string>}}
+ */
+export const classicSections = {
+	left: ['summary', 'work', 'projects', 'education'],
+	right: ['skills', 'languages', 'certificates', 'awards', 'publications', 'volunteer', 'references', 'interests']
+}
+
+/**
+ * Default section order of the modern template
+ * @type {Array<string>}
+ */
+export const modernSections = [
+	'skills',
+	'languages',
+	'certificates',
+	'interests',
+	'summary',
+	'work',
+	'projects',
+	'volunteer',
+	'education',
+	'publications',
+	'awards',
+	'references'
+]
+
+/**
+ * Get the default section order of a template as a single list
+ * Multi-column layouts are read column by column, as a screen reader or text export would.
+ * Templates registered without `sections` use the minimal order
+ * @param {string} templateId - Registered template ID
+ * @returns {Array<string>} Section keys in the template's default reading order
+ * @example
+ * getLayoutSections('classic') // ['summary', 'work', 'projects', 'education', 'skills', ...]
+ */
+export function getLayoutSections(templateId) {
+	return getRegisteredTemplate(templateId)?.sections || minimalSections
+}
+
+/**
+ * Create the building blocks passed to every layout function as its second argument
+ * `components` holds the template's components and `renderSections` renders with them, while
+ * `defaults` lets an override wrap the component it replaces
+ * @param {Object<string, Function>} components - Components of the template
+ * @returns {{components: Object<string, Function>, defaults: Object<string, Function>, renderSections: Function}} Layout helpers
+ */
+function createLayoutHelpers(components) {
+	return Object.freeze({
+		components,
+		defaults: defaultComponents,
+		renderSections: (data, defaultOrder) => renderSections(data, defaultOrder, components)
+	})
+}
+
+/**
+ * Layout helpers with the default components
+ * @type {{components: Object<string, Function>, defaults: Object<string, Function>, renderSections: Function}}
+ */
+export const layoutHelpers = createLayoutHelpers(defaultComponents)
+
+/**
+ * Merge a template's component overrides over the defaults
+ * Overrides may return html`` results or plain HTML strings like layouts do; strings are trusted
+ * as markup rather than escaped when a section component inserts them
+ * @param {Object<string, Function>} overrides - Overrides by component name, e.g. `{workItem, skills}`
+ * @param {string} templateId - Template ID, for warnings
+ * @returns {Object<string, Function>} Components of the template
+ * @example
+ * resolveComponents({workItem: job => html`<p>${job.position}, ${job.name}</p>`}, 'compact').workItem
+ */
+export function resolveComponents(overrides, templateId) {
+	for (const name of Object.keys(overrides)) {
+		if (!Object.hasOwn(defaultComponents, name)) {
+			console.warn(`⚠️  Template "${templateId}" overrides unknown component "${name}", expected one of: ${Object.keys(defaultComponents).join(', ')}`)
+		}
+	}
+
+	const trustedOverrides = Object.fromEntries(Object.entries(overrides).map(([name, override]) => [name, (...args) => raw(override(...args))]))
+	return Object.freeze({...defaultComponents, ...trustedOverrides})
+}
 
 /**
  * Minimal Clean Template Layout
  * A simple, single-column layout that displays all sections in a clean, minimal style
  * @param {Object} data - Resume data object containing all resume information
+ * @param {Object} [helpers=layoutHelpers] - Components and section renderer of the template
  * @returns {string} HTML string for the minimal template layout
  */
-export function minimalTemplate(data) {
+export function minimalTemplate(data, {components, renderSections: renderTemplateSections} = layoutHelpers) {
 	return `
     <div class="resume-main">
-      ${header(data)}
-      ${summary(data)}
-      ${workExperience(data)}
-      ${skills(data)}
-      ${volunteerExperience(data)}
-      ${projects(data)}
-      ${publications(data)}
-      ${education(data)}
-      ${languages(data)}
-      ${awards(data)}
-      ${certificates(data)}
-      ${references(data)}
-      ${interests(data)}
+      ${components.header(data)}
+      ${renderTemplateSections(data, minimalSections)}
     </div>
   `
 }
@@ -51,30 +214,21 @@ export function minimalTemplate(data) {
  * Classic Professional Template Layout
  * A two-column layout with main content on the left and supplementary information on the right
  * @param {Object} data - Resume data object containing all resume information
+ * @param {Object} [helpers=layoutHelpers] - Components and section renderer of the template
  * @returns {string} HTML string for the classic template layout
  */
-export function classicTemplate(data) {
+export function classicTemplate(data, {components, renderSections: renderTemplateSections} = layoutHelpers) {
 	return `
     <div class="resume-main">
-      ${header(data)}
+      ${components.header(data)}
 
       <main class="resume-main">
         <div class="left-column">
-          ${summary(data)}
-          ${workExperience(data)}
-          ${projects(data)}
-          ${education(data)}
+          ${renderTemplateSections(data, classicSections.left)}
         </div>
 
         <div class="right-column">
-          ${skills(data)}
-          ${languages(data)}
-          ${certificates(data)}
-          ${awards(data)}
-          ${publications(data)}
-          ${volunteerExperience(data)}
-          ${references(data)}
-          ${interests(data)}
+          ${renderTemplateSections(data, classicSections.right)}
         </div>
       </main>
     </div>
@@ -85,44 +239,34 @@ export function classicTemplate(data) {
  * Modern Professional Template Layout
  * A modern single-column layout with skills and qualifications prominently displayed at the top
  * @param {Object} data - Resume data object containing all resume information
+ * @param {Object} [helpers=layoutHelpers] - Components and section renderer of the template
  * @returns {string} HTML string for the modern template layout
  */
-export function modernTemplate(data) {
+export function modernTemplate(data, {components, renderSections: renderTemplateSections} = layoutHelpers) {
 	return `
     <div class="resume-main">
-      ${header(data)}
-      ${skills(data)}
-      ${languages(data)}
-      ${certificates(data)}
-      ${interests(data)}
-      ${summary(data)}
-      ${workExperience(data)}
-      ${projects(data)}
-      ${volunteerExperience(data)}
-      ${education(data)}
-      ${publications(data)}
-      ${awards(data)}
-      ${references(data)}
+      ${components.header(data)}
+      ${renderTemplateSections(data, modernSections)}
     </div>
   `
 }
 
 /**
  * Get template function by ID
- * Returns the appropriate template function based on the provided template ID
- * @param {string} templateId - The ID of the template to retrieve ('minimal', 'classic', or 'modern')
+ * Wraps the layout of a registered template (see registry.js) so it receives the layout helpers
+ * with the template's component overrides; unknown IDs fall back to the minimal layout
+ * @param {string} templateId - The ID of a registered template
  * @returns {Function} Template function that accepts data and returns HTML string
  * @example
  * const templateFunc = getTemplateFunction('minimal');
  * const html = templateFunc(resumeData);
  */
 export function getTemplateFunction(templateId) {
-	/** @type {Object<string, Function>} Map of template IDs to their corresponding functions */
-	const templates = {
-		minimal: minimalTemplate,
-		classic: classicTemplate,
-		modern: modernTemplate
-	}
+	const template = getRegisteredTemplate(templateId)
+	const layout = template?.layout || minimalTemplate
+	const helpers = template?.components
+		? createLayoutHelpers(resolveComponents(template.components, templateId))
+		: layoutHelpers
 
-	return templates[templateId] || templates.minimal
+	return data => layout(data, helpers)
 }
@@ -0,0 +1,42 @@
+/**
+ * German translations
+ * @type {Object}
+ */
+export default {
+	sections: {
+		summary: 'Profil',
+		work: 'Berufserfahrung',
+		volunteer: 'Engagement',
+		education: 'Ausbildung',
+		skills: 'Kenntnisse',
+		languages: 'Sprachen',
+		projects: 'Projekte',
+		publications: 'Publikationen',
+		awards: 'Auszeichnungen',
+		certificates: 'Zertifikate',
+		references: 'Referenzen',
+		interests: 'Interessen'
+	},
+	labels: {
+		present: 'heute',
+		score: 'Note',
+		courses: 'Relevante Kurse',
+		description: 'Lebenslauf von {name}'
+	},
+	citations: {
+		and: 'und',
+		noDate: 'o. J.',
+		etAl: 'u. a.',
+		available: '[Online]. Verfügbar:'
+	},
+	durations: {
+		years: {
+			one: '{count} J.',
+			other: '{count} J.'
+		},
+		months: {
+			one: '{count} Mon.',
+			other: '{count} Mon.'
+		}
+	}
+}
@@ -0,0 +1,42 @@
+/**
+ * English translations
+ * @type {Object}
+ */
+export default {
+	sections: {
+		summary: 'Summary',
+		work: 'Experience',
+		volunteer: 'Contributions',
+		education: 'Education',
+		skills: 'Skills',
+		languages: 'Languages',
+		projects: 'Projects',
+		publications: 'Publications',
+		awards: 'Awards & Recognition',
+		certificates: 'Certifications',
+		references: 'References',
+		interests: 'Interests'
+	},
+	labels: {
+		present: 'Present',
+		score: 'GPA',
+		courses: 'Relevant Coursework',
+		description: 'Professional resume for {name}'
+	},
+	citations: {
+		and: 'and',
+		noDate: 'n.d.',
+		etAl: 'et al.',
+		available: '[Online]. Available:'
+	},
+	durations: {
+		years: {
+			one: '{count} yr',
+			other: '{count} yrs'
+		},
+		months: {
+			one: '{count} mo',
+			other: '{count} mos'
+		}
+	}
+}
@@ -0,0 +1,42 @@
+/**
+ * French translations
+ * @type {Object}
+ */
+export default {
+	sections: {
+		summary: 'Profil',
+		work: 'Expérience professionnelle',
+		volunteer: 'Engagements',
+		education: 'Formation',
+		skills: 'Compétences',
+		languages: 'Langues',
+		projects: 'Projets',
+		publications: 'Publications',
+		awards: 'Prix et distinctions',
+		certificates: 'Certifications',
+		references: 'Références',
+		interests: 'Centres d’intérêt'
+	},
+	labels: {
+		present: 'aujourd’hui',
+		score: 'Moyenne',
+		courses: 'Cours suivis',
+		description: 'CV de {name}'
+	},
+	citations: {
+		and: 'et',
+		noDate: 's. d.',
+		etAl: 'et al.',
+		available: '[En ligne]. Disponible :'
+	},
+	durations: {
+		years: {
+			one: '{count} an',
+			other: '{count} ans'
+		},
+		months: {
+			one: '{count} mois',
+			other: '{count} mois'
+		}
+	}
+}
@@ -0,0 +1,3 @@
+export {default as en} from './en.js'
+export {default as de} from './de.js'
+export {default as fr} from './fr.js'
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Template Registry
+ * Single place where resume templates are declared. A template bundles its metadata, a layout
+ * function and a stylesheet; the browser app, the template selector, the static build and the CLI
+ * all read the registered templates from here
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * // templates/timeline/index.js, listed in templateConfig.templatePackages
+ * import {html} from '../../src/templates/utils/helpers.js'
+ *
+ * export default {
+ *   id: 'timeline',
+ *   name: 'Timeline',
+ *   description: 'Work history on a vertical timeline',
+ *   layout: (data, {components, renderSections}) => `
+ *     <div class="resume-main">${components.header(data)}${renderSections(data, ['summary', 'work'])}</div>`,
+ *   stylesheet: new URL('./timeline.css', import.meta.url),
+ *   // Every other component keeps its default look
+ *   components: {
+ *     workItem: job => html`<p class="work-item section-item">${job.position}, ${job.name} (${job.formattedDates})</p>`
+ *   }
+ * }
+ */
+
+/**
+ * Custom error class for invalid template definitions
+ * @class TemplateRegistrationError
+ * @extends {Error}
+ */
+export class TemplateRegistrationError extends Error {
+	/**
+	 * Creates an instance of TemplateRegistrationError
+	 * @param {string} message - Error message
+	 * @param {string|null} [templateId=null] - ID of the rejected template, when known
+	 */
+	constructor(message, templateId = null) {
+		super(message)
+		this.name = 'TemplateRegistrationError'
+		this.templateId = templateId
+	}
+}
+
+/**
+ * Registered templates by ID, in registration order
+ * Shared with template.config.js, so lookups such as `templates[id]` see every registered template
+ * @type {Object<string, Object>}
+ */
+export const templates = {}
+
+/**
+ * Template IDs double as CSS class prefixes ("<id>-template") and file names
+ * @type {RegExp}
+ */
+const templateIdPattern = /^[a-z][\da-z-]*$/
+
+/**
+ * Required fields of a template definition, with the check and the expected value for error messages
+ * @type {Object<string, {check: Function, expected: string}>}
+ */
+const requiredFields = {
+	id: {
+		check: value => typeof value === 'string' && templateIdPattern.test(value),
+		expected: 'lowercase letters, digits and dashes, starting with a letter'
+	},
+	name: {
+		check: value => typeof value === 'string' && value.trim() !== '',
+		expected: 'a non-empty string'
+	},
+	layout: {
+		check: value => typeof value === 'function',
+		expected: 'a function (data, helpers) => HTML string'
+	},
+	stylesheet: {
+		check: value => typeof value === 'string' || value instanceof URL,
+		expected: 'CSS text, a URL of a stylesheet, or "" for templates styled by the main bundle'
+	}
+}
+
+/**
+ * Optional fields of a template definition, with their checks
+ * @type {Object<string, {check: Function, expected: string}>}
+ */
+const optionalFields = {
+	description: {check: value => typeof value === 'string', expected: 'a string'},
+	preview: {check: value => typeof value === 'string', expected: 'a string'},
+	features: {check: value => Array.isArray(value), expected: 'an array of strings'},
+	recommended: {check: value => Array.isArray(value), expected: 'an array of strings'},
+	sections: {
+		check: value => Array.isArray(value) && value.every(key => typeof key === 'string'),
+		expected: 'an array of section keys in reading order'
+	},
+	theme: {
+		check: value => typeof value === 'string' || (Boolean(value) && typeof value === 'object'),
+		expected: 'a theme preset name or an object of theme tokens'
+	},
+	documentStyle: {
+		check: value => Boolean(value) && typeof value === 'object'
+			&& (value.font === undefined || typeof value.font === 'string')
+			&& (value.color === undefined || /^[\da-f]{6}$/i.test(value.color)),
+		expected: 'an object such as {font: \'Inter\', color: \'7C3AED\', headingCaps: false, headingRule: true}'
+	},
+	components: {
+		check: value => Boolean(value) && typeof value === 'object' && Object.values(value).every(component => typeof component === 'function'),
+		expected: 'an object of component functions, e.g. {workItem, skillItem}'
+	}
+}
+
+/**
+ * Describe the problems of a template definition
+ * @param {Object} definition - Template definition
+ * @returns {Array<string>} Problems, one per field; empty when the definition is valid
+ */
+function getDefinitionProblems(definition) {
+	const problems = []
+
+	for (const [field, {check, expected}] of Object.entries(requiredFields)) {
+		if (definition[field] === undefined || definition[field] === null) {
+			problems.push(`missing "${field}" (${expected})`)
+		} else if (!check(definition[field])) {
+			problems.push(`invalid "${field}", expected ${expected}`)
+		}
+	}
+
+	for (const [field, {check, expected}] of Object.entries(optionalFields)) {
+		if (definition[field] !== undefined && !check(definition[field])) {
+			problems.push(`invalid "${field}", expected ${expected}`)
+		}
+	}
+
+	return problems
+}
+
+/**
+ * Register a resume template
+ * @param {Object} definition - Template definition
+ * @param {string} definition.id - Unique ID, also used for the "<id>-template" CSS class
+ * @param {string} definition.name - Display name
+ * @param {Function} definition.layout - Layout function `(data, helpers) => string`, see getTemplateFunction
+ * @param {string|URL} definition.stylesheet - CSS scoped to `.<id>-template`, or the URL of a stylesheet
+ * @param {string} [definition.description] - Short description for the template selector and index page
+ * @param {string} [definition.preview] - Preview image path
+ * @param {Array<string>} [definition.features] - Feature list
+ * @param {Array<string>} [definition.recommended] - Industries the template suits
+ * @param {Array<string>} [definition.sections] - Section keys in reading order, used by the text, Markdown, DOCX and PDF exports
+ * @param {string|Object} [definition.theme] - Theme preset or tokens, between templateConfig.theme and `meta.theme` (see theme.js)
+ * @param {Object} [definition.documentStyle] - Styling of the DOCX, PDF and LaTeX exports and the social card: `font`, accent
+ *        `color` (hex without "#"), `headingCaps` and `headingRule`; theme tokens override it, see getTemplateStyle in formats/sections.js
+ * @param {Object<string, Function>} [definition.components] - Overrides of individual components (`header`, section keys such
+ *        as `work`) and item renderers (such as `workItem(job, locale)` or `skillItem(skill, locale)`); see defaultComponents in layouts.js.
+ *        Like layouts they return HTML strings, which are inserted as markup, or html`` results that escape resume data
+ * @param {Object} [options={}] - Registration options
+ * @param {string} [options.source] - Where the definition came from, for error messages
+ * @returns {Object} The registered template
+ * @throws {TemplateRegistrationError} When fields are missing or invalid, or the ID is taken
+ */
+export function registerTemplate(definition, {source} = {}) {
+	const origin = source ? ` from "${source}"` : ''
+
+	if (!definition || typeof definition !== 'object') {
+		throw new TemplateRegistrationError(`Template definition${origin} must be an object, got ${definition === null ? 'null' : typeof definition}`)
+	}
+
+	const label = typeof definition.id === 'string' && definition.id ? `Template "${definition.id}"` : 'Template'
+	const problems = getDefinitionProblems(definition)
+	if (problems.length > 0) {
+		throw new TemplateRegistrationError(`${label}${origin} cannot be registered: ${problems.join('; ')}`, definition.id ?? null)
+	}
+
+	if (Object.hasOwn(templates, definition.id)) {
+		throw new TemplateRegistrationError(`${label}${origin} cannot be registered: the ID is already taken by "${templates[definition.id].name}"`, definition.id)
+	}
+
+	const template = Object.freeze({
+		description: '',
+		preview: '',
+		features: [],
+		recommended: [],
+		...definition
+	})
+	templates[template.id] = template
+	return template
+}
+
+/**
+ * Register the templates exported by a template module (a folder or a local npm package)
+ * The module's default export is a template definition or an array of definitions
+ * @param {Object} moduleExports - Imported module namespace
+ * @param {string} source - Module specifier, for error messages
+ * @returns {Array<Object>} The registered templates
+ * @throws {TemplateRegistrationError} When the module has no default export or a definition is invalid
+ */
+export function registerTemplateModule(moduleExports, source) {
+	if (moduleExports?.default === undefined) {
+		throw new TemplateRegistrationError(`Template package "${source}" has no default export; export a template definition or an array of definitions`)
+	}
+
+	return [moduleExports.default].flat().map(definition => registerTemplate(definition, {source}))
+}
+
+/**
+ * Get a registered template
+ * @param {string} templateId - Template ID
+ * @returns {Object|null} Template, or null when no template has the ID
+ */
+export function getRegisteredTemplate(templateId) {
+	return Object.hasOwn(templates, templateId) ? templates[templateId] : null
+}
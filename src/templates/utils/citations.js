@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Publication Citations
+ * Formats publications as APA, IEEE or Chicago references, chosen per resume with `meta.citations`.
+ * Citations are inline Markdown (user text escaped, venues in italics, highlighted authors in bold)
+ * so every renderer can show them with md(), stripMarkdown() or markdownRuns().
+ * Publications may list their `authors` ("Jane Doe" or "Doe, Jane") and a `doi` next to the
+ * JSON Resume fields
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * // resume.json
+ * "meta": {
+ *   "citations": {"style": "apa", "highlight": true}
+ * }
+ */
+
+import {formatDate, parseDate, safeURL} from './helpers.js'
+import {t} from './i18n.js'
+import {escapeMarkdown} from './markdown.js'
+
+/**
+ * Link URLs the inline Markdown link syntax can hold: no whitespace, one level of balanced parentheses
+ * @type {RegExp}
+ */
+const linkableURLPattern = /^(?:[^()\s]|\([^()\s]*\))+$/
+
+/**
+ * Split an author name into given and family name
+ * "Family, Given" is taken as written; otherwise the last word is the family name
+ * @param {string} name - Author name
+ * @returns {{given: string, family: string}} Name parts
+ * @example
+ * parseAuthor('Richard Hendriks') // {given: 'Richard', family: 'Hendriks'}
+ * parseAuthor('Hendriks, R.') // {given: 'R.', family: 'Hendriks'}
+ */
+export function parseAuthor(name) {
+	const text = String(name ?? '').trim()
+	if (text.includes(',')) {
+		const [family, given] = text.split(',', 2).map(part => part.trim())
+		return {given, family}
+	}
+
+	const words = text.split(/\s+/)
+	const family = words.pop()
+	return {given: words.join(' '), family}
+}
+
+/**
+ * Read a DOI written bare, as "doi:…" or as a doi.org link
+ * @param {string} [doi] - DOI from resume data
+ * @returns {string} Bare DOI such as "10.1145/3368089", or ''
+ */
+export function parseDOI(doi) {
+	return String(doi ?? '').trim().replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:\s*)/i, '')
+}
+
+/**
+ * Abbreviate given names to initials, keeping hyphenated names hyphenated
+ * @param {string} given - Given names
+ * @returns {string} Initials, e.g. "J.-P. R." for "Jean-Paul Richard"
+ */
+function initials(given) {
+	return given.split(/\s+/).filter(Boolean).map(word => word.split('-').map(part => `${part[0]}.`).join('-')).join(' ')
+}
+
+/**
+ * Check whether two author names refer to the same person: same family name and first initial
+ * @param {{given: string, family: string}} author - Author name parts
+ * @param {{given: string, family: string}} other - Name parts to compare with
+ * @returns {boolean} Whether the names match
+ */
+function isSameAuthor(author, other) {
+	const normalize = value => (value || '').normalize('NFKC').toLocaleLowerCase()
+	return normalize(author.family) === normalize(other.family)
+		&& (!author.given || !other.given || normalize(author.given)[0] === normalize(other.given)[0])
+}
+
+/**
+ * Join author names into a list
+ * @param {Array<string>} names - Formatted author names
+ * @param {string} conjunction - Word before the last name, e.g. "and" or "&"
+ * @param {boolean} serialComma - Whether two names are also separated by a comma
+ * @returns {string} Author list
+ */
+function joinAuthors(names, conjunction, serialComma) {
+	if (names.length <= 1) {
+		return names.join('')
+	}
+
+	const separator = names.length > 2 || serialComma ? ', ' : ' '
+	return `${names.slice(0, -1).join(', ')}${separator}${conjunction} ${names.at(-1)}`
+}
+
+/**
+ * Check whether text ends with sentence punctuation, also inside closing emphasis as in "**Doe, J.**"
+ * @param {string} text - Inline Markdown
+ * @returns {boolean} Whether the text ends with ".", "?" or "!"
+ */
+function endsSentence(text) {
+	return /[.?!]\**$/.test(text)
+}
+
+/**
+ * End a sentence with a period unless it already ends with punctuation
+ * @param {string} text - Sentence
+ * @returns {string} Sentence with final punctuation
+ */
+function sentence(text) {
+	return endsSentence(text) ? text : `${text}.`
+}
+
+/**
+ * Write a URL as an inline Markdown link, or as escaped text when the link syntax cannot hold it
+ * @param {string} url - Safe URL
+ * @returns {string} Markdown
+ */
+function link(url) {
+	return linkableURLPattern.test(url) ? `[${escapeMarkdown(url)}](${url})` : escapeMarkdown(url)
+}
+
+/**
+ * APA 7: Family, G., & Family, G. (Year). Title. *Publisher*. URL
+ * @param {Object} reference - Reference fields, see formatCitation
+ * @returns {string} Citation
+ */
+function formatAPA({
+	authors, title, publisher, date, url, locale
+}) {
+	const names = authors.map(author => author.emphasize([author.family, initials(author.given)].filter(Boolean).join(', ')))
+	const year = `(${formatDate(date, locale, 'YYYY') || t(locale, 'citations.noDate')}).`
+	const head = names.length > 0
+		? [joinAuthors(names, '&', true), year, title && sentence(title)]
+		: [title && sentence(title), year]
+
+	return [...head, publisher && `*${publisher}*.`, url && link(url)].filter(Boolean).join(' ')
+}
+
+/**
+ * IEEE: G. Family and G. Family, “Title,” *Publisher*, Mon Year. [Online]. Available: URL
+ * More than six authors are shortened to the first one and "et al."
+ * @param {Object} reference - Reference fields, see formatCitation
+ * @returns {string} Citation
+ */
+function formatIEEE({
+	authors, title, publisher, date, url, locale
+}) {
+	const names = authors.map(author => author.emphasize([initials(author.given), author.family].filter(Boolean).join(' ')))
+	const authorList = names.length > 6 ? `${names[0]} *${t(locale, 'citations.etAl')}*` : joinAuthors(names, t(locale, 'citations.and'), false)
+	const source = [publisher && `*${publisher}*`, formatDate(date, locale, 'MMM YYYY')].filter(Boolean).join(', ')
+	const quotedTitle = title && (endsSentence(title) ? `“${title}”` : `“${title}${source ? ',' : '.'}”`)
+
+	return [
+		authorList && `${authorList},`,
+		quotedTitle,
+		source && `${source}.`,
+		url && `${t(locale, 'citations.available')} ${link(url)}`
+	].filter(Boolean).join(' ')
+}
+
+/**
+ * Chicago (notes and bibliography): Family, Given, and Given Family. “Title.” *Publisher*, Month Year. URL.
+ * @param {Object} reference - Reference fields, see formatCitation
+ * @returns {string} Citation
+ */
+function formatChicago({
+	authors, title, publisher, date, url, locale
+}) {
+	const names = authors.map((author, index) => author.emphasize(index === 0
+		? [author.family, author.given].filter(Boolean).join(', ')
+		: [author.given, author.family].filter(Boolean).join(' ')))
+	const source = [publisher && `*${publisher}*`, formatDate(date, locale, 'MMMM YYYY')].filter(Boolean).join(', ')
+
+	return [
+		names.length > 0 && sentence(joinAuthors(names, t(locale, 'citations.and'), true)),
+		title && `“${sentence(title)}”`,
+		source && `${source}.`,
+		url && `${link(url)}.`
+	].filter(Boolean).join(' ')
+}
+
+/**
+ * Citation styles by ID
+ * Numbered styles label each reference "[1]", "[2]"… in list order
+ * @type {Object<string, {name: string, numbered: boolean, format: Function}>}
+ */
+export const citationStyles = {
+	apa: {name: 'APA', numbered: false, format: formatAPA},
+	ieee: {name: 'IEEE', numbered: true, format: formatIEEE},
+	chicago: {name: 'Chicago', numbered: false, format: formatChicago}
+}
+
+/**
+ * Read the per-resume citation configuration from `meta.citations`
+ * `highlight` lists the names to set in bold in author lists; `true` stands for basics.name
+ * @param {Object} data - Resume data
+ * @returns {{style: string|null, highlight: Array<string>}} Citation configuration with defaults for missing keys
+ * @example
+ * getCitationConfig({meta: {citations: {style: 'ieee', highlight: 'R. Hendriks'}}})
+ * // {style: 'ieee', highlight: ['R. Hendriks']}
+ */
+export function getCitationConfig(data) {
+	const {style = null, highlight = []} = data?.meta?.citations ?? {}
+	const names = highlight === true ? [data?.basics?.name] : [highlight].flat()
+
+	return {style, highlight: names.filter(name => typeof name === 'string' && name.trim())}
+}
+
+/**
+ * Sort publications by release date, newest first; undated publications keep their order at the end
+ * @param {Array<Object>} publications - Publications
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortPublications(publications) {
+	const rank = publication => {
+		const parts = parseDate(publication.releaseDate)
+		return parts ? (parts.year * 10_000) + ((parts.month || 0) * 100) + (parts.day || 0) : -1
+	}
+
+	return publications.toSorted((a, b) => rank(b) - rank(a))
+}
+
+/**
+ * Format a publication as a citation in inline Markdown
+ * A `doi` is linked through doi.org and takes the place of the URL
+ * @param {Object} publication - Publication with name, publisher, releaseDate, url and optional authors and doi
+ * @param {Object} options - Citation options
+ * @param {string} options.style - Citation style ID, see citationStyles
+ * @param {Array<string>} [options.highlight=[]] - Author names to set in bold
+ * @param {string} [options.locale='en'] - Locale for dates and connecting words
+ * @returns {string} Citation, or '' for an unknown style
+ * @example
+ * formatCitation({name: 'Video compression for 3d media', publisher: 'Hooli', releaseDate: '2014-10-01', authors: ['Richard Hendriks']}, {style: 'apa'})
+ * // 'Hendriks, R. (2014). Video compression for 3d media. *Hooli*.'
+ */
+export function formatCitation(publication, {style, highlight = [], locale = 'en'}) {
+	if (!Object.hasOwn(citationStyles, style)) {
+		return ''
+	}
+
+	const highlighted = highlight.map(name => parseAuthor(name))
+	const authors = (publication.authors || []).filter(Boolean).map(name => {
+		const author = parseAuthor(name)
+		const isHighlighted = highlighted.some(other => isSameAuthor(author, other))
+
+		return {
+			given: escapeMarkdown(author.given),
+			family: escapeMarkdown(author.family),
+			emphasize: text => (isHighlighted ? `**${text}**` : text)
+		}
+	})
+	const doi = parseDOI(publication.doi)
+
+	return citationStyles[style].format({
+		authors,
+		title: escapeMarkdown(publication.name).trim(),
+		publisher: escapeMarkdown(publication.publisher).trim(),
+		date: publication.releaseDate,
+		url: safeURL(doi ? `https://doi.org/${doi}` : publication.url),
+		locale
+	})
+}
@@ -1,48 +1,354 @@
 /**
  * @fileoverview Template Helper Functions
- * Utility functions for date formatting and icon rendering in resume templates
+ * Utility functions for HTML escaping, date formatting and icon rendering in resume templates
  * @author m-e-h
  * @version 1.0.0
  */
 
+import {t, tn} from './i18n.js'
+
+/**
+ * URL schemes allowed in href and src attributes
+ * URLs without a scheme (relative paths, fragments) are always allowed
+ * @type {Array<string>}
+ */
+export const allowedURLSchemes = ['http', 'https', 'mailto', 'tel']
+
+/**
+ * Wrapper marking a string as trusted HTML that must not be escaped again
+ * @class SafeHTML
+ */
+export class SafeHTML {
+	/**
+	 * Creates an instance of SafeHTML
+	 * @param {string} value - Trusted HTML markup
+	 */
+	constructor(value) {
+		this.value = String(value)
+	}
+
+	toString() {
+		return this.value
+	}
+}
+
+/**
+ * Escape a value for use in HTML text content and quoted attribute values
+ * @param {*} value - Value to escape; null and undefined become an empty string
+ * @returns {string} Escaped string
+ * @example
+ * escapeHTML('R&D <team>') // 'R&amp;D &lt;team&gt;'
+ */
+export function escapeHTML(value) {
+	if (value === null || value === undefined) {
+		return ''
+	}
+
+	return String(value)
+		.replaceAll('&', '&amp;')
+		.replaceAll('<', '&lt;')
+		.replaceAll('>', '&gt;')
+		.replaceAll('"', '&quot;')
+		.replaceAll('\'', '&#39;')
+}
+
+/**
+ * Escape a value for XML content and quoted attribute values, dropping characters XML 1.0 does not allow
+ * Used by the XML-based export formats (DOCX, Europass)
+ * @param {*} value - Value to escape; null and undefined become an empty string
+ * @returns {string} Escaped string
+ * @example
+ * escapeXML('R&D <team>') // 'R&amp;D &lt;team&gt;'
+ */
+export function escapeXML(value) {
+	return String(value ?? '')
+		.replaceAll(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, '')
+		.replaceAll('&', '&amp;')
+		.replaceAll('<', '&lt;')
+		.replaceAll('>', '&gt;')
+		.replaceAll('"', '&quot;')
+}
+
+/**
+ * Mark trusted markup so the html tag inserts it without escaping
+ * @param {string} markup - Trusted HTML markup
+ * @returns {SafeHTML} Wrapped markup
+ */
+export function raw(markup) {
+	return markup instanceof SafeHTML ? markup : new SafeHTML(markup ?? '')
+}
+
+/**
+ * Convert an interpolated value to escaped HTML
+ * Arrays are flattened and joined, SafeHTML is inserted as-is, false/null/undefined render nothing
+ * @param {*} value - Interpolated value
+ * @returns {string} HTML string
+ */
+function interpolate(value) {
+	if (Array.isArray(value)) {
+		return value.map(item => interpolate(item)).join('')
+	}
+
+	if (value instanceof SafeHTML) {
+		return value.value
+	}
+
+	if (value === false || value === null || value === undefined) {
+		return ''
+	}
+
+	return escapeHTML(value)
+}
+
+/**
+ * Tagged template for building HTML that escapes every interpolation by default
+ * Nested html templates and raw() values are inserted without escaping
+ * @param {Array<string>} strings - Template literal strings
+ * @param {...*} values - Interpolated values
+ * @returns {SafeHTML} Escaped HTML
+ * @example
+ * html`<li>${highlight}</li>`
+ * html`<ul>${items.map(item => html`<li>${item}</li>`)}</ul>`
+ */
+export function html(strings, ...values) {
+	let result = strings[0]
+	for (const [index, value] of values.entries()) {
+		result += interpolate(value) + strings[index + 1]
+	}
+
+	return new SafeHTML(result)
+}
+
+/**
+ * Sanitize a URL against the allowlist of schemes
+ * @param {string} url - URL from resume data
+ * @returns {string} Trimmed URL, or an empty string when the scheme is not allowed
+ * @example
+ * safeURL('https://example.com') // 'https://example.com'
+ * safeURL('javascript:alert(1)') // ''
+ */
+export function safeURL(url) {
+	if (!url || typeof url !== 'string') {
+		return ''
+	}
+
+	const trimmed = url.trim()
+	// Browsers ignore control characters and whitespace inside the scheme
+	const normalized = [...trimmed].filter(char => char.codePointAt(0) > 0x20 && char !== '\u007F').join('')
+	const scheme = /^([a-z][a-z\d+.-]*):/i.exec(normalized)?.[1]
+
+	if (scheme && !allowedURLSchemes.includes(scheme.toLowerCase())) {
+		return ''
+	}
+
+	return trimmed
+}
+
+/**
+ * Render content as an external link when the URL is safe, or as plain content otherwise
+ * @param {string} url - URL from resume data
+ * @param {*} content - Link content, escaped unless it is SafeHTML
+ * @param {string} [className=''] - Optional class for the anchor
+ * @returns {SafeHTML} Anchor or escaped content
+ */
+export function linkOrText(url, content, className = '') {
+	const href = safeURL(url)
+	if (!href) {
+		return html`${content}`
+	}
+
+	return html`<a href="${href}"${className ? html` class="${className}"` : ''} target="_blank" rel="noopener">${content}</a>`
+}
+
+/**
+ * Date format used when `meta.dateFormat` is not set
+ * @type {string}
+ */
+export const defaultDateFormat = 'MMMM YYYY'
+
+/**
+ * Tokens recognized in date format patterns
+ * @type {Set<string>}
+ */
+const dateTokens = new Set(['YYYY', 'MMMM', 'MMM', 'MM', 'M', 'DD', 'D'])
+
+/**
+ * Parse a JSON Resume date while preserving its precision
+ * Accepts `YYYY`, `YYYY-MM` and `YYYY-MM-DD` (a trailing ISO time is ignored); never goes through
+ * `new Date(string)`, so the result does not shift with the local timezone
+ * @param {string} dateString - Date string from resume data
+ * @returns {{year: number, month: number|null, day: number|null, precision: string}|null}
+ *          Parsed parts with precision 'year', 'month' or 'day', or null when the string is not a date
+ * @example
+ * parseDate('2020') // {year: 2020, month: null, day: null, precision: 'year'}
+ * parseDate('2020-03') // {year: 2020, month: 3, day: null, precision: 'month'}
+ */
+export function parseDate(dateString) {
+	const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/.exec(String(dateString ?? '').trim())
+	if (!match) {
+		return null
+	}
+
+	const [, year, month, day] = match
+	if ((month && (month < 1 || month > 12)) || (day && (day < 1 || day > 31))) {
+		return null
+	}
+
+	return {
+		year: Number(year),
+		month: month ? Number(month) : null,
+		day: day ? Number(day) : null,
+		precision: (day && 'day') || (month && 'month') || 'year'
+	}
+}
+
+/**
+ * Format a single token of a date format pattern
+ * @param {string} token - Pattern token (YYYY, MMMM, MMM, MM, M, DD or D)
+ * @param {Object} parts - Parsed date parts from parseDate
+ * @param {string} locale - BCP 47 language tag for month names
+ * @returns {string|null} Formatted token, or null when the date is less precise than the token
+ */
+function formatDateToken(token, parts, locale) {
+	const {year, month, day} = parts
+
+	switch (token) {
+		case 'YYYY': {
+			return String(year)
+		}
+
+		case 'MMMM':
+		case 'MMM': {
+			return month
+				? new Intl.DateTimeFormat(locale, {month: token === 'MMMM' ? 'long' : 'short', timeZone: 'UTC'}).format(Date.UTC(year, month - 1, 1))
+				: null
+		}
+
+		case 'MM':
+		case 'M': {
+			return month ? String(month).padStart(token.length, '0') : null
+		}
+
+		case 'DD':
+		case 'D': {
+			return day ? String(day).padStart(token.length, '0') : null
+		}
+
+		default: {
+			return token
+		}
+	}
+}
+
 /**
  * Helper function to format dates
+ * Only prints the parts the input actually has: a year-only date stays year-only whatever the format
  * @param {string} dateString - Date string to format
- * @returns {string} Formatted date string (e.g., "Jan 2020") or original string if invalid
+ * @param {string} [locale='en'] - BCP 47 language tag used by Intl
+ * @param {string} [format=defaultDateFormat] - Pattern such as 'MMMM YYYY', 'MMM YYYY', 'MM/YYYY' or 'YYYY'
+ * @returns {string} Formatted date string (e.g., "January 2020") or original string if invalid
  */
-export function formatDate(dateString) {
+export function formatDate(dateString, locale = 'en', format = defaultDateFormat) {
 	if (!dateString) {
 		return ''
 	}
 
+	const parts = parseDate(dateString)
+	if (!parts) {
+		return dateString
+	}
+
 	try {
-		const date = new Date(dateString)
-		if (Number.isNaN(date.getTime())) {
-			return dateString
+		const tokens = (format || defaultDateFormat).match(/YYYY|M{1,4}|D{1,2}|[^MD]+?(?=YYYY|M|D|$)/g)
+		let result = ''
+		let separator = ''
+		let skipSeparator = false
+
+		// Drop tokens the date is too imprecise for, together with the separator that follows them
+		for (const token of tokens) {
+			if (!dateTokens.has(token)) {
+				separator += skipSeparator ? '' : token
+				skipSeparator = false
+				continue
+			}
+
+			const value = formatDateToken(token, parts, locale)
+			if (value === null) {
+				skipSeparator = true
+				continue
+			}
+
+			result += (result ? separator : '') + value
+			separator = ''
+			skipSeparator = false
 		}
 
-		return date.toLocaleDateString('en-US', {month: 'long', year: 'numeric'})
+		return result || String(parts.year)
 	} catch {
 		return dateString
 	}
 }
 
+/**
+ * Check whether an end date means the entry is ongoing
+ * @param {string} endDate - End date string
+ * @returns {boolean} True when the end date is missing or "present"
+ */
+export function isPresent(endDate) {
+	return !endDate || endDate.toLowerCase() === 'present'
+}
+
 /**
  * Helper function to format date ranges
  * @param {string} startDate - Start date string
  * @param {string} endDate - End date string (optional, "present" for current)
+ * @param {string} [locale='en'] - BCP 47 language tag for month names and the "Present" label
+ * @param {string} [format=defaultDateFormat] - Date pattern, see formatDate
  * @returns {string} Formatted date range (e.g., "Jan 2020 – Present" or "Jan 2020 – Dec 2022")
  */
-export function formatDateRange(startDate, endDate) {
+export function formatDateRange(startDate, endDate, locale = 'en', format = defaultDateFormat) {
 	if (!startDate && !endDate) {
 		return ''
 	}
 
-	const start = startDate ? formatDate(startDate) + ' – ' : ''
-	const end = endDate && endDate.toLowerCase() !== 'present' ? formatDate(endDate) : 'Present'
+	const start = startDate ? formatDate(startDate, locale, format) + ' – ' : ''
+	const end = isPresent(endDate) ? t(locale, 'labels.present') : formatDate(endDate, locale, format)
 	return `${start}${end}`
 }
 
+/**
+ * Format the time between two dates, e.g. "2 yrs 4 mos"
+ * Both ends are inclusive; a year-only start counts from January and a year-only end up to December
+ * @param {string} startDate - Start date string
+ * @param {string} endDate - End date string (optional, "present" for current)
+ * @param {string} [locale='en'] - BCP 47 language tag for the unit labels
+ * @param {Date} [now=new Date()] - Reference date for ongoing entries
+ * @returns {string} Localized duration, or an empty string when it cannot be computed
+ */
+export function formatDuration(startDate, endDate, locale = 'en', now = new Date()) {
+	const start = parseDate(startDate)
+	const end = isPresent(endDate)
+		? {year: now.getFullYear(), month: now.getMonth() + 1}
+		: parseDate(endDate)
+
+	if (!start || !end) {
+		return ''
+	}
+
+	const totalMonths = ((end.year - start.year) * 12) + ((end.month ?? 12) - (start.month ?? 1)) + 1
+	if (totalMonths <= 0) {
+		return ''
+	}
+
+	const years = Math.floor(totalMonths / 12)
+	const months = totalMonths % 12
+
+	return [
+		years > 0 ? tn(locale, 'durations.years', years) : '',
+		months > 0 ? tn(locale, 'durations.months', months) : ''
+	].filter(Boolean).join(' ')
+}
+
 /**
  * Helper function to render SVG icons
  * @param {string} name - Icon name (e.g., 'mail', 'phone', 'github', 'linkedin', etc.)
@@ -0,0 +1,84 @@
+/**
+ * @fileoverview Localization Helpers
+ * Locale resolution and translation lookup for resume templates
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import * as dictionaries from '../locales/index.js'
+
+/**
+ * Locale used when none is configured or the configured one is unsupported
+ * @type {string}
+ */
+export const defaultLocale = 'en'
+
+/**
+ * Resolve a locale for a resume
+ * Precedence: explicit override (CLI flag or env var) > `meta.language` > default locale
+ * @param {Object} data - Resume data
+ * @param {string|null} [override=null] - Locale override
+ * @returns {string} Canonical BCP 47 language tag (e.g. "de-DE")
+ * @example
+ * resolveLocale({meta: {language: 'fr'}}) // 'fr'
+ * resolveLocale({meta: {language: 'fr'}}, 'de-AT') // 'de-AT'
+ */
+export function resolveLocale(data, override = null) {
+	const requested = override || data?.meta?.language
+	if (!requested) {
+		return defaultLocale
+	}
+
+	try {
+		return Intl.getCanonicalLocales(requested)[0]
+	} catch {
+		console.warn(`⚠️  Invalid locale "${requested}", falling back to "${defaultLocale}"`)
+		return defaultLocale
+	}
+}
+
+/**
+ * Get the translation dictionary for a locale
+ * Looks up the full tag first, then its language subtag, then the default locale
+ * @param {string} [locale=defaultLocale] - BCP 47 language tag
+ * @returns {Object} Translation dictionary
+ */
+export function getDictionary(locale = defaultLocale) {
+	const language = locale.split('-')[0].toLowerCase()
+	return dictionaries[locale] || dictionaries[language] || dictionaries[defaultLocale]
+}
+
+/**
+ * Translate a key such as "sections.work" or "labels.present"
+ * Falls back to the default locale for missing keys and replaces `{placeholder}` tokens
+ * @param {string} locale - BCP 47 language tag
+ * @param {string} key - Dot-separated translation key
+ * @param {Object<string, string>} [params={}] - Placeholder values
+ * @returns {string} Translated string, or the key itself when it is unknown
+ * @example
+ * t('de', 'sections.work') // 'Berufserfahrung'
+ * t('en', 'labels.description', {name: 'Ada'}) // 'Professional resume for Ada'
+ */
+export function t(locale, key, params = {}) {
+	const lookup = dictionary => key.split('.').reduce((value, part) => value?.[part], dictionary)
+	const text = lookup(getDictionary(locale)) ?? lookup(getDictionary(defaultLocale)) ?? key
+
+	return text.replaceAll(/{(\w+)}/g, (match, name) => params[name] ?? match)
+}
+
+/**
+ * Translate a pluralized key using the locale's plural rules
+ * The key must point to an object with Intl.PluralRules categories (at least `other`)
+ * @param {string} locale - BCP 47 language tag
+ * @param {string} key - Dot-separated translation key
+ * @param {number} count - Quantity, available as the `{count}` placeholder
+ * @returns {string} Translated string
+ * @example
+ * tn('en', 'durations.years', 2) // '2 yrs'
+ */
+export function tn(locale, key, count) {
+	const category = new Intl.PluralRules(locale).select(count)
+	const text = t(locale, `${key}.${category}`, {count})
+
+	return text === `${key}.${category}` ? t(locale, `${key}.other`, {count}) : text
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Inline Markdown Helpers
+ * Safe rendering of a small inline Markdown subset (bold, italic, code, links, line breaks and
+ * backslash escapes such as `\*`) for free-text resume fields, plus a plain-text fallback and styled text runs for exports without HTML
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {
+	escapeHTML, html, raw, safeURL
+} from './helpers.js'
+
+/**
+ * Matches backslash-escaped ASCII punctuation, inline code spans and links, the constructs whose
+ * content is not parsed like the surrounding text; link URLs may contain one level of balanced parentheses
+ * @type {RegExp}
+ */
+const inlineTokenPattern = /\\([!-/:-@[-`{-~])|`([^`\n]+)`|\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g
+
+/**
+ * Matches the placeholders that stand in for escapes, code spans and links while emphasis is applied
+ * @type {RegExp}
+ */
+const placeholderPattern = /\uE000(\d+)\uE001/g
+
+/**
+ * Emphasis rules, strongest first
+ * Underscore emphasis only applies at word boundaries so snake_case words are left alone
+ * @type {Array<[RegExp, string, string]>} Pattern, HTML replacement and plain-text replacement
+ */
+const emphasisRules = [
+	[/\*\*(?=\S)(.+?)(?<=\S)\*\*/g, '<strong>$1</strong>', '$1'],
+	[/(^|\W)__(?=\S)(.+?)(?<=\S)__(?!\w)/g, '$1<strong>$2</strong>', '$1$2'],
+	[/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>', '$1'],
+	[/(^|\W)_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>', '$1$2']
+]
+
+/**
+ * Apply emphasis rules to text in which escapes, code spans and links have been replaced by placeholders,
+ * then substitute the placeholders back; an escaped character is kept as literal text
+ * @param {string} text - Source text
+ * @param {Function} escape - Escapes plain text for the output format
+ * @param {Function} renderToken - Renders a code span or link match for the output format
+ * @param {boolean} asHTML - Whether to emit HTML tags or plain text
+ * @returns {string} Rendered text
+ */
+function renderInline(text, escape, renderToken, asHTML) {
+	const tokens = []
+	// Placeholder delimiters already in the text (private-use characters) are dropped so they cannot pose as placeholders
+	const withPlaceholders = text.replaceAll(/[\uE000\uE001]/g, '').replaceAll(inlineTokenPattern, (...match) => {
+		tokens.push(match)
+		return `\uE000${tokens.length - 1}\uE001`
+	})
+
+	let result = escape(withPlaceholders)
+	for (const [pattern, htmlReplacement, textReplacement] of emphasisRules) {
+		result = result.replaceAll(pattern, asHTML ? htmlReplacement : textReplacement)
+	}
+
+	return result.replaceAll(placeholderPattern, (placeholder, index) => {
+		const [, escaped] = tokens[index]
+		return escaped === undefined ? renderToken(tokens[index]) : escape(escaped)
+	})
+}
+
+/**
+ * Escape characters with a meaning in Markdown so plain fields (names, titles) render literally
+ * @param {*} text - Plain text from resume data
+ * @returns {string} Escaped text
+ * @example
+ * escapeMarkdown('C# *and* [more]') // 'C\\# \\*and\\* \\[more\\]'
+ */
+export function escapeMarkdown(text) {
+	if (text === null || text === undefined) {
+		return ''
+	}
+
+	return String(text).replaceAll(/[\\`*_[\]<>#|]/g, '\\$&')
+}
+
+/**
+ * Escape the characters that start raw HTML or link syntax in Markdown
+ * @param {string} text - Markdown text outside code spans, escapes and inline links
+ * @returns {string} Text with "<", "[" and "]" escaped
+ */
+function escapeMarkup(text) {
+	return text.replaceAll(/[<[\]]/g, '\\$&')
+}
+
+/**
+ * Make inline Markdown from resume data safe to copy into a Markdown document
+ * Emphasis, code spans and escapes are kept; link URLs go through safeURL like in md() and unsafe
+ * links are written as their text. Raw HTML and brackets outside inline links are escaped, so
+ * neither HTML nor reference-style links reach the document
+ * @param {string} text - Text from resume data
+ * @returns {string} Inline Markdown
+ * @example
+ * sanitizeMarkdown('See [my site](https://example.com) or [this](javascript:alert(1))')
+ * // 'See [my site](https://example.com) or this'
+ */
+export function sanitizeMarkdown(text) {
+	if (text === null || text === undefined) {
+		return ''
+	}
+
+	const source = String(text)
+	let result = ''
+	let position = 0
+	for (const match of source.matchAll(inlineTokenPattern)) {
+		const [token, , , label, url] = match
+		const href = label === undefined ? '' : safeURL(url)
+		result += escapeMarkup(source.slice(position, match.index))
+		if (label === undefined) {
+			result += token
+		} else {
+			result += href ? `[${escapeMarkup(label)}](${href})` : escapeMarkup(label)
+		}
+
+		position = match.index + token.length
+	}
+
+	return result + escapeMarkup(source.slice(position))
+}
+
+/**
+ * Render inline Markdown to safe HTML
+ * Everything is escaped first; link URLs go through safeURL and unsafe links render as their text
+ * @param {string} text - Text from resume data
+ * @returns {SafeHTML} Rendered HTML
+ * @example
+ * md('Cut costs by **40%** with [Pied Piper](https://piedpiper.example)')
+ * // 'Cut costs by <strong>40%</strong> with <a href="https://piedpiper.example" target="_blank" rel="noopener">Pied Piper</a>'
+ */
+export function md(text) {
+	if (text === null || text === undefined || text === '') {
+		return raw('')
+	}
+
+	const renderToken = ([, , code, label, url]) => {
+		if (code !== undefined) {
+			return String(html`<code>${code}</code>`)
+		}
+
+		const content = renderInline(label, escapeHTML, renderToken, true)
+		const href = safeURL(url)
+		return href ? String(html`<a href="${href}" target="_blank" rel="noopener">${raw(content)}</a>`) : content
+	}
+
+	const rendered = renderInline(String(text), escapeHTML, renderToken, true)
+	return raw(rendered.replaceAll(/\r?\n/g, '<br>'))
+}
+
+/**
+ * Strip inline Markdown for plain-text outputs
+ * Keeps the text of emphasis and code, and writes links as "text (url)"
+ * @param {string} text - Text from resume data
+ * @returns {string} Plain text
+ * @example
+ * stripMarkdown('**Led** the [rewrite](https://example.com)') // 'Led the rewrite (https://example.com)'
+ */
+export function stripMarkdown(text) {
+	if (text === null || text === undefined) {
+		return ''
+	}
+
+	const renderToken = ([, , code, label, url]) => {
+		if (code !== undefined) {
+			return code
+		}
+
+		const content = renderInline(label, String, renderToken, false)
+		return content === url ? url : `${content} (${url})`
+	}
+
+	return renderInline(String(text), String, renderToken, false)
+}
+
+/**
+ * HTML entities produced by escapeHTML, mapped back to their characters
+ * @type {Object<string, string>}
+ */
+const htmlEntities = {
+	'&amp;': '&',
+	'&lt;': '<',
+	'&gt;': '>',
+	'&quot;': '"',
+	'&#39;': '\''
+}
+
+/**
+ * Reverse escapeHTML
+ * @param {string} value - Escaped text
+ * @returns {string} Unescaped text
+ */
+function unescapeHTML(value) {
+	return value.replaceAll(/&(?:amp|lt|gt|quot|#39);/g, entity => htmlEntities[entity])
+}
+
+/**
+ * Split inline Markdown into styled text runs for document formats without HTML (DOCX, PDF)
+ * Parses the output of md(), so the same links are dropped as unsafe and line breaks become
+ * runs with `break: true`
+ * @param {string} text - Text from resume data
+ * @returns {Array<{text: string, bold: boolean, italic: boolean, code: boolean, url: string|null, break: boolean}>} Runs
+ * @example
+ * markdownRuns('Cut costs by **40%**')
+ * // [{text: 'Cut costs by ', bold: false, ...}, {text: '40%', bold: true, ...}]
+ */
+export function markdownRuns(text) {
+	const runs = []
+	const state = {
+		bold: 0, italic: 0, code: 0, url: null
+	}
+	const addRun = (value, lineBreak = false) => {
+		if (value || lineBreak) {
+			runs.push({
+				text: unescapeHTML(value),
+				bold: state.bold > 0,
+				italic: state.italic > 0,
+				code: state.code > 0,
+				url: state.url,
+				break: lineBreak
+			})
+		}
+	}
+
+	const tagPattern = /<(\/?)(strong|em|code|a|br)(?: href="([^"]*)"[^>]*)?>/g
+	const rendered = String(md(text))
+	const counters = {strong: 'bold', em: 'italic', code: 'code'}
+	let lastIndex = 0
+
+	for (const match of rendered.matchAll(tagPattern)) {
+		addRun(rendered.slice(lastIndex, match.index))
+		lastIndex = match.index + match[0].length
+
+		const [, closing, tag, href] = match
+		if (tag === 'br') {
+			addRun('', true)
+		} else if (tag === 'a') {
+			state.url = closing ? null : unescapeHTML(href)
+		} else {
+			state[counters[tag]] += closing ? -1 : 1
+		}
+	}
+
+	addRun(rendered.slice(lastIndex))
+	return runs
+}
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Page Metadata for Published Resumes
+ * Builds schema.org Person structured data, Open Graph / Twitter card tags, the canonical link
+ * and an SVG social card from processed resume data, for the head of static pages
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {getTemplateStyle} from '../formats/sections.js'
+import {escapeHTML, isPresent, safeURL} from './helpers.js'
+import {stripMarkdown} from './markdown.js'
+
+/**
+ * Size of the social card in pixels, the 1.91:1 ratio used by Open Graph and Twitter
+ * @type {{width: number, height: number}}
+ */
+export const socialCardSize = {width: 1200, height: 630}
+
+/**
+ * Maximum length of the page description
+ * @type {number}
+ */
+const descriptionLength = 200
+
+/**
+ * Remove empty values from a structured data object, so the output only has filled-in properties
+ * @param {Object} object - Structured data
+ * @returns {Object} Object without empty strings, null, undefined, empty arrays or empty objects
+ */
+function compact(object) {
+	return Object.fromEntries(Object.entries(object).filter(([, value]) => {
+		if (Array.isArray(value)) {
+			return value.length > 0
+		}
+
+		if (value && typeof value === 'object') {
+			return Object.keys(value).some(key => !key.startsWith('@'))
+		}
+
+		return value !== '' && value !== null && value !== undefined
+	}))
+}
+
+/**
+ * Keep a URL only when it is absolute http(s), as required for canonical links and social tags
+ * @param {string} url - URL from resume data
+ * @returns {string} URL or an empty string
+ */
+function absoluteURL(url) {
+	const href = safeURL(url)
+	return /^https?:\/\//i.test(href) ? href : ''
+}
+
+/**
+ * Shorten text at a word boundary
+ * @param {string} text - Plain text
+ * @param {number} length - Maximum length
+ * @returns {string} Text, ending with "…" when shortened
+ */
+function truncate(text, length) {
+	const normalized = text.replaceAll(/\s+/g, ' ').trim()
+	if (normalized.length <= length) {
+		return normalized
+	}
+
+	const cut = normalized.slice(0, length - 1)
+	return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`
+}
+
+/**
+ * Build an organization node
+ * @param {string} type - schema.org type
+ * @param {string} name - Organization name
+ * @param {string} [url] - Organization URL
+ * @returns {Object|null} Organization, or null without a name
+ */
+function organization(type, name, url) {
+	return name ? compact({'@type': type, name, url: absoluteURL(url)}) : null
+}
+
+/**
+ * Build schema.org Person structured data (JSON-LD)
+ * Current jobs become `worksFor`, past employers and schools `alumniOf`, degrees `hasCredential`
+ * and skills with their keywords `knowsAbout`
+ * @param {Object} data - Processed resume data (see prepareResumeData)
+ * @returns {Object} JSON-LD object
+ * @example
+ * getPersonSchema({basics: {name: 'Ada Lovelace', label: 'Analyst'}})
+ * // {'@context': 'https://schema.org', '@type': 'Person', name: 'Ada Lovelace', jobTitle: 'Analyst'}
+ */
+export function getPersonSchema({
+	basics = {}, work = [], education = [], skills = []
+}) {
+	const location = basics.location || {}
+	const currentJobs = work.filter(job => isPresent(job.endDate))
+	const pastJobs = work.filter(job => !isPresent(job.endDate))
+
+	return compact({
+		'@context': 'https://schema.org',
+		'@type': 'Person',
+		name: basics.name,
+		jobTitle: basics.label,
+		description: basics.summary ? stripMarkdown(basics.summary) : '',
+		image: absoluteURL(basics.image),
+		email: basics.email ? `mailto:${basics.email}` : '',
+		telephone: basics.phone,
+		url: absoluteURL(basics.url),
+		address: compact({
+			'@type': 'PostalAddress',
+			streetAddress: location.address,
+			postalCode: location.postalCode,
+			addressLocality: location.city,
+			addressRegion: location.region,
+			addressCountry: location.countryCode
+		}),
+		sameAs: (basics.profiles || []).map(profile => absoluteURL(profile.url)).filter(Boolean),
+		worksFor: currentJobs.map(job => organization('Organization', job.name, job.url)).filter(Boolean),
+		alumniOf: [
+			...pastJobs.map(job => organization('Organization', job.name, job.url)),
+			...education.map(edu => organization('EducationalOrganization', edu.institution, edu.url))
+		].filter(Boolean),
+		hasCredential: education
+			.filter(edu => edu.studyType || edu.area)
+			.map(edu => compact({
+				'@type': 'EducationalOccupationalCredential',
+				credentialCategory: 'degree',
+				name: [edu.studyType, edu.area].filter(Boolean).join(' in '),
+				recognizedBy: organization('EducationalOrganization', edu.institution, edu.url)
+			})),
+		knowsAbout: [...new Set(skills.flatMap(skill => [skill.name, ...(skill.keywords || [])]).filter(Boolean))]
+	})
+}
+
+/**
+ * Get the page description: the plain-text summary, shortened, or the given fallback
+ * @param {Object} basics - Resume basics
+ * @param {string} fallback - Description used without a summary
+ * @returns {string} Description
+ */
+export function getPageDescription(basics = {}, fallback = '') {
+	return basics.summary ? truncate(stripMarkdown(basics.summary), descriptionLength) : fallback
+}
+
+/**
+ * Find the Twitter (or X) handle among the profiles
+ * @param {Array<Object>} [profiles=[]] - Resume profiles
+ * @returns {string} Handle with "@", or an empty string
+ */
+function getTwitterHandle(profiles = []) {
+	const profile = profiles.find(({network = ''}) => /^(twitter|x)$/i.test(network.trim()))
+	return profile?.username ? `@${profile.username.replace(/^@/, '')}` : ''
+}
+
+/**
+ * Render the head tags of a published resume page: canonical link, Open Graph and Twitter card
+ * tags and the Person JSON-LD script
+ * @param {Object} data - Processed resume data (see prepareResumeData)
+ * @param {Object} options - Page details
+ * @param {string} options.description - Page description
+ * @param {string} [options.image] - Social card URL, relative URLs are resolved against `meta.canonical`.
+ *        Open Graph and Twitter only accept absolute image URLs, so the image tags are left out when none is known
+ * @returns {string} HTML tags, one per line
+ */
+export function renderPageMetadata(data, {description, image}) {
+	const basics = data.basics || {}
+	const title = [basics.name, basics.label].filter(Boolean).join(' – ') || 'Resume'
+	const canonical = absoluteURL(data.meta?.canonical)
+	const imageURL = absoluteURL(image) || (image && canonical ? new URL(image, canonical).href : '')
+	const twitterHandle = getTwitterHandle(basics.profiles)
+
+	const properties = [
+		['og:type', 'profile'],
+		['og:title', title],
+		['og:description', description],
+		['og:url', canonical],
+		['og:locale', data.locale?.replace('-', '_')],
+		['og:image', imageURL],
+		['og:image:type', imageURL ? 'image/svg+xml' : ''],
+		['og:image:width', imageURL ? String(socialCardSize.width) : ''],
+		['og:image:height', imageURL ? String(socialCardSize.height) : ''],
+		['og:image:alt', imageURL ? title : '']
+	]
+	const names = [
+		['twitter:card', imageURL ? 'summary_large_image' : 'summary'],
+		['twitter:title', title],
+		['twitter:description', description],
+		['twitter:image', imageURL],
+		['twitter:creator', twitterHandle]
+	]
+	// JSON in a script element must not contain "</script>" or an HTML comment opener
+	const jsonLD = JSON.stringify(getPersonSchema(data), null, 2).replaceAll('<', '\\u003c')
+
+	return [
+		canonical ? `<link rel="canonical" href="${escapeHTML(canonical)}">` : '',
+		...properties.filter(([, content]) => content)
+			.map(([property, content]) => `<meta property="${property}" content="${escapeHTML(content)}">`),
+		...names.filter(([, content]) => content)
+			.map(([name, content]) => `<meta name="${name}" content="${escapeHTML(content)}">`),
+		`<script type="application/ld+json">\n${jsonLD}\n</script>`
+	].filter(Boolean).join('\n')
+}
+
+/**
+ * Break text into at most `maxLines` lines of roughly `maxChars` characters
+ * @param {string} text - Plain text
+ * @param {number} maxChars - Characters per line
+ * @param {number} maxLines - Maximum number of lines, the last one is shortened with "…"
+ * @returns {Array<string>} Lines
+ */
+function cardLines(text, maxChars, maxLines) {
+	const lines = []
+	let line = ''
+
+	for (const word of text.split(/\s+/).filter(Boolean)) {
+		if (line && `${line} ${word}`.length > maxChars) {
+			lines.push(line)
+			line = word
+		} else {
+			line = line ? `${line} ${word}` : word
+		}
+	}
+
+	if (line) {
+		lines.push(line)
+	}
+
+	return lines.length > maxLines
+		? [...lines.slice(0, maxLines - 1), truncate(lines.slice(maxLines - 1).join(' '), maxChars)]
+		: lines
+}
+
+/**
+ * Render a social card image with the name and label in the colors of a template
+ * @param {Object} data - Processed resume data (see prepareResumeData)
+ * @param {string} [templateId='minimal'] - Template whose font and accent color to use
+ * @param {string|Object|null} [theme=null] - Configured theme preset or tokens, see getTemplateStyle
+ * @returns {string} SVG document
+ */
+export function renderSocialCard(data, templateId = 'minimal', theme = null) {
+	const {basics = {}} = data
+	const {width, height} = socialCardSize
+	const {font, color} = getTemplateStyle(data, templateId, theme)
+	const name = basics.name || 'Resume'
+	// Shrink long names so they fit on one line, assuming glyphs about 0.55em wide
+	const nameSize = Math.min(96, Math.floor((width - 160) / (name.length * 0.55)))
+	const labelLines = cardLines(basics.label || '', 38, 2)
+	const website = basics.url ? basics.url.replace(/^https?:\/\//i, '').replace(/\/$/, '') : ''
+
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <title>${escapeHTML([name, basics.label].filter(Boolean).join(', '))}</title>
+  <rect width="${width}" height="${height}" fill="#FFFFFF"/>
+  <rect width="24" height="${height}" fill="#${color}"/>
+  <g font-family="'${escapeHTML(font)}', Helvetica, Arial, sans-serif">
+    <text x="80" y="260" font-size="${nameSize}" font-weight="700" fill="#111827">${escapeHTML(name)}</text>
+    ${labelLines.map((line, index) => `<text x="80" y="${340 + (index * 56)}" font-size="44" fill="#${color}">${escapeHTML(line)}</text>`).join('\n    ')}
+    ${website ? `<text x="80" y="${height - 70}" font-size="30" fill="#4B5563">${escapeHTML(website)}</text>` : ''}
+  </g>
+</svg>
+`
+}
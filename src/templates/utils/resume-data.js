@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Resume Data Preparation
+ * Derives the display fields templates rely on (locale, formatted dates, durations)
+ * Shared by the browser TemplateRenderer and the static HTML build
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+import {
+	defaultDateFormat, formatDate, formatDateRange, formatDuration
+} from './helpers.js'
+import {
+	citationStyles, formatCitation, getCitationConfig, sortPublications
+} from './citations.js'
+import {resolveLocale, t} from './i18n.js'
+import {applyVariant} from './variants.js'
+
+/**
+ * Keys of every resume section a layout can place, matching the translation keys in `sections.*`
+ * and, except for `summary`, the resume field that holds the section's items
+ * @type {Array<string>}
+ */
+export const sectionKeys = [
+	'summary',
+	'work',
+	'volunteer',
+	'education',
+	'skills',
+	'languages',
+	'projects',
+	'publications',
+	'awards',
+	'certificates',
+	'references',
+	'interests'
+]
+
+/**
+ * Read the per-resume section configuration from `meta.sections`
+ * @param {Object} data - Resume data
+ * @returns {{order: Array<string>, hidden: Array<string>, titles: Object<string, string>, limits: Object<string, number>}}
+ *          Section configuration with defaults for missing keys
+ * @example
+ * // resume.json
+ * "meta": {
+ *   "sections": {
+ *     "order": ["summary", "education", "work"],
+ *     "hidden": ["references"],
+ *     "titles": {"work": "Professional Experience"},
+ *     "limits": {"work": 3}
+ *   }
+ * }
+ */
+export function getSectionConfig(data) {
+	const {
+		order = [], hidden = [], titles = {}, limits = {}
+	} = data?.meta?.sections ?? {}
+
+	return {
+		order, hidden, titles, limits
+	}
+}
+
+/**
+ * Get the visible sections of a layout in display order
+ * Sections listed in `meta.sections.order` come first in that order; the rest keep the layout's order
+ * @param {Object} data - Resume data
+ * @param {Array<string>} defaultOrder - Section keys of the layout (or one of its columns) in default order
+ * @returns {Array<string>} Visible section keys in display order
+ * @example
+ * getSectionOrder({meta: {sections: {order: ['education']}}}, ['work', 'skills', 'education'])
+ * // ['education', 'work', 'skills']
+ */
+export function getSectionOrder(data, defaultOrder) {
+	const {order, hidden} = getSectionConfig(data)
+	const rank = key => order.includes(key) ? order.indexOf(key) : order.length + defaultOrder.indexOf(key)
+
+	return defaultOrder
+		.filter(key => !hidden.includes(key))
+		.sort((a, b) => rank(a) - rank(b))
+}
+
+/**
+ * Turn free text into part of a file name: whitespace becomes "_", and path separators,
+ * characters reserved on Windows and control characters become "-"
+ * @param {string} [text] - Name or prospect
+ * @returns {string} File name part, or '' when only separators would be left
+ */
+function toFileNamePart(text) {
+	const part = [...String(text ?? '').trim().replaceAll(/\s+/g, '_')]
+		.map(char => (/[\\/:*?"<>|]/.test(char) || char.codePointAt(0) < 0x20 || char === '\u007F' ? '-' : char))
+		.join('')
+
+	return /^[-_.]*$/.test(part) ? '' : part
+}
+
+/**
+ * Get the base file name of static pages, social cards, downloads and exports:
+ * "Name_Resume" or "Name_Resume_Prospect", safe to use as a file name on any system
+ * @param {Object} data - Resume data with the active variant applied
+ * @returns {string} File name without extension
+ * @example
+ * getResumeFileName({basics: {name: 'Jane Doe'}, meta: {prospect: 'R&D / Platform'}}) // 'Jane_Doe_Resume_R&D_-_Platform'
+ */
+export function getResumeFileName(data) {
+	const name = toFileNamePart(data?.basics?.name) || 'Resume'
+	const prospect = toFileNamePart(data?.meta?.prospect)
+
+	return prospect ? `${name}_Resume_${prospect}` : `${name}_Resume`
+}
+
+/**
+ * Resolve section titles into `sectionTitles` and cap items per section from `meta.sections`
+ * @param {Object} processedData - Copy of the resume data, modified in place
+ * @param {string} locale - Resolved resume locale
+ */
+function applySectionConfig(processedData, locale) {
+	const {
+		order, hidden, titles, limits
+	} = getSectionConfig(processedData)
+
+	for (const key of [...order, ...hidden, ...Object.keys(titles), ...Object.keys(limits)]) {
+		if (!sectionKeys.includes(key)) {
+			console.warn(`⚠️  Unknown section "${key}" in meta.sections, expected one of: ${sectionKeys.join(', ')}`)
+		}
+	}
+
+	processedData.sectionTitles = Object.fromEntries(sectionKeys.map(key => [key, titles[key] || t(locale, `sections.${key}`)]))
+
+	for (const [key, limit] of Object.entries(limits)) {
+		if (key !== 'summary' && Array.isArray(processedData[key]) && Number.isInteger(limit) && limit >= 0) {
+			processedData[key] = processedData[key].slice(0, limit)
+		}
+	}
+}
+
+/**
+ * Format publications as citations in the style chosen with `meta.citations`, sorted newest first
+ * Adds `citation` (inline Markdown) and, for numbered styles, `citationLabel` to each publication
+ * @param {Object} processedData - Copy of the resume data, modified in place
+ * @param {string} locale - Resolved resume locale
+ */
+function applyCitationConfig(processedData, locale) {
+	const {style, highlight} = getCitationConfig(processedData)
+	if (!style || !Array.isArray(processedData.publications)) {
+		return
+	}
+
+	if (!Object.hasOwn(citationStyles, style)) {
+		console.warn(`⚠️  Unknown citation style "${style}" in meta.citations, expected one of: ${Object.keys(citationStyles).join(', ')}`)
+		return
+	}
+
+	processedData.publications = sortPublications(processedData.publications).map((publication, index) => ({
+		...publication,
+		citation: formatCitation(publication, {style, highlight, locale}),
+		citationLabel: citationStyles[style].numbered ? `[${index + 1}]` : ''
+	}))
+}
+
+/**
+ * Prepare resume data for template rendering
+ * Applies the active variant (see variants.js), reads `meta.dateFormat` (e.g. 'MMM YYYY', 'MM/YYYY', 'YYYY') and `meta.showDurations`,
+ * then adds `formattedDates` to dated entries and `formattedDate` to single-date entries.
+ * Section titles are resolved into `sectionTitles` and `meta.sections.limits` caps the items per section.
+ * With a citation style in `meta.citations`, publications are sorted by date and get a `citation`
+ * @param {Object} data - Raw resume data
+ * @param {Object} [options={}] - Preparation options
+ * @param {string|null} [options.locale=null] - Locale override, otherwise meta.language is used
+ * @param {string|null} [options.variant=null] - Variant from `meta.variants` to apply, otherwise meta.variant is used
+ * @param {Date} [options.now=new Date()] - Reference date for durations of ongoing entries
+ * @returns {Object} Deep copy of the data with `locale`, `sectionTitles`, formatted date fields and citations
+ */
+export function prepareResumeData(data, {locale: localeOverride = null, variant = null, now = new Date()} = {}) {
+	// Create a deep copy to avoid modifying original data
+	const processedData = structuredClone(applyVariant(data, variant))
+	const locale = resolveLocale(data, localeOverride)
+	const dateFormat = data.meta?.dateFormat || defaultDateFormat
+	const showDurations = data.meta?.showDurations === true
+
+	processedData.locale = locale
+	// Publications are sorted before `meta.sections.limits` keeps the first ones
+	applyCitationConfig(processedData, locale)
+	applySectionConfig(processedData, locale)
+
+	const withDateRange = item => ({
+		...item,
+		formattedDates: formatDateRange(item.startDate, item.endDate, locale, dateFormat)
+	})
+
+	const withDuration = item => {
+		const duration = showDurations && item.startDate ? formatDuration(item.startDate, item.endDate, locale, now) : ''
+		const formattedDates = formatDateRange(item.startDate, item.endDate, locale, dateFormat)
+
+		return {
+			...item,
+			duration,
+			formattedDates: duration ? `${formattedDates} · ${duration}` : formattedDates
+		}
+	}
+
+	const withDate = field => item => ({
+		...item,
+		formattedDate: formatDate(item[field], locale, dateFormat)
+	})
+
+	// Work and volunteer entries can show how long they lasted
+	processedData.work &&= processedData.work.map(job => withDuration(job))
+	processedData.volunteer &&= processedData.volunteer.map(vol => withDuration(vol))
+
+	processedData.education &&= processedData.education.map(edu => withDateRange(edu))
+	processedData.projects &&= processedData.projects.map(project => withDateRange(project))
+
+	processedData.awards &&= processedData.awards.map(withDate('date'))
+	processedData.certificates &&= processedData.certificates.map(withDate('date'))
+	processedData.publications &&= processedData.publications.map(withDate('releaseDate'))
+
+	return processedData
+}
@@ -0,0 +1,246 @@
+/**
+ * @fileoverview Theme Tokens
+ * Resolves theme tokens (accent color, font family, base size and spacing scale) from named
+ * presets, the template config and `meta.theme`, maps them onto the CSS custom properties of
+ * _variables.scss and checks the accent color against WCAG AA
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * // resume.json
+ * "meta": {"theme": {"preset": "serif", "accent": "#0f766e", "baseSize": 11, "spacing": "relaxed"}}
+ */
+
+/**
+ * Named theme presets
+ * @type {Object<string, {accent?: string, font?: string, baseSize?: number|string, spacing?: number|string}>}
+ */
+export const themePresets = {
+	ocean: {
+		accent: '#1d4ed8', font: '\'Atkinson Hyperlegible Next\', sans-serif', baseSize: 10, spacing: 1
+	},
+	forest: {
+		accent: '#166534', font: '\'Atkinson Hyperlegible Next\', sans-serif', baseSize: 10, spacing: 1
+	},
+	plum: {
+		accent: '#6b21a8', font: '\'Atkinson Hyperlegible Next\', sans-serif', baseSize: 10, spacing: 1
+	},
+	graphite: {
+		accent: '#374151', font: '\'Helvetica Neue\', Arial, sans-serif', baseSize: 10, spacing: 1
+	},
+	serif: {
+		accent: '#7c2d12', font: 'Georgia, \'Times New Roman\', serif', baseSize: 10.5, spacing: 1.1
+	},
+	compact: {baseSize: 9, spacing: 'compact'}
+}
+
+/**
+ * Spacing scale keywords and their multipliers
+ * @type {Object<string, number>}
+ */
+const spacingKeywords = {
+	compact: 0.8,
+	normal: 1,
+	relaxed: 1.25
+}
+
+/**
+ * Spacing steps of _variables.scss in em, multiplied by the spacing scale
+ * @type {Object<string, number>}
+ */
+const spacingSteps = {
+	1: 0.3,
+	2: 0.5,
+	3: 0.75,
+	4: 1,
+	5: 1.25,
+	6: 1.5,
+	8: 2,
+	10: 2.5,
+	12: 3
+}
+
+/**
+ * Page background the accent color is checked against (--background)
+ * @type {string}
+ */
+const pageBackground = '#ffffff'
+
+/**
+ * Minimum contrast ratio for normal-size text under WCAG 2.1 AA
+ * @type {number}
+ */
+export const minimumContrast = 4.5
+
+/**
+ * Parse a hex color
+ * @param {string} color - Color in #rgb or #rrggbb notation
+ * @returns {Array<number>|null} Red, green and blue from 0 to 255, or null when not a hex color
+ * @example
+ * parseHexColor('#1d4ed8') // [29, 78, 216]
+ */
+export function parseHexColor(color) {
+	const match = /^#([\da-f]{3}|[\da-f]{6})$/i.exec(String(color).trim())
+	if (!match) {
+		return null
+	}
+
+	const hex = match[1].length === 3 ? [...match[1]].map(digit => digit + digit).join('') : match[1]
+	return [0, 2, 4].map(index => Number.parseInt(hex.slice(index, index + 2), 16))
+}
+
+/**
+ * Relative luminance of a color, as defined by WCAG 2.1
+ * @param {Array<number>} rgb - Red, green and blue from 0 to 255
+ * @returns {number} Luminance from 0 (black) to 1 (white)
+ */
+function relativeLuminance(rgb) {
+	const [red, green, blue] = rgb.map(channel => {
+		const value = channel / 255
+		return value <= 0.039_28 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4
+	})
+
+	return (0.2126 * red) + (0.7152 * green) + (0.0722 * blue)
+}
+
+/**
+ * Contrast ratio of two hex colors, as defined by WCAG 2.1
+ * @param {string} foreground - Hex color
+ * @param {string} background - Hex color
+ * @returns {number|null} Ratio from 1 to 21, or null when a color is not a hex color
+ * @example
+ * getContrastRatio('#000000', '#ffffff') // 21
+ */
+export function getContrastRatio(foreground, background) {
+	const colors = [foreground, background].map(color => parseHexColor(color))
+	if (colors.includes(null)) {
+		return null
+	}
+
+	const [lighter, darker] = colors.map(color => relativeLuminance(color)).sort((a, b) => b - a)
+	return (lighter + 0.05) / (darker + 0.05)
+}
+
+/**
+ * Token checks: each returns the CSS value of a valid token, or null
+ * @type {Object<string, {parse: Function, expected: string}>}
+ */
+const tokenParsers = {
+	accent: {
+		parse: value => (parseHexColor(value) ? String(value).trim().toLowerCase() : null),
+		expected: 'a hex color such as "#1d4ed8"'
+	},
+	font: {
+		// Keep font stacks from closing the declaration or the style attribute
+		parse: value => (typeof value === 'string' && value.trim() && !/[;{}<>"\\]/.test(value) ? value.trim() : null),
+		expected: 'a CSS font-family list such as "Georgia, serif"'
+	},
+	baseSize: {
+		parse(value) {
+			if (typeof value === 'number' && value > 0) {
+				return `${value}pt`
+			}
+
+			return typeof value === 'string' && /^\d+(\.\d+)?(pt|px|rem|em)$/.test(value.trim()) ? value.trim() : null
+		},
+		expected: 'a size in points (e.g. 10) or a CSS length in pt, px, rem or em'
+	},
+	spacing: {
+		parse(value) {
+			const scale = typeof value === 'string' ? spacingKeywords[value] : value
+			return typeof scale === 'number' && scale >= 0.5 && scale <= 2 ? scale : null
+		},
+		expected: `a number from 0.5 to 2 or one of: ${Object.keys(spacingKeywords).join(', ')}`
+	}
+}
+
+/**
+ * Resolve theme tokens from layers, later layers overriding earlier ones
+ * Each layer is a preset name, or an object with an optional `preset` and individual tokens.
+ * Unknown presets, invalid tokens and accent colors failing WCAG AA against the page background
+ * produce warnings; invalid tokens are dropped
+ * @param {Array<string|Object|null|undefined>} layers - Theme layers, e.g. [templateConfig.theme, template.theme, meta.theme]
+ * @returns {{tokens: Object, warnings: Array<string>}} Valid tokens and warnings
+ * @example
+ * resolveTheme(['ocean', {accent: '#ffcc00'}])
+ * // {tokens: {accent: '#ffcc00', font: ..., baseSize: '10pt', spacing: 1}, warnings: ['Theme accent color #ffcc00 ...']}
+ */
+export function resolveTheme(layers) {
+	const warnings = []
+	const tokens = {}
+
+	for (const layer of layers) {
+		if (!layer) {
+			continue
+		}
+
+		const {preset, ...overrides} = typeof layer === 'string' ? {preset: layer} : layer
+		if (preset && !Object.hasOwn(themePresets, preset)) {
+			warnings.push(`Unknown theme preset "${preset}", expected one of: ${Object.keys(themePresets).join(', ')}`)
+		}
+
+		for (const [token, value] of Object.entries({...themePresets[preset], ...overrides})) {
+			if (!Object.hasOwn(tokenParsers, token)) {
+				warnings.push(`Unknown theme token "${token}", expected one of: ${Object.keys(tokenParsers).join(', ')}`)
+				continue
+			}
+
+			const parsed = tokenParsers[token].parse(value)
+			if (parsed === null) {
+				warnings.push(`Invalid theme ${token} ${JSON.stringify(value)}, expected ${tokenParsers[token].expected}`)
+				continue
+			}
+
+			tokens[token] = parsed
+		}
+	}
+
+	const contrast = tokens.accent ? getContrastRatio(tokens.accent, pageBackground) : null
+	if (contrast !== null && contrast < minimumContrast) {
+		warnings.push(`Theme accent color ${tokens.accent} has a contrast ratio of ${contrast.toFixed(2)}:1 against the page background ${pageBackground}; `
+			+ `WCAG AA requires at least ${minimumContrast}:1 for text`)
+	}
+
+	return {tokens, warnings}
+}
+
+/**
+ * Map theme tokens onto the CSS custom properties of _variables.scss
+ * Properties derived from others on :root (such as --border-left) are repeated, since the theme
+ * is applied to the resume container rather than :root
+ * @param {Object} tokens - Tokens from resolveTheme
+ * @returns {Object<string, string>} CSS custom properties
+ */
+export function getThemeProperties(tokens) {
+	const properties = {}
+
+	if (tokens.accent) {
+		properties['--primary-color'] = tokens.accent
+		properties['--accent-color'] = tokens.accent
+		properties['--border-left'] = tokens.accent
+	}
+
+	if (tokens.font) {
+		properties['--font-sans'] = tokens.font
+	}
+
+	if (tokens.baseSize) {
+		properties['--text-base'] = tokens.baseSize
+	}
+
+	if (tokens.spacing !== undefined) {
+		for (const [step, size] of Object.entries(spacingSteps)) {
+			properties[`--space-${step}`] = `${Number((size * tokens.spacing).toFixed(3))}em`
+		}
+	}
+
+	return properties
+}
+
+/**
+ * Serialize CSS custom properties as declarations for a style attribute
+ * @param {Object<string, string>} properties - CSS custom properties
+ * @returns {string} Declarations, e.g. "--primary-color: #1d4ed8; --font-sans: Georgia, serif"
+ */
+export function renderThemeDeclarations(properties) {
+	return Object.entries(properties).map(([property, value]) => `${property}: ${value}`).join('; ')
+}
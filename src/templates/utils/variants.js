@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Prospect-Targeted Resume Variants
+ * Filters tagged resume items and overrides basics for named variants declared in `meta.variants`
+ * @author m-e-h
+ * @version 1.0.0
+ * @example
+ * // resume.json
+ * "work": [{"name": "Hooli", "tags": ["backend"], "highlights": ["Scaled the API #backend", "Led 5 engineers #management"]}],
+ * "meta": {
+ *   "variants": {
+ *     "backend": {"prospect": "Acme", "include": ["backend"], "basics": {"label": "Backend Engineer"}},
+ *     "management": {"exclude": ["backend"], "basics": {"label": "Engineering Manager", "summary": "..."}}
+ *   }
+ * }
+ */
+
+/**
+ * Resume sections whose items can carry a `tags` array
+ * @type {Array<string>}
+ */
+const taggableSections = [
+	'work',
+	'volunteer',
+	'education',
+	'awards',
+	'certificates',
+	'publications',
+	'skills',
+	'languages',
+	'interests',
+	'references',
+	'projects'
+]
+
+/**
+ * Get the variants declared in `meta.variants`
+ * @param {Object} data - Resume data
+ * @returns {Object<string, Object>} Variant definitions by name
+ */
+export function getVariants(data) {
+	const variants = data?.meta?.variants
+	return variants && typeof variants === 'object' && !Array.isArray(variants) ? variants : {}
+}
+
+/**
+ * Get the names of all declared variants
+ * @param {Object} data - Resume data
+ * @returns {Array<string>} Variant names
+ */
+export function getVariantNames(data) {
+	return Object.keys(getVariants(data))
+}
+
+/**
+ * Collect every known tag: those listed in `meta.tags`, on items' `tags` arrays and in variant
+ * include/exclude lists. Only known tags are recognized as trailing `#tag` markers in highlights,
+ * so text such as "Ranked #1" is left alone
+ * @param {Object} data - Resume data
+ * @returns {Set<string>} Known tags
+ */
+function getDeclaredTags(data) {
+	const tags = new Set(Array.isArray(data?.meta?.tags) ? data.meta.tags : [])
+	const add = list => {
+		for (const tag of Array.isArray(list) ? list : []) {
+			tags.add(tag)
+		}
+	}
+
+	for (const variant of Object.values(getVariants(data))) {
+		add(variant.include)
+		add(variant.exclude)
+	}
+
+	for (const section of taggableSections) {
+		for (const item of Array.isArray(data?.[section]) ? data[section] : []) {
+			add(item?.tags)
+		}
+	}
+
+	return tags
+}
+
+/**
+ * Split trailing `#tag` markers off a highlight
+ * @param {string} highlight - Highlight text, e.g. "Scaled the API #backend #infra"
+ * @param {Set<string>} declaredTags - Tags recognized as markers
+ * @returns {{text: string, tags: Array<string>}} Highlight text without markers and its tags
+ */
+function parseHighlight(highlight, declaredTags) {
+	let text = String(highlight)
+	const tags = []
+
+	let match = /\s+#([\w-]+)$/.exec(text)
+	while (match && declaredTags.has(match[1])) {
+		tags.unshift(match[1])
+		text = text.slice(0, match.index)
+		match = /\s+#([\w-]+)$/.exec(text)
+	}
+
+	return {text, tags}
+}
+
+/**
+ * Check whether a tagged entry belongs in a variant
+ * Untagged entries are always kept; tagged entries need an included tag (when the variant
+ * has an include list) and no excluded tag
+ * @param {Array<string>} tags - Tags of the entry
+ * @param {Object} variant - Variant definition
+ * @returns {boolean} Whether the entry is kept
+ */
+function matchesVariant(tags, variant) {
+	if (!tags || tags.length === 0) {
+		return true
+	}
+
+	const {include = [], exclude = []} = variant
+	if (tags.some(tag => exclude.includes(tag))) {
+		return false
+	}
+
+	return include.length === 0 || tags.some(tag => include.includes(tag))
+}
+
+/**
+ * Apply a named variant to resume data
+ * Filters tagged items and highlights, overrides `basics` fields and sets `meta.prospect`
+ * (the variant's `prospect`, or its name) so titles and file names follow `Name_Resume_Prospect`.
+ * Highlight `#tag` markers are always stripped, also when no variant is active.
+ * @param {Object} data - Resume data
+ * @param {string|null} [variantName=null] - Variant to apply, defaults to `meta.variant`
+ * @returns {Object} Copy of the resume data tailored to the variant
+ * @throws {Error} When the requested variant is not declared
+ */
+export function applyVariant(data, variantName = null) {
+	const name = variantName || data?.meta?.variant
+	const variants = getVariants(data)
+
+	if (name && !Object.hasOwn(variants, name)) {
+		throw new Error(`Unknown variant "${name}". Available variants: ${Object.keys(variants).join(', ') || 'none'}`)
+	}
+
+	const variant = name ? variants[name] : {}
+	const declaredTags = getDeclaredTags(data)
+	const result = {...data}
+
+	for (const section of taggableSections) {
+		if (!Array.isArray(data[section])) {
+			continue
+		}
+
+		result[section] = data[section]
+			.filter(item => matchesVariant(item?.tags, variant))
+			.map(item => Array.isArray(item?.highlights)
+				? {
+					...item,
+					highlights: item.highlights
+						.map(highlight => parseHighlight(highlight, declaredTags))
+						.filter(highlight => matchesVariant(highlight.tags, variant))
+						.map(highlight => highlight.text)
+				}
+				: item)
+	}
+
+	if (name) {
+		result.basics = {...data.basics, ...variant.basics}
+		result.meta = {...data.meta, variant: name, prospect: variant.prospect || name}
+	}
+
+	return result
+}
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Minimal ZIP Writer and Reader
+ * Packs files into an uncompressed ZIP archive, enough for Office Open XML documents (DOCX), and
+ * unpacks stored or deflated archives such as the LinkedIn data export.
+ * Runs unchanged in Node.js and the browser
+ * @author m-e-h
+ * @version 1.0.0
+ */
+
+/**
+ * CRC-32 lookup table (IEEE polynomial)
+ * The Uint32Array stores each entry as an unsigned 32-bit value
+ * @type {Uint32Array}
+ */
+const crcTable = Uint32Array.from({length: 256}, (_, index) => {
+	let value = index
+	for (let bit = 0; bit < 8; bit++) {
+		value = value & 1 ? 0xED_B8_83_20 ^ (value >>> 1) : value >>> 1
+	}
+
+	return value
+})
+
+/**
+ * Compute the CRC-32 checksum of bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes) {
+	let crc = 0xFF_FF_FF_FF
+	for (const byte of bytes) {
+		crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8)
+	}
+
+	return (crc ^ 0xFF_FF_FF_FF) >>> 0
+}
+
+/**
+ * Create a ZIP archive
+ * Entries are stored without compression and with a fixed timestamp, so identical input gives
+ * identical output
+ * @param {Array<{name: string, data: string|Uint8Array}>} entries - Files in archive order; strings are UTF-8 encoded
+ * @returns {Uint8Array} ZIP archive
+ * @example
+ * createZip([{name: 'hello.txt', data: 'Hello'}])
+ */
+export function createZip(entries) {
+	const encoder = new TextEncoder()
+	const localParts = []
+	const centralParts = []
+	let offset = 0
+
+	for (const entry of entries) {
+		const name = encoder.encode(entry.name)
+		const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data
+		const crc = crc32(data)
+
+		// Local file header: version 2.0, UTF-8 names, stored, DOS date 1980-01-01
+		const local = new DataView(new ArrayBuffer(30))
+		local.setUint32(0, 0x04_03_4B_50, true)
+		local.setUint16(4, 20, true)
+		local.setUint16(6, 0x08_00, true)
+		local.setUint16(8, 0, true)
+		local.setUint16(10, 0, true)
+		local.setUint16(12, 0x00_21, true)
+		local.setUint32(14, crc, true)
+		local.setUint32(18, data.length, true)
+		local.setUint32(22, data.length, true)
+		local.setUint16(26, name.length, true)
+		local.setUint16(28, 0, true)
+
+		const central = new DataView(new ArrayBuffer(46))
+		central.setUint32(0, 0x02_01_4B_50, true)
+		central.setUint16(4, 20, true)
+		central.setUint16(6, 20, true)
+		central.setUint16(8, 0x08_00, true)
+		central.setUint16(10, 0, true)
+		central.setUint16(12, 0, true)
+		central.setUint16(14, 0x00_21, true)
+		central.setUint32(16, crc, true)
+		central.setUint32(20, data.length, true)
+		central.setUint32(24, data.length, true)
+		central.setUint16(28, name.length, true)
+		central.setUint32(42, offset, true)
+
+		localParts.push(new Uint8Array(local.buffer), name, data)
+		centralParts.push(new Uint8Array(central.buffer), name)
+		offset += 30 + name.length + data.length
+	}
+
+	const centralSize = centralParts.reduce((size, part) => size + part.length, 0)
+	const end = new DataView(new ArrayBuffer(22))
+	end.setUint32(0, 0x06_05_4B_50, true)
+	end.setUint16(8, entries.length, true)
+	end.setUint16(10, entries.length, true)
+	end.setUint32(12, centralSize, true)
+	end.setUint32(16, offset, true)
+
+	const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)]
+	const archive = new Uint8Array(offset + centralSize + 22)
+	let position = 0
+	for (const part of parts) {
+		archive.set(part, position)
+		position += part.length
+	}
+
+	return archive
+}
+
+/**
+ * ZIP compression methods understood by readZip
+ * @type {{stored: number, deflated: number}}
+ */
+const compressionMethods = {stored: 0, deflated: 8}
+
+/**
+ * Find the end of central directory record, which may be followed by an archive comment
+ * @param {DataView} view - Archive
+ * @returns {number} Offset of the record
+ * @throws {Error} When the bytes are not a ZIP archive
+ */
+function findEndOfCentralDirectory(view) {
+	const lowest = Math.max(0, view.byteLength - 22 - 0xFF_FF)
+	for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+		if (view.getUint32(offset, true) === 0x06_05_4B_50) {
+			return offset
+		}
+	}
+
+	throw new Error('Not a ZIP archive: end of central directory not found')
+}
+
+/**
+ * Read the files of a ZIP archive
+ * Directories are skipped; ZIP64 archives and encryption are not supported
+ * @async
+ * @param {Uint8Array} archive - ZIP archive
+ * @param {Object} options - Reader options
+ * @param {Function} options.inflateRaw - Decompresses raw DEFLATE data: `(Uint8Array) => Uint8Array|Promise<Uint8Array>`,
+ *        e.g. zlib.inflateRawSync in Node.js or a DecompressionStream('deflate-raw') in the browser
+ * @returns {Promise<Array<{name: string, data: Uint8Array}>>} Files in central directory order
+ * @throws {Error} When the archive is malformed or uses an unsupported compression method
+ * @example
+ * const files = await readZip(readFileSync('export.zip'), {inflateRaw: zlib.inflateRawSync})
+ */
+export async function readZip(archive, {inflateRaw}) {
+	const view = new DataView(archive.buffer, archive.byteOffset, archive.byteLength)
+	const decoder = new TextDecoder()
+	const end = findEndOfCentralDirectory(view)
+	const count = view.getUint16(end + 10, true)
+	let offset = view.getUint32(end + 16, true)
+	const entries = []
+
+	for (let index = 0; index < count; index++) {
+		if (view.getUint32(offset, true) !== 0x02_01_4B_50) {
+			throw new Error(`Malformed ZIP archive: bad central directory entry ${index}`)
+		}
+
+		const method = view.getUint16(offset + 10, true)
+		const compressedSize = view.getUint32(offset + 20, true)
+		const nameLength = view.getUint16(offset + 28, true)
+		const extraLength = view.getUint16(offset + 30, true)
+		const commentLength = view.getUint16(offset + 32, true)
+		const localOffset = view.getUint32(offset + 42, true)
+		const name = decoder.decode(archive.subarray(offset + 46, offset + 46 + nameLength))
+		offset += 46 + nameLength + extraLength + commentLength
+
+		if (name.endsWith('/')) {
+			continue
+		}
+
+		// Sizes in the local header may be zero when a data descriptor follows, so only its name and extra lengths are used
+		const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true)
+		const compressed = archive.subarray(dataStart, dataStart + compressedSize)
+
+		if (method !== compressionMethods.stored && method !== compressionMethods.deflated) {
+			throw new Error(`Unsupported compression method ${method} for ${name} in ZIP archive`)
+		}
+
+		entries.push({name, method, compressed})
+	}
+
+	return Promise.all(entries.map(async ({name, method, compressed}) => ({
+		name,
+		data: method === compressionMethods.deflated ? await inflateRaw(compressed) : compressed
+	})))
+}
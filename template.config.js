@@ -1,50 +1,14 @@
 /**
  * Template Configuration for JSON Resume Builder
- * Defines available templates and their properties for build-time selection
+ * Exposes the registered templates and the build-time template selection
  */
 
-export const templates = {
-	minimal: {
-		id: 'minimal',
-		name: 'Minimal',
-		preview: 'assets/previews/minimal-preview.png',
-		features: [
-			'Ultra-clean typography',
-			'Maximum white space',
-			'Focus on content',
-			'Minimal visual elements'
-		],
-		recommended: ['academia', 'research', 'creative', 'freelance']
-	},
-
-	classic: {
-		id: 'classic',
-		name: 'Classic',
-		description: 'Traditional, professional resume layout with clean typography',
-		preview: 'assets/previews/classic-preview.png',
-		features: [
-			'Traditional two-column layout',
-			'Professional typography',
-			'Clear section headers',
-			'Optimized for ATS systems'
-		],
-		recommended: ['corporate', 'finance', 'legal', 'consulting']
-	},
+import './src/templates/builtin-templates.js'
+import {templates} from './src/templates/registry.js'
 
-	modern: {
-		id: 'modern',
-		name: 'Modern',
-		description: 'Contemporary design with subtle colors and modern typography',
-		preview: 'assets/previews/modern-preview.png',
-		features: [
-			'Contemporary color scheme',
-			'Modern typography stack',
-			'Visual hierarchy emphasis',
-			'Balanced white space'
-		],
-		recommended: ['tech', 'design', 'marketing', 'startup']
-	}
-}
+// Registered templates by ID: the built-in ones plus those from `templatePackages`.
+// Add templates with registerTemplate() (see src/templates/registry.js) instead of editing this file
+export {templates}
 
 export const templateConfig = {
 	// Default template to use if none specified
@@ -56,6 +20,32 @@ export const templateConfig = {
 		|| (globalThis.global !== undefined && globalThis.importMeta?.env?.VITE_RESUME_TEMPLATE)
 		|| 'minimal',
 
+	// Locale override for section titles and dates, otherwise meta.language is used
+	// VITE_RESUME_LOCALE=de npm run build
+	selectedLocale: (import.meta !== undefined && import.meta.env?.VITE_RESUME_LOCALE)
+		|| (globalThis.global !== undefined && globalThis.importMeta?.env?.VITE_RESUME_LOCALE)
+		|| null,
+
+	// Theme tokens applied to every template: a preset name (see src/templates/utils/theme.js)
+	// or {preset, accent, font, baseSize, spacing}. The template's own `theme` and the resume's
+	// `meta.theme` override these tokens
+	// VITE_RESUME_THEME=serif npm run build
+	theme: (import.meta !== undefined && import.meta.env?.VITE_RESUME_THEME)
+		|| (globalThis.global !== undefined && globalThis.importMeta?.env?.VITE_RESUME_THEME)
+		|| null,
+
+	// Template folders (relative to the project root) or installed npm packages whose default
+	// export is a template definition; they are registered before the app, the static build
+	// and the CLI look up templates
+	// templatePackages: ['./templates/timeline', 'resume-template-compact']
+	templatePackages: [],
+
+	// Variant from meta.variants to render, otherwise meta.variant is used
+	// VITE_RESUME_VARIANT=backend npm run build
+	selectedVariant: (import.meta !== undefined && import.meta.env?.VITE_RESUME_VARIANT)
+		|| (globalThis.global !== undefined && globalThis.importMeta?.env?.VITE_RESUME_VARIANT)
+		|| null,
+
 	// Build configuration
 	buildOptions: {
 		// Whether to build all templates or just the selected one
@@ -67,7 +57,27 @@ export const templateConfig = {
 
 		// Whether to include template selector in the build
 		includeTemplateSelector: (import.meta !== undefined && import.meta.env?.DEV)
-			|| (globalThis.global !== undefined && globalThis.importMeta?.env?.DEV)
+			|| (globalThis.global !== undefined && globalThis.importMeta?.env?.DEV),
+
+		// Whether an invalid resume fails the static build instead of only printing warnings
+		strictValidation: false
+	},
+
+	// Additional output formats (see src/templates/formats/index.js)
+	// LaTeX ('latex') is available for academic applications, Europass XML ('europass') and
+	// HR-Open JSON ('hropen') for employers that ask for them; the build and the app list the
+	// resume fields the last two leave out. The static build always writes a BibTeX file ('bibtex')
+	// when the resume has publications; `meta.citations` picks their citation style
+	exportOptions: {
+		// Formats offered as downloads in the app
+		formats: ['text', 'markdown', 'docx', 'pdf'],
+
+		// Formats the static build writes next to the HTML; opt in per build with
+		// VITE_EXPORT_FORMATS=text,markdown,docx (or --formats). `npm run build` adds the PDF through build:pdf
+		buildFormats: [],
+
+		// Maximum line width of the plain-text (ATS) export
+		textLineWidth: 80
 	},
 
 	// Shared template settings
@@ -85,7 +95,7 @@ export const templateConfig = {
 			desktop: '1200px'
 		},
 
-		// Print settings
+		// Print settings, also used for the page setup of the PDF export
 		printSettings: {
 			format: 'A4',
 			orientation: 'portrait',
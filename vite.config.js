@@ -1,7 +1,11 @@
 import {defineConfig} from 'vite'
 import autoprefixer from 'autoprefixer'
+import {resumeReload} from './src/scripts/vite-plugin-resume-reload.js'
+import {resumeTemplates} from './src/scripts/vite-plugin-resume-templates.js'
+import {templateConfig} from './template.config.js'
 
 export default defineConfig({
+	plugins: [resumeReload(), resumeTemplates({packages: templateConfig.templatePackages})],
 	css: {
 		postcss: {
 			plugins: [